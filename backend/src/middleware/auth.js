@@ -0,0 +1,44 @@
+const { formatErrorResponse } = require('../utils/formatters');
+
+// Authentication middleware. PRICE_AGENT_API_KEY grants the standard scope;
+// PRICE_AGENT_INTERNAL_API_KEY (staff tools only) also grants the internal
+// scope, which unlocks cost and margin data.
+const authenticate = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const apiKey = process.env.PRICE_AGENT_API_KEY;
+  const internalApiKey = process.env.PRICE_AGENT_INTERNAL_API_KEY;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json(
+      formatErrorResponse('UNAUTHORIZED', 'Missing or invalid authorization header')
+    );
+  }
+
+  const token = authHeader.split(' ')[1];
+  if (internalApiKey && token === internalApiKey) {
+    req.authScope = 'internal';
+  } else if (token === apiKey) {
+    req.authScope = 'standard';
+  } else {
+    return res.status(401).json(
+      formatErrorResponse('UNAUTHORIZED', 'Invalid API key')
+    );
+  }
+
+  next();
+};
+
+const hasInternalScope = req => req.authScope === 'internal';
+
+// For routes that only return internal data (run after authenticate)
+const requireInternalScope = (req, res, next) => {
+  if (!hasInternalScope(req)) {
+    return res.status(403).json(
+      formatErrorResponse('FORBIDDEN', 'This endpoint requires an internal API key')
+    );
+  }
+
+  next();
+};
+
+module.exports = { authenticate, hasInternalScope, requireInternalScope };
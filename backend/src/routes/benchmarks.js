@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticate, requireInternalScope } = require('../middleware/auth');
+const { findComparables, diffBenchmarkBatches } = require('../services/benchmarks');
+const { formatErrorResponse } = require('../utils/formatters');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isBatchReference(value) {
+  return UUID_PATTERN.test(value) || DATE_PATTERN.test(value);
+}
+
+// Optional non-negative number from the query string: undefined when absent,
+// NaN when invalid.
+function parseThreshold(value) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+}
+
+// Benchmark costs and margins are internal: standard API keys get 403
+router.use(authenticate);
+router.use(requireInternalScope);
+
+// POST /api/benchmarks/comparables - Nearest catalogue products and margin range for a new/custom product
+router.post('/comparables', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const {
+      description,
+      category,
+      target_cost: targetCost,
+      quantity,
+      print_vendor_source: printVendorSource,
+      limit = 10
+    } = req.body;
+
+    console.log('[BENCHMARKS-COMPARABLES] ========== NEW REQUEST ==========');
+    console.log(`[BENCHMARKS-COMPARABLES] Description: "${description || ''}" | Category: ${category || 'any'} | Target cost: ${targetCost ?? 'N/A'} | Qty: ${quantity || 'N/A'} | Print vendor: ${printVendorSource || 'any'}`);
+
+    if (!description || typeof description !== 'string' || description.trim() === '') {
+      console.log('[BENCHMARKS-COMPARABLES] ERROR: Missing description');
+      return res.status(400).json(
+        formatErrorResponse('MISSING_PARAMETERS', 'description is required')
+      );
+    }
+
+    if (targetCost !== undefined && targetCost !== null && !(typeof targetCost === 'number' && targetCost > 0)) {
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', 'target_cost must be a positive number (SGD per unit)')
+      );
+    }
+
+    if (quantity !== undefined && quantity !== null && !(Number.isInteger(quantity) && quantity > 0)) {
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', 'quantity must be a positive integer')
+      );
+    }
+
+    const result = await findComparables({
+      description: description.trim(),
+      category: category || null,
+      targetCost: targetCost ?? null,
+      quantity: quantity ?? null,
+      printVendorSource: printVendorSource || null,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50)
+    });
+
+    if (!result) {
+      console.log('[BENCHMARKS-COMPARABLES] No benchmark snapshot batch');
+      return res.status(404).json(
+        formatErrorResponse('BENCHMARKS_NOT_FOUND', 'No benchmark snapshot batch has been imported')
+      );
+    }
+
+    result.comparables.forEach((comparable) => {
+      console.log(`[BENCHMARKS-COMPARABLES]   ${comparable.product_name} @ ${comparable.quantity}: ${comparable.benchmark_profit_percentage ?? 'N/A'}% (similarity ${comparable.similarity})`);
+    });
+    if (result.suggested_margin) {
+      console.log(`[BENCHMARKS-COMPARABLES] Suggested margin: ${result.suggested_margin.low_percentage}-${result.suggested_margin.high_percentage}% (median ${result.suggested_margin.median_percentage}%)`);
+    }
+    console.log(`[BENCHMARKS-COMPARABLES] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.json({
+      success: true,
+      data: {
+        criteria: {
+          description: description.trim(),
+          category: category || null,
+          target_cost: targetCost ?? null,
+          quantity: quantity ?? null,
+          print_vendor_source: printVendorSource || null
+        },
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('[BENCHMARKS-COMPARABLES] ERROR:', error.message);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+// GET /api/benchmarks/drift - Diff two benchmark batches and flag prices below the margin floor
+router.get('/drift', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { from, to, limit = 100 } = req.query;
+    const thresholds = {
+      costChangePct: parseThreshold(req.query.cost_change_pct),
+      profitChangePts: parseThreshold(req.query.profit_change_pts),
+      marginFloorPct: parseThreshold(req.query.margin_floor)
+    };
+
+    console.log('[BENCHMARKS-DRIFT] ========== NEW REQUEST ==========');
+    console.log(`[BENCHMARKS-DRIFT] From: ${from || 'previous'} | To: ${to || 'latest'}`);
+
+    if ((from && !isBatchReference(from)) || (to && !isBatchReference(to))) {
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', 'from and to must be a batch id or a snapshot date (YYYY-MM-DD)')
+      );
+    }
+
+    if (Object.values(thresholds).some(value => Number.isNaN(value))) {
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', 'cost_change_pct, profit_change_pts and margin_floor must be non-negative numbers')
+      );
+    }
+
+    const report = await diffBenchmarkBatches({
+      from: from || null,
+      to: to || null,
+      ...Object.fromEntries(Object.entries(thresholds).filter(([, value]) => value !== undefined)),
+      limit: Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000)
+    });
+
+    if (report.error) {
+      console.log(`[BENCHMARKS-DRIFT] ${report.error}`);
+      return report.reason === 'same_batch'
+        ? res.status(400).json(formatErrorResponse('INVALID_PARAMETERS', report.error))
+        : res.status(404).json(formatErrorResponse('BENCHMARK_BATCH_NOT_FOUND', report.error));
+    }
+
+    console.log(`[BENCHMARKS-DRIFT] ${report.from_batch.snapshot_date} → ${report.to_batch.snapshot_date}: ${report.summary.compared} compared, ${report.summary.drifted} drifted, ${report.summary.below_floor} below floor`);
+    console.log(`[BENCHMARKS-DRIFT] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('[BENCHMARKS-DRIFT] ERROR:', error.message);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+module.exports = router;
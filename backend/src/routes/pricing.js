@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 
+const { authenticate, hasInternalScope } = require('../middleware/auth');
 const { parseQuery } = require('../services/queryParser');
 const {
   searchProducts,
   getProductByName,
+  getProductById,
   getProductByWebsiteProductId,
   getAllProducts,
   getProductSuggestions
@@ -12,9 +14,13 @@ const {
 const {
   getPriceForQuantity,
   getAllPricingTiers,
+  getPricingMatrix,
   getMOQInfo,
   getMOQInfoForProduct,
   getPricingForProducts,
+  resolvePrintOption,
+  getAvailablePrintOptions,
+  INTERPOLATION_MODES,
   getAlternatives
 } = require('../services/priceQuery');
 const {
@@ -23,37 +29,64 @@ const {
 } = require('../services/samplePricing');
 const {
   isHeatTransferLanyardQuery,
-  getHeatTransferLanyardQuote
+  isHeatTransferLanyardProduct,
+  getHeatTransferLanyardQuote,
+  quoteHeatTransferLanyard,
+  resolveLanyardSpec,
+  selectLanyardQuote
 } = require('../services/lanyardPricing');
+const {
+  isPaperPrintQuery,
+  validatePaperRequest,
+  calculatePaperPrice,
+  getPaperPriceFromQuery
+} = require('../services/paperPricing');
+const {
+  validateDecorationRequest,
+  getDecorationCosts
+} = require('../services/decorationCost');
+const { getCostPlusEstimate } = require('../services/costPlusEstimate');
+const {
+  describeSubstitution,
+  describeUnavailablePrintOption
+} = require('../services/printOptions');
+const { LEAD_TIME_ORDER, getDeliveryOptions } = require('../services/deliveryDates');
+const { parseDate, loadHolidays } = require('../services/workingCalendar');
+const {
+  BASE_CURRENCY,
+  normaliseCurrency,
+  getExchangeRate,
+  shouldRefuseRate
+} = require('../services/exchangeRates');
+const { getGstBreakdown } = require('../services/gst');
+const { getCustomerPricing } = require('../services/customerPricing');
+const { getBenchmarkCost } = require('../services/benchmarks');
+const { loadMarginGuard, preloadMarginCosts, getMarginAlert } = require('../services/marginGuard');
+const { checkStock } = require('../services/stockCheck');
+const {
+  buildQuote,
+  validateLineItems
+} = require('../services/quoteBuilder');
+const {
+  toQuoteDocument,
+  renderQuotePdf
+} = require('../services/quotePdf');
 const {
   formatQueryResponse,
   formatSamplePricingResponse,
   formatLanyardPricingResponse,
+  formatPaperPricingResponse,
+  formatDecorationCostResponse,
+  formatQuoteResponse,
   formatLookupResponse,
   formatTiersResponse,
-  formatErrorResponse
+  formatErrorResponse,
+  withDispatchDates,
+  withCurrency
 } = require('../utils/formatters');
 
-// Authentication middleware
-const authenticate = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  const apiKey = process.env.PRICE_AGENT_API_KEY;
-
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json(
-      formatErrorResponse('UNAUTHORIZED', 'Missing or invalid authorization header')
-    );
-  }
-
-  const token = authHeader.split(' ')[1];
-  if (token !== apiKey) {
-    return res.status(401).json(
-      formatErrorResponse('UNAUTHORIZED', 'Invalid API key')
-    );
-  }
-
-  next();
-};
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const INCLUDE_OPTIONS = ['cost'];
 
 function getSupplierContext(productInput = {}) {
   if (!productInput || typeof productInput !== 'object') return {};
@@ -61,11 +94,176 @@ function getSupplierContext(productInput = {}) {
     supplierType: productInput.supplier_type || productInput.supplierType || null,
     supplierName: productInput.supplier_name || productInput.supplierName || productInput.local_supplier || productInput.localSupplier || null,
     supplierProductCode: productInput.supplier_product_code || productInput.supplierProductCode || productInput.product_code || productInput.productCode || null,
+    supplierVariant: productInput.supplier_variant || productInput.supplierVariant || null,
     productIntelligenceCategory: productInput.product_intelligence_category || productInput.productIntelligenceCategory || productInput.category || null,
     productIntelligenceUrl: productInput.product_intelligence_url || productInput.productIntelligenceUrl || null
   };
 }
 
+// Vendor stock is checked when the caller names the supplier item, or asks
+// for it with check_stock (exact vendor name matches only).
+async function getStockCheck({ supplierContext, product, quantity, checkStockRequested }) {
+  const hasSupplierItem = Boolean(supplierContext.supplierName && supplierContext.supplierProductCode);
+  if (!quantity || (!hasSupplierItem && !checkStockRequested)) return null;
+  return checkStock({
+    supplierContext,
+    product,
+    quantity,
+    searchByName: Boolean(checkStockRequested)
+  });
+}
+
+// Optional pricing modes shared by /query, /lookup and /batch.
+function getPricingModes(body = {}) {
+  return {
+    tierAdvice: Boolean(body.tier_advice),
+    interpolation: body.interpolation || undefined
+  };
+}
+
+function validatePricingModes(body = {}) {
+  if (body.interpolation !== undefined && !INTERPOLATION_MODES.includes(body.interpolation)) {
+    return `interpolation must be one of ${INTERPOLATION_MODES.join(', ')}`;
+  }
+  return null;
+}
+
+function validateNeededBy(body = {}) {
+  if (body.needed_by !== undefined && body.needed_by !== null && !parseDate(body.needed_by)) {
+    return 'needed_by must be a date (YYYY-MM-DD)';
+  }
+  return null;
+}
+
+// Exchange rate for an optional `currency`: { fx } (null for SGD prices) or
+// the 400 response body to send as { error }.
+async function resolveCurrency(currency) {
+  if (currency === undefined || currency === null || currency === '') return { fx: null };
+
+  const code = normaliseCurrency(currency);
+  if (!code) {
+    return { error: formatErrorResponse('INVALID_PARAMETERS', 'currency must be a 3-letter currency code such as MYR') };
+  }
+  if (code === BASE_CURRENCY) return { fx: null };
+
+  const fx = await getExchangeRate(code);
+  if (!fx) {
+    return { error: formatErrorResponse('INVALID_PARAMETERS', `No exchange rate from ${BASE_CURRENCY} to ${code}`) };
+  }
+  if (shouldRefuseRate(fx)) {
+    return { error: { ...formatErrorResponse('EXCHANGE_RATE_STALE', fx.warning), fx } };
+  }
+  return { fx };
+}
+
+// Negotiated rates for an optional `customer_id`: { customerPricing } (null
+// without one) or { status, error } to send.
+async function resolveCustomer(customerId) {
+  if (customerId === undefined || customerId === null || customerId === '') return { customerPricing: null };
+
+  if (!UUID_PATTERN.test(String(customerId))) {
+    return { status: 400, error: formatErrorResponse('INVALID_PARAMETERS', 'customer_id must be a customer account id (uuid)') };
+  }
+
+  const customerPricing = await getCustomerPricing(customerId);
+  if (!customerPricing) {
+    return { status: 404, error: formatErrorResponse('CUSTOMER_NOT_FOUND', 'No active customer account for this customer_id') };
+  }
+  return { customerPricing };
+}
+
+// Optional `include` sections ("cost" or ["cost"]): { include } or the
+// response to send as { status, error }. Cost and margin need the internal
+// API key scope.
+function resolveInclude(req) {
+  const requested = req.body.include ?? req.query.include;
+  if (requested === undefined || requested === null || requested === '') return { include: [] };
+
+  const include = (Array.isArray(requested) ? requested : String(requested).split(','))
+    .map(option => String(option).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = include.filter(option => !INCLUDE_OPTIONS.includes(option));
+  if (unknown.length > 0) {
+    return { status: 400, error: formatErrorResponse('INVALID_PARAMETERS', `include must be one of ${INCLUDE_OPTIONS.join(', ')}`) };
+  }
+  if (include.includes('cost') && !hasInternalScope(req)) {
+    return { status: 403, error: formatErrorResponse('FORBIDDEN', 'include=cost requires an internal API key') };
+  }
+  return { include };
+}
+
+// Which price the customer is charged: a running promotion, their contract
+// rate, or the catalogue list price. Lanyards priced by the calculator
+// report 'lanyard_calculator' instead.
+function getPriceBasis(pricing) {
+  if (pricing.promotion && pricing.promotion.applied) return 'promotion';
+  if (pricing.customer_pricing) return 'customer_contract';
+  return 'catalogue';
+}
+
+// Heat transfer lanyards have no pricing rows, so /lookup and /batch price
+// the lanyard product with the calculator from the structured lanyard fields
+// (attachment, add_ons, width_mm, freight_type, designs). Returns
+// { result, quote, warnings } or { status, error } to send.
+async function quoteLanyardProduct(input, quantity) {
+  const { spec, error, options } = await resolveLanyardSpec({
+    ...input,
+    quantity: quantity === undefined || quantity === null || quantity === '' ? null : Number(quantity)
+  });
+  if (error) {
+    return {
+      status: 400,
+      error: { ...formatErrorResponse('INVALID_PARAMETERS', error), ...(options ? { data: options } : {}) }
+    };
+  }
+
+  const result = await quoteHeatTransferLanyard(spec);
+  const quote = result ? selectLanyardQuote(result, spec.freightType) : null;
+  if (!quote) {
+    const message = (result && result.notes.find(note => /no published price/i.test(note)))
+      || 'No lanyard calculator price for this attachment/width combination';
+    return { status: 404, error: formatErrorResponse('PRICING_NOT_FOUND', message) };
+  }
+
+  const warnings = [
+    spec.freightType ? null : `Freight not specified; quoted by ${quote.freight_type} freight`,
+    spec.quantity ? null : `Quantity not specified; quoted the ${quote.quantity} pc MOQ`,
+    ...result.notes
+      .filter(note => /not specified|designs need/i.test(note))
+      .map(note => note.replace(/\.$/, ''))
+  ].filter(Boolean);
+  return { result, quote, warnings };
+}
+
+// Contract pricing, needed_by and include=cost have no calculator
+// equivalent, so a lanyard lookup that asks for them is refused rather than
+// answered without them. Returns the error message, or null.
+function getUnsupportedLanyardFields({ customerPricing, neededBy, include = [] }) {
+  const fields = [
+    customerPricing ? 'customer_id' : null,
+    neededBy ? 'needed_by' : null,
+    include.length > 0 ? 'include' : null
+  ].filter(Boolean);
+  if (fields.length === 0) return null;
+  return `${fields.join(', ')} cannot be applied to calculator-priced heat transfer lanyards`;
+}
+
+// Lead time types to try in order: the ones that can make needed_by when
+// one was given, otherwise local → overseas_air → overseas_sea.
+function getLeadTimeCandidates(deliveryPlan, requestedLeadTimeType = null) {
+  if (requestedLeadTimeType) return [requestedLeadTimeType];
+  if (deliveryPlan && deliveryPlan.can_meet_date) return deliveryPlan.feasible_lead_time_types;
+  return LEAD_TIME_ORDER;
+}
+
+function selectDelivery(deliveryPlan, leadTimeType) {
+  if (!deliveryPlan) return null;
+  return {
+    ...deliveryPlan,
+    selected: deliveryPlan.options.find(option => option.lead_time_type === leadTimeType) || null
+  };
+}
+
 function classifyPricingMiss(product, supplierContext = {}) {
   const supplierName = supplierContext.supplierName || null;
   const supplierType = supplierContext.supplierType || (supplierName ? 'local' : null);
@@ -86,9 +284,9 @@ function classifyPricingMiss(product, supplierContext = {}) {
   };
 }
 
-function buildPricingMiss({ searchedTerm, product, supplierContext = {}, matchType }) {
+function buildPricingMiss({ searchedTerm, product, supplierContext = {}, matchType, estimate = null }) {
   const route = classifyPricingMiss(product, supplierContext);
-  return {
+  const miss = {
     searchedTerm,
     found: false,
     status: 'pricing_not_found',
@@ -115,11 +313,34 @@ function buildPricingMiss({ searchedTerm, product, supplierContext = {}, matchTy
       : 'No pricing rows found for resolved product',
     message: `Product found, but no pricing rows found for "${product?.name || searchedTerm}"`
   };
+
+  if (!estimate) return miss;
+
+  // Known vendor: indicative cost-plus price; SCOUT still confirms stock.
+  return {
+    ...miss,
+    status: 'cost_plus_estimate',
+    price_basis: estimate.price_basis,
+    missingInputs: ['stock'],
+    missing_inputs: ['stock'],
+    estimate,
+    message: `No pricing rows for "${product?.name || searchedTerm}"; indicative cost-plus estimate from ${estimate.vendor} cost (confidence ${estimate.confidence})`
+  };
 }
 
 // Apply authentication to all routes
 router.use(authenticate);
 
+// Refresh public holiday edits before any dispatch or delivery dates are worked out
+router.use(async (req, res, next) => {
+  try {
+    await loadHolidays();
+  } catch (error) {
+    console.error('[CALENDAR] Holiday refresh failed:', error.message);
+  }
+  next();
+});
+
 // POST /api/price/query - Natural language pricing query
 router.post('/query', async (req, res) => {
   const startTime = Date.now();
@@ -139,6 +360,43 @@ router.post('/query', async (req, res) => {
       );
     }
 
+    const pricingModeError = validatePricingModes(req.body);
+    if (pricingModeError) {
+      console.log(`[PRICE-QUERY] ERROR: ${pricingModeError}`);
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', pricingModeError)
+      );
+    }
+    const pricingModes = getPricingModes(req.body);
+
+    const neededByError = validateNeededBy(req.body);
+    if (neededByError) {
+      console.log(`[PRICE-QUERY] ERROR: ${neededByError}`);
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', neededByError)
+      );
+    }
+
+    const currency = await resolveCurrency(req.body.currency);
+    if (currency.error) {
+      console.log(`[PRICE-QUERY] ERROR: ${currency.error.error.message}`);
+      return res.status(400).json(currency.error);
+    }
+    const { fx } = currency;
+    if (fx) {
+      console.log(`[PRICE-QUERY] Currency: ${fx.currency} @ ${fx.rate} (${fx.source || 'unknown source'}, fetched ${fx.fetched_at})`);
+    }
+
+    const customer = await resolveCustomer(req.body.customer_id);
+    if (customer.error) {
+      console.log(`[PRICE-QUERY] ERROR: ${customer.error.error.message}`);
+      return res.status(customer.status).json(customer.error);
+    }
+    const { customerPricing } = customer;
+    if (customerPricing) {
+      console.log(`[PRICE-QUERY] Customer: ${customerPricing.customer.company || customerPricing.customer.name} (${customerPricing.rules.length} active rules)`);
+    }
+
     if (isSamplePricingQuery(query)) {
       console.log('[PRICE-QUERY] Sample pricing query detected');
       const sampleResults = await searchSamplePricing(query, { limit: 5 });
@@ -152,7 +410,7 @@ router.post('/query', async (req, res) => {
       });
       console.log(`[PRICE-QUERY] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
 
-      return res.json(formatSamplePricingResponse(
+      return res.json(withCurrency(formatSamplePricingResponse(
         {
           sampleResults
         },
@@ -161,9 +419,10 @@ router.post('/query', async (req, res) => {
           processingTime: Date.now() - startTime,
           message: sampleResults.length > 0
             ? null
-            : 'No matching sample pricing rule found'
+            : 'No matching sample pricing rule found',
+          warning: fx ? fx.warning : null
         }
-      ));
+      ), fx));
     }
 
     if (isHeatTransferLanyardQuery(query)) {
@@ -177,18 +436,41 @@ router.post('/query', async (req, res) => {
         });
         console.log(`[PRICE-QUERY] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
 
-        return res.json(formatLanyardPricingResponse(
+        return res.json(withCurrency(formatLanyardPricingResponse(
           { result: lanyardResult },
           {
             query,
-            processingTime: Date.now() - startTime
+            processingTime: Date.now() - startTime,
+            warning: fx ? fx.warning : null
           }
-        ));
+        ), fx));
       }
 
       console.log('[PRICE-QUERY] No lanyard calculator match, falling through to product search');
     }
 
+    if (isPaperPrintQuery(query)) {
+      console.log('[PRICE-QUERY] Paper print query detected');
+      const paperResult = await getPaperPriceFromQuery(query);
+
+      if (paperResult) {
+        console.log(`[PRICE-QUERY] Paper: ${paperResult.product_type} ${paperResult.size.name} on ${paperResult.paper.paper_type} x ${paperResult.quantity}`);
+        console.log(`[PRICE-QUERY]   Cost: $${paperResult.cost_breakdown.total_cost} | Price: $${paperResult.pricing.total_price} ($${paperResult.pricing.unit_price}/unit)`);
+        console.log(`[PRICE-QUERY] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+        return res.json(withCurrency(formatPaperPricingResponse(
+          { result: paperResult },
+          {
+            query,
+            processingTime: Date.now() - startTime,
+            warning: fx ? fx.warning : null
+          }
+        ), fx));
+      }
+
+      console.log('[PRICE-QUERY] Paper query could not be priced, falling through to product search');
+    }
+
     // Step 1: Parse the natural language query
     let parsedQuery;
     try {
@@ -216,7 +498,7 @@ router.post('/query', async (req, res) => {
       console.log(`[PRICE-QUERY] Suggestions offered: ${JSON.stringify(suggestions.map(s => s.name || s))}`);
       console.log(`[PRICE-QUERY] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
 
-      return res.json(formatQueryResponse(
+      return res.json(withCurrency(formatQueryResponse(
         {
           results: [],
           suggestions
@@ -228,7 +510,7 @@ router.post('/query', async (req, res) => {
             ? 'No exact matches found. Did you mean one of these products?'
             : 'No matching products found'
         }
-      ));
+      ), fx));
     }
 
     // Log products found with matchType
@@ -240,43 +522,63 @@ router.post('/query', async (req, res) => {
 
     // Step 3: Map lead_time to lead_time_type
     let leadTimeType = 'local';
+    let requestedLeadTimeType = null;
     if (parsedQuery.lead_time) {
       const lt = parsedQuery.lead_time.toLowerCase();
       if (lt.includes('overseas') || lt.includes('sea')) {
         leadTimeType = lt.includes('air') ? 'overseas_air' : 'overseas_sea';
+        requestedLeadTimeType = leadTimeType;
       }
     }
 
-    // Step 4: Get pricing for found products (with fallback to overseas pricing)
-    let results = await getPricingForProducts({
-      products,
-      quantity: parsedQuery.quantity,
-      printOption: parsedQuery.print_option,
-      leadTimeType
-    });
+    // Step 3b: With a needed_by date, only try lead times that can make it
+    const deliveryPlan = req.body.needed_by
+      ? await getDeliveryOptions({ productId: products[0].id, productName: products[0].name, neededBy: req.body.needed_by })
+      : null;
+    if (deliveryPlan) {
+      console.log(`[PRICE-QUERY] Needed by ${deliveryPlan.needed_by} (${deliveryPlan.working_days_available} working days): feasible ${deliveryPlan.feasible_lead_time_types.join(', ') || 'none'}`);
+    }
 
-    // Fallback: If no local pricing found, try overseas_air
-    if (results.length === 0 && leadTimeType === 'local') {
-      console.log('[PRICE-QUERY] No local pricing found, trying overseas_air...');
-      leadTimeType = 'overseas_air';
+    // Step 4: Get pricing for found products (with fallback to overseas pricing)
+    const leadTimeCandidates = getLeadTimeCandidates(deliveryPlan, requestedLeadTimeType);
+    let results = [];
+    for (const candidate of leadTimeCandidates) {
+      if (candidate !== leadTimeCandidates[0]) {
+        console.log(`[PRICE-QUERY] No ${leadTimeType} pricing found, trying ${candidate}...`);
+      }
+      leadTimeType = candidate;
       results = await getPricingForProducts({
         products,
         quantity: parsedQuery.quantity,
         printOption: parsedQuery.print_option,
-        leadTimeType
+        leadTimeType,
+        customerPricing,
+        ...pricingModes
       });
+      if (results.length > 0) break;
+    }
 
-      // Fallback: If still no results, try overseas_sea
-      if (results.length === 0) {
-        console.log('[PRICE-QUERY] No overseas_air pricing found, trying overseas_sea...');
-        leadTimeType = 'overseas_sea';
-        results = await getPricingForProducts({
-          products,
-          quantity: parsedQuery.quantity,
-          printOption: parsedQuery.print_option,
-          leadTimeType
-        });
-      }
+    // Margin alerts are for staff tools only
+    const marginGuard = hasInternalScope(req) ? await loadMarginGuard() : null;
+    await preloadMarginCosts(marginGuard, results.map(result => result.pricing.pricing_id));
+    results = await Promise.all(results.map(async result => ({
+      ...result,
+      margin_alert: await getMarginAlert(marginGuard, {
+        pricingId: result.pricing.pricing_id,
+        unitPrice: result.pricing.unit_price,
+        // Below the MOQ the MOQ quantity is charged
+        quantity: result.pricing.charged_quantity || result.pricing.requested_quantity,
+        category: result.category
+      })
+    })));
+
+    if (req.body.needed_by) {
+      results = await Promise.all(results.map(async (result) => {
+        const plan = result.product_name === products[0].name
+          ? deliveryPlan
+          : await getDeliveryOptions({ productId: result.product_id, productName: result.product_name, neededBy: req.body.needed_by });
+        return { ...result, delivery: selectDelivery(plan, result.lead_time?.type || leadTimeType) };
+      }));
     }
 
     // Log pricing results
@@ -288,6 +590,12 @@ router.post('/query', async (req, res) => {
       if (r.moq) {
         console.log(`[PRICE-QUERY]      MOQ: ${r.moq.quantity} @ $${r.moq.unit_price}/unit`);
       }
+      if (r.substitution) {
+        console.log(`[PRICE-QUERY]      SUBSTITUTION: ${r.substitution_reason}`);
+      }
+      if (r.margin_alert) {
+        console.log(`[PRICE-QUERY]      MARGIN ALERT (${r.margin_alert.severity}): ${r.margin_alert.message}`);
+      }
     });
 
     // Step 5: Get alternatives if we have results
@@ -310,12 +618,15 @@ router.post('/query', async (req, res) => {
     console.log(`[PRICE-QUERY] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
     console.log(`[PRICE-QUERY] Success: true | Products: ${results.length} | Alternatives: ${alternatives.length} | MatchType: ${matchType}`);
 
-    // Add warning for fuzzy matches
-    const warning = matchType === 'fuzzy'
-      ? 'Product matched via fuzzy search - please verify correctness'
-      : null;
+    // Add warning for fuzzy matches and substituted print options
+    const warning = [
+      matchType === 'fuzzy' ? 'Product matched via fuzzy search - please verify correctness' : null,
+      results[0]?.substitution ? results[0].substitution_reason : null,
+      results[0]?.delivery?.message || null,
+      fx ? fx.warning : null
+    ].filter(Boolean).join('. ') || null;
 
-    return res.json(formatQueryResponse(
+    return res.json(withCurrency(formatQueryResponse(
       {
         results,
         alternatives
@@ -326,7 +637,7 @@ router.post('/query', async (req, res) => {
         processingTime: Date.now() - startTime,
         warning
       }
-    ));
+    ), fx));
 
   } catch (error) {
     console.error('[PRICE-QUERY] ERROR:', error.message);
@@ -357,6 +668,44 @@ router.post('/batch', async (req, res) => {
       });
     }
 
+    const pricingModeError = validatePricingModes(req.body);
+    if (pricingModeError) {
+      console.log(`[PRICE-BATCH] ERROR: ${pricingModeError}`);
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', pricingModeError)
+      );
+    }
+    const pricingModes = getPricingModes(req.body);
+
+    const neededByError = validateNeededBy(req.body)
+      || products.map(productInput => (typeof productInput === 'object' ? validateNeededBy(productInput) : null)).find(Boolean);
+    if (neededByError) {
+      console.log(`[PRICE-BATCH] ERROR: ${neededByError}`);
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', neededByError)
+      );
+    }
+
+    const currency = await resolveCurrency(req.body.currency);
+    if (currency.error) {
+      console.log(`[PRICE-BATCH] ERROR: ${currency.error.error.message}`);
+      return res.status(400).json(currency.error);
+    }
+    const { fx } = currency;
+    if (fx) {
+      console.log(`[PRICE-BATCH] Currency: ${fx.currency} @ ${fx.rate} (${fx.source || 'unknown source'}, fetched ${fx.fetched_at})`);
+    }
+
+    const customer = await resolveCustomer(req.body.customer_id);
+    if (customer.error) {
+      console.log(`[PRICE-BATCH] ERROR: ${customer.error.error.message}`);
+      return res.status(customer.status).json(customer.error);
+    }
+    const { customerPricing } = customer;
+    // Margin alerts are for staff tools only; checked once every product is priced
+    const marginGuard = hasInternalScope(req) ? await loadMarginGuard() : null;
+    const marginChecks = [];
+
     const results = await Promise.all(
       products.map(async (productInput) => {
         const supplierContext = getSupplierContext(productInput);
@@ -368,6 +717,8 @@ router.post('/batch', async (req, res) => {
           : null;
         const quantityKey = websiteProductId || productName;
         const quantity = quantities?.[quantityKey] || quantities?.[productName] || 100;
+        const checkStockRequested = typeof productInput === 'object' && Boolean(productInput.check_stock);
+        const neededBy = (typeof productInput === 'object' && productInput.needed_by) || req.body.needed_by || null;
 
         console.log(`[PRICE-BATCH] Processing: "${productName || websiteProductId}" (qty: ${quantity})`);
 
@@ -400,40 +751,101 @@ router.post('/batch', async (req, res) => {
 
         console.log(`[PRICE-BATCH] Match: "${productName || websiteProductId}" → "${product.name}" (${matchType})`);
 
-        // Get pricing with lead time fallback (local → overseas_air → overseas_sea)
-        let leadTimeType = 'local';
-        let pricing = await getPricingForProducts({
-          products: [product],
-          quantity,
-          leadTimeType
-        });
+        if (isHeatTransferLanyardProduct(product)) {
+          // Refused as in /lookup, whether the fields are on the entry or batch-wide
+          const unsupported = getUnsupportedLanyardFields({ customerPricing, neededBy });
+          const lanyard = unsupported
+            ? { error: formatErrorResponse('INVALID_PARAMETERS', unsupported) }
+            : await quoteLanyardProduct(typeof productInput === 'object' ? productInput : {}, quantity);
+          if (lanyard.error) {
+            console.log(`[PRICE-BATCH] LANYARD: "${productName || websiteProductId}" - ${lanyard.error.error.message}`);
+            return {
+              searchedTerm: productName || websiteProductId,
+              websiteProductId: product.website_product_id || null,
+              found: false,
+              matchType,
+              message: lanyard.error.error.message
+            };
+          }
 
-        if (pricing.length === 0) {
-          leadTimeType = 'overseas_air';
-          pricing = await getPricingForProducts({
-            products: [product],
-            quantity,
-            leadTimeType
-          });
+          const { result: lanyardResult, quote } = lanyard;
+          console.log(`[PRICE-BATCH] SUCCESS: "${productName || websiteProductId}" @ $${quote.unit_price_sgd}/unit (lanyard calculator, ${quote.freight_type})`);
+          const lanyardLine = {
+            searchedTerm: productName || websiteProductId,
+            found: true,
+            matchType,
+            product: {
+              id: product.id || null,
+              websiteProductId: product.website_product_id || null,
+              name: lanyardResult.product_name,
+              printOption: `${lanyardResult.attachment_type}, ${lanyardResult.size_label}`,
+              pricing: {
+                quantity: quote.quantity,
+                unitPrice: quote.unit_price_sgd,
+                totalPrice: quote.total_price_sgd,
+                amount_ex_gst: quote.amount_ex_gst,
+                gst_rate: quote.gst_rate,
+                gst_amount: quote.gst_amount,
+                amount_inc_gst: quote.amount_inc_gst,
+                currency: quote.currency
+              },
+              moq: quote.moq,
+              leadTime: quote.lead_time,
+              lanyard: {
+                attachment_type: lanyardResult.attachment_type,
+                width_mm: lanyardResult.width_mm,
+                freight_type: quote.freight_type,
+                design_charge: lanyardResult.design_charge || null
+              },
+              marginAlert: null
+            }
+          };
+          if (lanyard.warnings.length > 0) {
+            lanyardLine.warning = lanyard.warnings.join('. ');
+          }
+          return lanyardLine;
         }
 
-        if (pricing.length === 0) {
-          leadTimeType = 'overseas_sea';
+        // Get pricing with lead time fallback (local → overseas_air → overseas_sea),
+        // limited to lead times that can make needed_by when one was given
+        const deliveryPlan = neededBy
+          ? await getDeliveryOptions({ productId: product.id, productName: product.name, neededBy })
+          : null;
+        const leadTimeCandidates = getLeadTimeCandidates(deliveryPlan);
+        let leadTimeType = leadTimeCandidates[0];
+        let pricing = [];
+        for (const candidate of leadTimeCandidates) {
+          leadTimeType = candidate;
           pricing = await getPricingForProducts({
             products: [product],
             quantity,
-            leadTimeType
+            leadTimeType,
+            customerPricing,
+            ...pricingModes
           });
+          if (pricing.length > 0) break;
         }
 
         if (pricing.length === 0) {
           console.log(`[PRICE-BATCH] NO PRICING: "${productName || websiteProductId}" (product exists but no pricing)`);
-          return buildPricingMiss({
+          const estimate = await getCostPlusEstimate({
+            supplierContext,
+            product,
+            quantity,
+            printOption: typeof productInput === 'object' ? productInput.print_option || null : null
+          });
+          if (estimate) {
+            console.log(`[PRICE-BATCH] COST-PLUS: "${productName || websiteProductId}" @ $${estimate.unit_price}/unit (${estimate.vendor}, confidence ${estimate.confidence})`);
+          }
+          const miss = buildPricingMiss({
             searchedTerm: productName || websiteProductId,
             product,
             supplierContext,
-            matchType
+            matchType,
+            estimate
           });
+          const missStock = await getStockCheck({ supplierContext, product, quantity, checkStockRequested });
+          return missStock ? { ...miss, stock: missStock } : miss;
         }
 
         const result = {
@@ -445,9 +857,17 @@ router.post('/batch', async (req, res) => {
             websiteProductId: product.website_product_id || null,
             name: pricing[0].product_name,
             pricing: {
-              quantity,
+              quantity: pricing[0].pricing.charged_quantity || quantity,
               unitPrice: pricing[0].pricing.unit_price,
               totalPrice: pricing[0].pricing.total_price,
+              ...(pricing[0].pricing.list_unit_price !== undefined ? {
+                listUnitPrice: pricing[0].pricing.list_unit_price,
+                listTotalPrice: pricing[0].pricing.list_total_price
+              } : {}),
+              amount_ex_gst: pricing[0].pricing.amount_ex_gst,
+              gst_rate: pricing[0].pricing.gst_rate,
+              gst_amount: pricing[0].pricing.gst_amount,
+              amount_inc_gst: pricing[0].pricing.amount_inc_gst,
               currency: pricing[0].pricing.currency
             },
             moq: pricing[0].moq,
@@ -455,10 +875,46 @@ router.post('/batch', async (req, res) => {
           }
         };
 
+        if (pricing[0].customer_pricing) result.product.customerPricing = pricing[0].customer_pricing;
+        if (pricing[0].promotion) result.product.promotion = pricing[0].promotion;
+        if (pricing[0].tier_advice) result.product.tierAdvice = pricing[0].tier_advice;
+        if (pricing[0].interpolation) result.product.interpolation = pricing[0].interpolation;
+        result.product.marginAlert = null;
+        marginChecks.push({
+          result,
+          productName: product.name,
+          params: {
+            pricingId: pricing[0].pricing.pricing_id,
+            unitPrice: pricing[0].pricing.unit_price,
+            quantity: pricing[0].pricing.charged_quantity || quantity,
+            category: product.category,
+            supplierContext
+          }
+        });
+
         // Add warning for fuzzy matches
         if (matchType === 'fuzzy') {
           result.warning = 'Matched via fuzzy search - please verify product';
         }
+        if (pricing[0].pricing.note) {
+          const note = `${pricing[0].pricing.note}; priced at ${pricing[0].pricing.charged_quantity} pcs`;
+          result.warning = result.warning ? `${result.warning}. ${note}` : note;
+        }
+
+        if (deliveryPlan) {
+          result.delivery = selectDelivery(deliveryPlan, leadTimeType);
+          for (const note of [deliveryPlan.message, deliveryPlan.warning].filter(Boolean)) {
+            result.warning = result.warning ? `${result.warning}. ${note}` : note;
+          }
+        }
+
+        const stock = await getStockCheck({ supplierContext, product, quantity, checkStockRequested });
+        if (stock) {
+          result.stock = stock;
+          if (stock.warning) {
+            result.warning = result.warning ? `${result.warning}. ${stock.warning}` : stock.warning;
+          }
+        }
 
         console.log(`[PRICE-BATCH] SUCCESS: "${productName || websiteProductId}" @ $${pricing[0].pricing.unit_price}/unit (${leadTimeType})`);
 
@@ -466,16 +922,26 @@ router.post('/batch', async (req, res) => {
       })
     );
 
+    if (marginGuard) {
+      await preloadMarginCosts(marginGuard, marginChecks.map(check => check.params.pricingId));
+      await Promise.all(marginChecks.map(async ({ result, productName, params }) => {
+        result.product.marginAlert = await getMarginAlert(marginGuard, params);
+        if (result.product.marginAlert) {
+          console.log(`[PRICE-BATCH] MARGIN ALERT (${result.product.marginAlert.severity}): "${productName}" - ${result.product.marginAlert.message}`);
+        }
+      }));
+    }
+
     // Log summary
     const found = results.filter(r => r.found).length;
     const notFound = results.filter(r => !r.found).length;
     console.log(`[PRICE-BATCH] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
     console.log(`[PRICE-BATCH] Found: ${found} | Not Found: ${notFound}`);
 
-    return res.json({
+    return res.json(withCurrency({
       success: found > 0,
-      results
-    });
+      results: withDispatchDates(results)
+    }, fx));
 
   } catch (error) {
     console.error('[PRICE-BATCH] ERROR:', error.message);
@@ -487,12 +953,281 @@ router.post('/batch', async (req, res) => {
   }
 });
 
+// POST /api/price/paper - Paper print product calculator
+// Costs flyers, booklets, brochures, greeting cards, namecards, ... from the
+// paper_* cost tables and applies the matching profit rule
+router.post('/paper', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const request = req.body;
+
+    console.log('[PRICE-PAPER] ========== NEW REQUEST ==========');
+    console.log(`[PRICE-PAPER] Request: ${JSON.stringify(request)}`);
+
+    const validationError = validatePaperRequest(request);
+    if (validationError) {
+      console.log(`[PRICE-PAPER] ERROR: ${validationError}`);
+      return res.status(400).json(
+        formatErrorResponse('MISSING_PARAMETERS', validationError)
+      );
+    }
+
+    const { result, error } = await calculatePaperPrice(request);
+
+    if (error) {
+      console.log(`[PRICE-PAPER] ${error.code}: ${error.message}`);
+      return res.status(error.code === 'PAPER_SETTINGS_MISSING' ? 500 : 404).json(
+        formatErrorResponse(error.code, error.message)
+      );
+    }
+
+    console.log(`[PRICE-PAPER] ${result.product_type} ${result.size.name} (${result.size.size_tier}) on ${result.paper.paper_type} | ${result.imposition.pieces_per_sheet}-up, ${result.imposition.sheets_required} sheets`);
+    console.log(`[PRICE-PAPER] Cost: $${result.cost_breakdown.total_cost} | Price: $${result.pricing.total_price} ($${result.pricing.unit_price}/unit)`);
+    console.log(`[PRICE-PAPER] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.json(formatPaperPricingResponse({ result }, {
+      processingTime: Date.now() - startTime
+    }));
+
+  } catch (error) {
+    console.error('[PRICE-PAPER] ERROR:', error.message);
+    console.error('[PRICE-PAPER] Stack:', error.stack);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+// POST /api/price/decoration - Supplier decoration cost comparison
+// Costs printing/embroidering a vendor item at MYGIFT, SUNPRINT, PL Silkscreen and Venue31
+router.post('/decoration', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const request = req.body || {};
+
+    console.log('[PRICE-DECORATION] ========== NEW REQUEST ==========');
+    console.log(`[PRICE-DECORATION] Request: ${JSON.stringify(request)}`);
+
+    const validationError = validateDecorationRequest(request);
+    if (validationError) {
+      console.log(`[PRICE-DECORATION] ERROR: ${validationError}`);
+      return res.status(400).json(
+        formatErrorResponse('MISSING_PARAMETERS', validationError)
+      );
+    }
+
+    const result = await getDecorationCosts(request);
+
+    result.decorators.forEach((decorator) => {
+      const cost = decorator.total_cost === null ? decorator.status : `$${decorator.total_cost} ($${decorator.unit_cost}/pc)`;
+      console.log(`[PRICE-DECORATION]   ${decorator.decorator} ${decorator.charge_schedule || ''} ${decorator.print_method || ''}: ${cost}`);
+    });
+    console.log(`[PRICE-DECORATION] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.json(formatDecorationCostResponse(result, {
+      processingTime: Date.now() - startTime,
+      message: result.cheapest === null ? 'No decorator has a rate for this product and quantity' : null
+    }));
+
+  } catch (error) {
+    console.error('[PRICE-DECORATION] ERROR:', error.message);
+    console.error('[PRICE-DECORATION] Stack:', error.stack);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+// POST /api/price/lanyard - Heat transfer (dye sublimation) lanyard calculator
+// Structured alternative to the free-text lanyard query: attachment, add-ons,
+// width, freight, quantity and designs are validated against lanyard_component_costs
+router.post('/lanyard', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const request = req.body || {};
+
+    console.log('[PRICE-LANYARD] ========== NEW REQUEST ==========');
+    console.log(`[PRICE-LANYARD] Request: ${JSON.stringify(request)}`);
+
+    const currency = await resolveCurrency(request.currency);
+    if (currency.error) {
+      console.log(`[PRICE-LANYARD] ERROR: ${currency.error.error.message}`);
+      return res.status(400).json(currency.error);
+    }
+    const { fx } = currency;
+
+    const { spec, error, options } = await resolveLanyardSpec(request);
+    if (error) {
+      console.log(`[PRICE-LANYARD] ERROR: ${error}`);
+      return res.status(400).json({
+        ...formatErrorResponse('INVALID_PARAMETERS', error),
+        ...(options ? { data: options } : {})
+      });
+    }
+
+    const result = await quoteHeatTransferLanyard(spec);
+    if (!result) {
+      console.log(`[PRICE-LANYARD] No calculator tiers for "${spec.attachmentType}" ${spec.widthMm}mm`);
+      return res.status(404).json(
+        formatErrorResponse('PRICING_NOT_FOUND', 'No lanyard calculator price for this attachment/width combination')
+      );
+    }
+
+    console.log(`[PRICE-LANYARD] Attachment: "${result.attachment_type}" | ${result.size_label}`);
+    result.quotes.forEach((quote) => {
+      console.log(`[PRICE-LANYARD]   ${quote.freight_type} @ qty ${quote.quantity}: $${quote.unit_price_sgd}/unit`);
+    });
+    if (result.design_charge) {
+      console.log(`[PRICE-LANYARD]   Design charge: ${result.design_charge.designs} x $${result.design_charge.charge_per_design_sgd}`);
+    }
+    console.log(`[PRICE-LANYARD] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.json(withCurrency(formatLanyardPricingResponse(
+      { result },
+      {
+        processingTime: Date.now() - startTime,
+        message: spec.quantity && result.quotes.length === 0
+          ? result.notes.find(note => /no published price/i.test(note))
+          : null,
+        warning: fx ? fx.warning : null
+      }
+    ), fx));
+
+  } catch (error) {
+    console.error('[PRICE-LANYARD] ERROR:', error.message);
+    console.error('[PRICE-LANYARD] Stack:', error.stack);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+// POST /api/price/quote - Multi-line quote builder
+// Prices a whole customer enquiry (catalogue, lanyard and sample lines) into one quote
+router.post('/quote', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { line_items: lineItems } = req.body;
+
+    console.log('[PRICE-QUOTE] ========== NEW REQUEST ==========');
+    console.log(`[PRICE-QUOTE] Line items: ${JSON.stringify(lineItems)}`);
+
+    const validationError = validateLineItems(lineItems);
+    if (validationError) {
+      console.log(`[PRICE-QUOTE] ERROR: ${validationError}`);
+      return res.status(400).json(
+        formatErrorResponse('MISSING_PARAMETERS', validationError)
+      );
+    }
+
+    const quote = await buildQuote({ lineItems });
+
+    quote.lines.forEach((line) => {
+      const subtotal = line.line_subtotal === null ? 'not priced' : `$${line.line_subtotal}`;
+      console.log(`[PRICE-QUOTE]   ${line.line_number}. ${line.product_name || line.searched_term} (${line.source || 'unresolved'}) x ${line.quantity}: ${subtotal}`);
+    });
+    console.log(`[PRICE-QUOTE] Subtotal: $${quote.totals.subtotal} | GST: $${quote.totals.gst_amount} | Total: $${quote.totals.grand_total}`);
+    console.log(`[PRICE-QUOTE] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.json(formatQuoteResponse(quote, {
+      processingTime: Date.now() - startTime,
+      message: quote.lines_priced === 0 ? 'None of the line items could be priced' : null,
+      warning: quote.lines_priced < quote.lines_total
+        ? 'Some line items could not be priced and are excluded from the totals'
+        : null
+    }));
+
+  } catch (error) {
+    console.error('[PRICE-QUOTE] ERROR:', error.message);
+    console.error('[PRICE-QUOTE] Stack:', error.stack);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+// POST /api/price/quote/pdf - Render a customer-facing quote PDF
+// Takes line_items (priced here like /quote) or a priced response from
+// /query, /quote or a lanyard query (`response`), so the Discord bot and
+// orchestrator can attach the PDF to whatever they just priced.
+router.post('/quote/pdf', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { line_items: lineItems, response, customer, reference, notes } = req.body;
+
+    console.log('[PRICE-QUOTE-PDF] ========== NEW REQUEST ==========');
+    console.log(`[PRICE-QUOTE-PDF] Source: ${lineItems ? `${Array.isArray(lineItems) ? lineItems.length : 0} line items` : 'priced response'}`);
+
+    if (!lineItems && !response) {
+      console.log('[PRICE-QUOTE-PDF] ERROR: Missing line_items or response');
+      return res.status(400).json(
+        formatErrorResponse('MISSING_PARAMETERS', 'line_items or response is required')
+      );
+    }
+
+    let payload = response;
+    if (lineItems) {
+      const validationError = validateLineItems(lineItems);
+      if (validationError) {
+        console.log(`[PRICE-QUOTE-PDF] ERROR: ${validationError}`);
+        return res.status(400).json(
+          formatErrorResponse('MISSING_PARAMETERS', validationError)
+        );
+      }
+      payload = await buildQuote({ lineItems });
+    }
+
+    const document = toQuoteDocument(payload, {
+      customer,
+      reference,
+      notes: Array.isArray(notes) ? notes : (notes ? [notes] : [])
+    });
+
+    if (!document) {
+      console.log('[PRICE-QUOTE-PDF] ERROR: Nothing priced to render');
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', 'response does not contain any priced lines')
+      );
+    }
+
+    const pdf = await renderQuotePdf(document);
+
+    console.log(`[PRICE-QUOTE-PDF] Rendered ${document.lines.length} lines | Total: $${document.totals.grand_total} | ${pdf.length} bytes`);
+    console.log(`[PRICE-QUOTE-PDF] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${document.reference || 'easyprint-quote'}.pdf"`);
+    return res.send(pdf);
+
+  } catch (error) {
+    console.error('[PRICE-QUOTE-PDF] ERROR:', error.message);
+    console.error('[PRICE-QUOTE-PDF] Stack:', error.stack);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
 // POST /api/price/lookup - Direct structured lookup
 router.post('/lookup', async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { product_name, website_product_id, print_option, lead_time_type, quantity } = req.body;
+    const {
+      product_name,
+      website_product_id,
+      print_option,
+      lead_time_type,
+      quantity,
+      check_stock: checkStockRequested,
+      strict_print_option,
+      needed_by
+    } = req.body;
 
     console.log('[PRICE-LOOKUP] ========== NEW REQUEST ==========');
     console.log(`[PRICE-LOOKUP] Product: "${product_name || website_product_id}"`);
@@ -505,6 +1240,44 @@ router.post('/lookup', async (req, res) => {
       );
     }
 
+    const pricingModeError = validatePricingModes(req.body);
+    if (pricingModeError) {
+      console.log(`[PRICE-LOOKUP] ERROR: ${pricingModeError}`);
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', pricingModeError)
+      );
+    }
+
+    const neededByError = validateNeededBy(req.body);
+    if (neededByError) {
+      console.log(`[PRICE-LOOKUP] ERROR: ${neededByError}`);
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', neededByError)
+      );
+    }
+
+    const currency = await resolveCurrency(req.body.currency);
+    if (currency.error) {
+      console.log(`[PRICE-LOOKUP] ERROR: ${currency.error.error.message}`);
+      return res.status(400).json(currency.error);
+    }
+    const { fx } = currency;
+
+    const customer = await resolveCustomer(req.body.customer_id);
+    if (customer.error) {
+      console.log(`[PRICE-LOOKUP] ERROR: ${customer.error.error.message}`);
+      return res.status(customer.status).json(customer.error);
+    }
+    const { customerPricing } = customer;
+
+    const includeOptions = resolveInclude(req);
+    if (includeOptions.error) {
+      console.log(`[PRICE-LOOKUP] ERROR: ${includeOptions.error.error.message}`);
+      return res.status(includeOptions.status).json(includeOptions.error);
+    }
+    const includeCost = includeOptions.include.includes('cost');
+
+    const supplierContext = getSupplierContext(req.body);
     let product = null;
     if (website_product_id) {
       product = await getProductByWebsiteProductId(website_product_id);
@@ -518,17 +1291,179 @@ router.post('/lookup', async (req, res) => {
       product = await getProductByName(product_name);
     }
 
+    if (isHeatTransferLanyardProduct(product)) {
+      const unsupported = getUnsupportedLanyardFields({
+        customerPricing,
+        neededBy: needed_by,
+        include: includeOptions.include
+      });
+      if (unsupported) {
+        console.log(`[PRICE-LOOKUP] ERROR: ${unsupported}`);
+        return res.status(400).json(
+          formatErrorResponse('INVALID_PARAMETERS', unsupported)
+        );
+      }
+
+      const lanyard = await quoteLanyardProduct(req.body, quantity);
+      if (lanyard.error) {
+        console.log(`[PRICE-LOOKUP] Lanyard: ${lanyard.error.error.message}`);
+        return res.status(lanyard.status).json(lanyard.error);
+      }
+
+      const { result: lanyardResult, quote } = lanyard;
+      console.log(`[PRICE-LOOKUP] Lanyard calculator: "${lanyardResult.attachment_type}" ${lanyardResult.size_label} | ${quote.freight_type} @ qty ${quote.quantity}: $${quote.unit_price_sgd}/unit`);
+      console.log(`[PRICE-LOOKUP] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+      return res.json(withCurrency({
+        success: true,
+        data: withDispatchDates({
+          product_name: lanyardResult.product_name,
+          product_id: product.id || null,
+          pricing_id: null,
+          website_product_id: product.website_product_id || website_product_id || null,
+          print_option: `${lanyardResult.attachment_type}, ${lanyardResult.size_label}`,
+          lead_time_type: quote.lead_time.type,
+          lead_time_days_min: quote.lead_time.days_min,
+          lead_time_days_max: quote.lead_time.days_max,
+          quantity: quote.quantity,
+          unit_price: quote.unit_price_sgd,
+          total_price: quote.total_price_sgd,
+          ...getGstBreakdown(quote.total_price_sgd),
+          currency: quote.currency,
+          price_basis: 'lanyard_calculator',
+          moq: quote.moq,
+          lanyard: {
+            attachment_type: lanyardResult.attachment_type,
+            width_mm: lanyardResult.width_mm,
+            size_label: lanyardResult.size_label,
+            freight_type: quote.freight_type,
+            design_charge: lanyardResult.design_charge || null
+          },
+          margin_alert: null,
+          warning: [
+            ...lanyard.warnings,
+            fx ? fx.warning : null
+          ].filter(Boolean).join('. ') || null
+        })
+      }, fx));
+    }
+
+    // With needed_by and no lead_time_type, use the first lead time that can make it
+    let leadTimeType = lead_time_type || 'local';
+    const deliveryPlan = needed_by
+      ? await getDeliveryOptions({ productId: product?.id, productName: product?.name || product_name, neededBy: needed_by })
+      : null;
+    if (deliveryPlan) {
+      if (!lead_time_type && deliveryPlan.can_meet_date) {
+        leadTimeType = deliveryPlan.feasible_lead_time_types[0];
+      }
+      console.log(`[PRICE-LOOKUP] Needed by ${deliveryPlan.needed_by}: feasible ${deliveryPlan.feasible_lead_time_types.join(', ') || 'none'} → ${leadTimeType}`);
+    }
+
+    // Resolve the requested decoration against what the product offers. When
+    // it isn't offered, price the nearest option and flag the substitution
+    // (or refuse with strict_print_option).
+    let printOption = print_option;
+    let printOptionSubstitution = null;
+    if (print_option) {
+      const resolved = await resolvePrintOption({
+        productId: product?.id,
+        productName: product?.name || product_name,
+        printOption: print_option,
+        leadTimeType
+      });
+
+      if (!resolved.matched && resolved.available_options.length > 0) {
+        const productLabel = product?.name || product_name;
+        const availablePrintOptions = await getAvailablePrintOptions({
+          productId: product?.id,
+          productName: productLabel,
+          leadTimeType
+        });
+
+        if (strict_print_option) {
+          const message = describeUnavailablePrintOption(print_option, productLabel, resolved.available_options);
+          console.log(`[PRICE-LOOKUP] Print option not available: ${message}`);
+          console.log(`[PRICE-LOOKUP] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+          return res.status(404).json({
+            ...formatErrorResponse('PRINT_OPTION_NOT_AVAILABLE', message),
+            data: {
+              product_name: productLabel,
+              product_id: product?.id || null,
+              print_option_requested: print_option,
+              print_option_parsed: resolved.requested,
+              print_option_normalised: resolved.normalised,
+              lead_time_type: leadTimeType,
+              available_print_options: availablePrintOptions
+            }
+          });
+        }
+
+        printOption = resolved.nearest;
+        printOptionSubstitution = {
+          reason: describeSubstitution(print_option, printOption, productLabel),
+          available_print_options: availablePrintOptions
+        };
+        console.log(`[PRICE-LOOKUP] SUBSTITUTION: ${printOptionSubstitution.reason}`);
+      } else if (resolved.matched) {
+        printOption = resolved.matched;
+        if (resolved.match_type !== 'exact') {
+          console.log(`[PRICE-LOOKUP] Print option "${print_option}" → "${printOption}" (${resolved.normalised})`);
+        }
+      }
+    }
+
     // Get pricing for the specified variant
     const pricing = await getPriceForQuantity({
       productId: product?.id,
       productName: product?.name || product_name,
-      printOption: print_option,
-      leadTimeType: lead_time_type || 'local',
-      quantity
+      printOption,
+      leadTimeType,
+      quantity,
+      customerPricing,
+      category: product?.category || null,
+      ...getPricingModes(req.body)
     });
 
     if (!pricing) {
       console.log(`[PRICE-LOOKUP] No pricing found for "${product?.name || product_name || website_product_id}"`);
+
+      const estimate = await getCostPlusEstimate({
+        supplierContext,
+        product,
+        quantity,
+        printOption: print_option
+      });
+
+      if (estimate) {
+        const estimateStock = await getStockCheck({ supplierContext, product, quantity, checkStockRequested });
+        console.log(`[PRICE-LOOKUP] Cost-plus estimate: $${estimate.unit_price}/unit (${estimate.vendor}, margin ${estimate.margin.markup_percentage}% from ${estimate.margin.basis}, confidence ${estimate.confidence})`);
+        console.log(`[PRICE-LOOKUP] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+        return res.json(withCurrency({
+          success: true,
+          data: {
+            ...buildPricingMiss({
+              searchedTerm: product_name || website_product_id,
+              product: product || { name: product_name, website_product_id },
+              supplierContext,
+              matchType: product ? 'website_product_id' : null,
+              estimate
+            }),
+            quantity: estimate.quantity,
+            unit_price: estimate.unit_price,
+            total_price: estimate.total_price,
+            amount_ex_gst: estimate.amount_ex_gst,
+            gst_rate: estimate.gst_rate,
+            gst_amount: estimate.gst_amount,
+            amount_inc_gst: estimate.amount_inc_gst,
+            currency: estimate.currency,
+            confidence: estimate.confidence,
+            stock: estimateStock,
+            warning: [estimateStock ? estimateStock.warning : null, fx ? fx.warning : null].filter(Boolean).join('. ') || null
+          }
+        }, fx));
+      }
+
       console.log(`[PRICE-LOOKUP] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
       return res.status(404).json(
         {
@@ -536,7 +1471,7 @@ router.post('/lookup', async (req, res) => {
           data: buildPricingMiss({
             searchedTerm: product_name || website_product_id,
             product: product || { name: product_name, website_product_id },
-            supplierContext: getSupplierContext(req.body),
+            supplierContext,
             matchType: product ? 'website_product_id' : null
           })
         }
@@ -546,27 +1481,96 @@ router.post('/lookup', async (req, res) => {
     // Get MOQ info
     const moqInfo = product ? await getMOQInfoForProduct(product) : await getMOQInfo(product_name);
 
+    const stock = await getStockCheck({
+      supplierContext,
+      product: product || { name: product_name },
+      quantity: pricing.requested_quantity || pricing.quantity,
+      checkStockRequested
+    });
+
     console.log('[PRICE-LOOKUP] Result:');
     console.log(`[PRICE-LOOKUP]   Product: "${pricing.product_name}"`);
     console.log(`[PRICE-LOOKUP]   Quantity: ${pricing.requested_quantity || pricing.quantity} | Unit: $${pricing.unit_price} | Total: $${pricing.total_price}`);
     console.log(`[PRICE-LOOKUP]   MOQ: ${moqInfo ? moqInfo.lowest_moq : 'N/A'}`);
+    if (printOptionSubstitution) {
+      console.log(`[PRICE-LOOKUP]   Print option substituted: "${print_option}" → "${pricing.print_option}"`);
+    }
+    if (stock) {
+      console.log(`[PRICE-LOOKUP]   Stock: ${stock.status} at ${stock.vendor} ${stock.item_code} (available now: ${stock.available_now ?? 'unknown'})`);
+    }
+
+    // Margin alerts are for staff tools only
+    const marginAlert = hasInternalScope(req)
+      ? await getMarginAlert(await loadMarginGuard(), {
+        pricingId: pricing.pricing_id,
+        unitPrice: pricing.unit_price,
+        quantity: pricing.note ? pricing.quantity : pricing.requested_quantity || pricing.quantity,
+        category: product?.category || null,
+        supplierContext
+      })
+      : null;
+    if (marginAlert) {
+      console.log(`[PRICE-LOOKUP]   Margin alert (${marginAlert.severity}): ${marginAlert.message}`);
+    }
+
+    // Internal only: benchmark cost for the pricing row that was priced
+    const cost = includeCost ? await getBenchmarkCost(pricing.pricing_id) : null;
+    if (includeCost) {
+      console.log(`[PRICE-LOOKUP]   Cost: ${cost && cost.available ? `profit ${cost.benchmark_profit_percentage}% (batch ${cost.snapshot_date})` : 'no benchmark snapshot'}`);
+    }
     console.log(`[PRICE-LOOKUP] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
 
-    return res.json({
+    return res.json(withCurrency({
       success: true,
-      data: {
+      data: withDispatchDates({
         product_name: pricing.product_name,
         product_id: product?.id || null,
+        pricing_id: pricing.pricing_id || null,
         website_product_id: product?.website_product_id || website_product_id || null,
         print_option: pricing.print_option,
+        ...(print_option ? {
+          print_option_requested: print_option,
+          print_option_used: pricing.print_option,
+          substitution: Boolean(printOptionSubstitution),
+          substitution_reason: printOptionSubstitution ? printOptionSubstitution.reason : null,
+          available_print_options: printOptionSubstitution
+            ? printOptionSubstitution.available_print_options
+            : await getAvailablePrintOptions({ productId: product?.id, productName: pricing.product_name, leadTimeType: pricing.lead_time_type })
+        } : {}),
         lead_time_type: pricing.lead_time_type,
-        quantity: pricing.requested_quantity || pricing.quantity,
+        lead_time_days_min: pricing.lead_time_days_min ?? null,
+        lead_time_days_max: pricing.lead_time_days_max ?? null,
+        // Below the MOQ the MOQ quantity is charged
+        quantity: pricing.note ? pricing.quantity : pricing.requested_quantity || pricing.quantity,
+        ...(pricing.note ? { requested_quantity: pricing.requested_quantity } : {}),
         unit_price: pricing.unit_price,
         total_price: pricing.total_price,
+        ...(pricing.list_unit_price !== undefined ? {
+          list_unit_price: pricing.list_unit_price,
+          list_total_price: pricing.list_total_price
+        } : {}),
+        ...(pricing.customer_pricing ? { customer_pricing: pricing.customer_pricing } : {}),
+        ...(pricing.promotion ? { promotion: pricing.promotion } : {}),
+        ...getGstBreakdown(pricing.total_price),
         currency: pricing.currency,
-        moq: moqInfo ? moqInfo.lowest_moq : null
-      }
-    });
+        price_basis: getPriceBasis(pricing),
+        moq: moqInfo ? moqInfo.lowest_moq : null,
+        tier_advice: pricing.tier_advice || null,
+        interpolation: pricing.interpolation || null,
+        ...(deliveryPlan ? { delivery: selectDelivery(deliveryPlan, pricing.lead_time_type) } : {}),
+        stock,
+        margin_alert: marginAlert,
+        ...(includeCost ? { cost } : {}),
+        warning: [
+          pricing.note ? `${pricing.note}; priced at ${pricing.quantity} pcs` : null,
+          deliveryPlan ? deliveryPlan.message : null,
+          deliveryPlan ? deliveryPlan.warning : null,
+          stock ? stock.warning : null,
+          fx ? fx.warning : null,
+          includeCost && !(cost && cost.available) ? 'No benchmark cost snapshot for this pricing row' : null
+        ].filter(Boolean).join('. ') || null
+      })
+    }, fx));
 
   } catch (error) {
     console.error('[PRICE-LOOKUP] ERROR:', error.message);
@@ -628,6 +1632,13 @@ router.get('/product/:name/tiers', async (req, res) => {
       );
     }
 
+    const currency = await resolveCurrency(req.query.currency);
+    if (currency.error) {
+      console.log(`[PRICE-TIERS] ERROR: ${currency.error.error.message}`);
+      return res.status(400).json(currency.error);
+    }
+    const { fx } = currency;
+
     const decodedName = decodeURIComponent(name);
 
     // Verify product exists
@@ -658,13 +1669,68 @@ router.get('/product/:name/tiers', async (req, res) => {
     console.log(`[PRICE-TIERS] Found ${tiers.tiers ? tiers.tiers.length : 0} pricing tiers`);
     console.log(`[PRICE-TIERS] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
 
+    return res.json(withCurrency({
+      success: true,
+      data: withDispatchDates(tiers)
+    }, fx));
+
+  } catch (error) {
+    console.error('[PRICE-TIERS] ERROR:', error.message);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+// GET /api/price/product/:id/matrix - Full print option x lead time x quantity grid
+router.get('/product/:id/matrix', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+
+    console.log('[PRICE-MATRIX] ========== NEW REQUEST ==========');
+    console.log(`[PRICE-MATRIX] Product id: "${id}"`);
+
+    if (!UUID_PATTERN.test(id)) {
+      console.log('[PRICE-MATRIX] ERROR: Invalid product id');
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', 'id must be a products.id or website_product_id uuid')
+      );
+    }
+
+    const product = await getProductById(id);
+    if (!product) {
+      console.log(`[PRICE-MATRIX] Product not found: "${id}"`);
+      console.log(`[PRICE-MATRIX] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+      return res.status(404).json(
+        formatErrorResponse('PRODUCT_NOT_FOUND', 'Product not found')
+      );
+    }
+
+    const matrix = await getPricingMatrix({ productId: product.id });
+    if (!matrix) {
+      console.log(`[PRICE-MATRIX] No pricing found for "${product.name}"`);
+      console.log(`[PRICE-MATRIX] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+      return res.status(404).json(
+        formatErrorResponse('PRODUCT_NOT_FOUND', 'No pricing found for this product')
+      );
+    }
+
+    console.log(`[PRICE-MATRIX] "${product.name}": ${matrix.print_options.length} print options x ${matrix.lead_time_types.length} lead times x ${matrix.quantities.length} quantities`);
+    console.log(`[PRICE-MATRIX] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
     return res.json({
       success: true,
-      data: tiers
+      data: withDispatchDates({
+        ...matrix,
+        product_name: product.name,
+        website_product_id: product.website_product_id || null
+      })
     });
 
   } catch (error) {
-    console.error('[PRICE-TIERS] ERROR:', error.message);
+    console.error('[PRICE-MATRIX] ERROR:', error.message);
     return res.status(500).json(
       formatErrorResponse('DATABASE_ERROR', error.message)
     );
@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticate } = require('../middleware/auth');
+const { validateLineItems } = require('../services/quoteBuilder');
+const {
+  QUOTE_STATUSES,
+  createQuote,
+  getQuote,
+  listQuotes,
+  reviseQuote,
+  cloneQuote
+} = require('../services/quoteStore');
+const { toQuoteDocument, renderQuotePdf } = require('../services/quotePdf');
+const { formatErrorResponse } = require('../utils/formatters');
+
+function validateValidDays(validDays) {
+  if (validDays === undefined) return null;
+  return Number.isInteger(validDays) && validDays > 0
+    ? null
+    : 'valid_days must be a positive integer';
+}
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET /api/quotes - List stored quotes
+router.get('/', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { status, customer, limit = 20, offset = 0 } = req.query;
+
+    console.log('[QUOTES-LIST] ========== NEW REQUEST ==========');
+    console.log(`[QUOTES-LIST] Status: ${status || 'all'} | Customer: ${customer || 'all'} | Limit: ${limit} | Offset: ${offset}`);
+
+    const result = await listQuotes({
+      status,
+      customer,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+
+    console.log(`[QUOTES-LIST] Returned ${result.quotes.length} of ${result.total} quotes`);
+    console.log(`[QUOTES-LIST] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('[QUOTES-LIST] ERROR:', error.message);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+// POST /api/quotes - Price line items and store them as a new quote
+router.post('/', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { line_items: lineItems, customer, notes, valid_days: validDays, created_by: createdBy } = req.body;
+
+    console.log('[QUOTES-CREATE] ========== NEW REQUEST ==========');
+    console.log(`[QUOTES-CREATE] Customer: ${JSON.stringify(customer || {})} | Lines: ${Array.isArray(lineItems) ? lineItems.length : 0}`);
+
+    const validationError = validateLineItems(lineItems) || validateValidDays(validDays);
+    if (validationError) {
+      console.log(`[QUOTES-CREATE] ERROR: ${validationError}`);
+      return res.status(400).json(
+        formatErrorResponse('MISSING_PARAMETERS', validationError)
+      );
+    }
+
+    const quote = await createQuote({ lineItems, customer, notes, validDays, createdBy });
+
+    console.log(`[QUOTES-CREATE] Stored ${quote.quote_number} | Total: $${quote.totals.grand_total} | Valid until ${quote.valid_until}`);
+    console.log(`[QUOTES-CREATE] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.status(201).json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('[QUOTES-CREATE] ERROR:', error.message);
+    console.error('[QUOTES-CREATE] Stack:', error.stack);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+// GET /api/quotes/:id - Re-open a stored quote (uuid or quote number) with its revisions
+router.get('/:id', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+
+    console.log('[QUOTES-GET] ========== NEW REQUEST ==========');
+    console.log(`[QUOTES-GET] Quote: "${id}"`);
+
+    const quote = await getQuote(id);
+
+    if (!quote) {
+      console.log(`[QUOTES-GET] Quote not found: "${id}"`);
+      return res.status(404).json(
+        formatErrorResponse('QUOTE_NOT_FOUND', 'Quote not found')
+      );
+    }
+
+    console.log(`[QUOTES-GET] ${quote.quote_number} rev ${quote.current_revision} | Expired: ${quote.is_expired}`);
+    console.log(`[QUOTES-GET] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('[QUOTES-GET] ERROR:', error.message);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+// GET /api/quotes/:id/pdf - Customer-facing PDF of the quote's current revision
+router.get('/:id/pdf', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+
+    console.log('[QUOTES-PDF] ========== NEW REQUEST ==========');
+    console.log(`[QUOTES-PDF] Quote: "${id}"`);
+
+    const quote = await getQuote(id);
+    const document = quote ? toQuoteDocument(quote) : null;
+
+    if (!document) {
+      console.log(`[QUOTES-PDF] Quote not found: "${id}"`);
+      return res.status(404).json(
+        formatErrorResponse('QUOTE_NOT_FOUND', 'Quote not found')
+      );
+    }
+
+    const pdf = await renderQuotePdf(document);
+
+    console.log(`[QUOTES-PDF] ${quote.quote_number} rev ${quote.current_revision} | ${pdf.length} bytes`);
+    console.log(`[QUOTES-PDF] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${quote.quote_number}.pdf"`);
+    return res.send(pdf);
+
+  } catch (error) {
+    console.error('[QUOTES-PDF] ERROR:', error.message);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+// POST /api/quotes/:id/revisions - Revise a quote (new lines, or re-price the current ones)
+router.post('/:id/revisions', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+    const { line_items: lineItems, valid_days: validDays, note, status, created_by: createdBy } = req.body;
+
+    console.log('[QUOTES-REVISE] ========== NEW REQUEST ==========');
+    console.log(`[QUOTES-REVISE] Quote: "${id}" | New lines: ${lineItems ? lineItems.length : 'no (re-price)'}`);
+
+    const validationError = (lineItems !== undefined ? validateLineItems(lineItems) : null)
+      || validateValidDays(validDays)
+      || (status && !QUOTE_STATUSES.includes(status)
+        ? `status must be one of ${QUOTE_STATUSES.join(', ')}`
+        : null);
+    if (validationError) {
+      console.log(`[QUOTES-REVISE] ERROR: ${validationError}`);
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', validationError)
+      );
+    }
+
+    const quote = await reviseQuote(id, { lineItems, validDays, note, status, createdBy });
+
+    if (!quote) {
+      console.log(`[QUOTES-REVISE] Quote not found: "${id}"`);
+      return res.status(404).json(
+        formatErrorResponse('QUOTE_NOT_FOUND', 'Quote not found')
+      );
+    }
+
+    console.log(`[QUOTES-REVISE] ${quote.quote_number} now rev ${quote.current_revision} | Total: $${quote.totals.grand_total}`);
+    console.log(`[QUOTES-REVISE] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('[QUOTES-REVISE] ERROR:', error.message);
+    console.error('[QUOTES-REVISE] Stack:', error.stack);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+// POST /api/quotes/:id/clone - Start a new quote from an existing one
+router.post('/:id/clone', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+    const { customer, notes, valid_days: validDays, created_by: createdBy } = req.body;
+
+    console.log('[QUOTES-CLONE] ========== NEW REQUEST ==========');
+    console.log(`[QUOTES-CLONE] Source quote: "${id}"`);
+
+    const validationError = validateValidDays(validDays);
+    if (validationError) {
+      console.log(`[QUOTES-CLONE] ERROR: ${validationError}`);
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', validationError)
+      );
+    }
+
+    const quote = await cloneQuote(id, { customer, notes, validDays, createdBy });
+
+    if (!quote) {
+      console.log(`[QUOTES-CLONE] Quote not found: "${id}"`);
+      return res.status(404).json(
+        formatErrorResponse('QUOTE_NOT_FOUND', 'Quote not found')
+      );
+    }
+
+    console.log(`[QUOTES-CLONE] Cloned "${id}" -> ${quote.quote_number}`);
+    console.log(`[QUOTES-CLONE] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.status(201).json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('[QUOTES-CLONE] ERROR:', error.message);
+    console.error('[QUOTES-CLONE] Stack:', error.stack);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+module.exports = router;
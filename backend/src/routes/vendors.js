@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticate } = require('../middleware/auth');
+const {
+  VENDOR_KEYS,
+  normaliseVendor,
+  searchVendorProducts
+} = require('../services/vendorCatalogue');
+const { checkStock } = require('../services/stockCheck');
+const { formatErrorResponse } = require('../utils/formatters');
+
+function parseInStock(value) {
+  if (value === undefined || value === '') return null;
+  if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+  return undefined;
+}
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET /api/vendors/products - Search vendor catalogues (MYGIFT, FGCONCEPT, ThumbTech, Ultifresh, OrenSport, Dealers FG)
+router.get('/products', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { q, vendor, in_stock: inStockParam, category, limit = 20 } = req.query;
+
+    console.log('[VENDORS-SEARCH] ========== NEW REQUEST ==========');
+    console.log(`[VENDORS-SEARCH] Query: "${q || ''}" | Vendor: ${vendor || 'all'} | In stock: ${inStockParam || 'any'} | Category: ${category || 'any'}`);
+
+    if (!q && !vendor && !category) {
+      console.log('[VENDORS-SEARCH] ERROR: Missing q / vendor / category');
+      return res.status(400).json(
+        formatErrorResponse('MISSING_PARAMETERS', 'q, vendor or category is required')
+      );
+    }
+
+    if (vendor && !normaliseVendor(vendor)) {
+      console.log(`[VENDORS-SEARCH] ERROR: Unknown vendor "${vendor}"`);
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', `Unknown vendor "${vendor}". Use ${VENDOR_KEYS.join(', ')}`)
+      );
+    }
+
+    const inStock = parseInStock(inStockParam);
+    if (inStock === undefined) {
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', 'in_stock must be true or false')
+      );
+    }
+
+    const result = await searchVendorProducts({
+      q,
+      vendor,
+      inStock,
+      category,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100)
+    });
+
+    result.vendors.forEach((entry) => {
+      console.log(`[VENDORS-SEARCH]   ${entry.vendor}: ${entry.count} (${entry.match_type || 'no match'})`);
+    });
+    console.log(`[VENDORS-SEARCH] Returned ${result.results.length} of ${result.total_matched}`);
+    console.log(`[VENDORS-SEARCH] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('[VENDORS-SEARCH] ERROR:', error.message);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+// POST /api/vendors/stock-check - Can the vendor cover a quantity now / by when?
+router.post('/stock-check', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const {
+      supplier_name: supplierName,
+      supplier_product_code: supplierProductCode,
+      supplier_variant: supplierVariant,
+      product_name: productName,
+      quantity
+    } = req.body;
+
+    console.log('[VENDORS-STOCK] ========== NEW REQUEST ==========');
+    console.log(`[VENDORS-STOCK] Supplier: ${supplierName || 'any'} | Code: ${supplierProductCode || 'N/A'} | Variant: ${supplierVariant || 'any'} | Product: "${productName || ''}" | Qty: ${quantity}`);
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json(
+        formatErrorResponse('MISSING_PARAMETERS', 'quantity must be a positive integer')
+      );
+    }
+
+    if (!(supplierName && supplierProductCode) && !productName) {
+      return res.status(400).json(
+        formatErrorResponse('MISSING_PARAMETERS', 'supplier_name with supplier_product_code, or product_name, is required')
+      );
+    }
+
+    if (supplierName && !normaliseVendor(supplierName)) {
+      return res.status(400).json(
+        formatErrorResponse('INVALID_PARAMETERS', `Unknown vendor "${supplierName}". Use ${VENDOR_KEYS.join(', ')}`)
+      );
+    }
+
+    const stock = await checkStock({
+      supplierContext: { supplierName, supplierProductCode, supplierVariant },
+      product: productName ? { name: productName } : null,
+      quantity,
+      searchByName: true
+    });
+
+    if (!stock) {
+      console.log('[VENDORS-STOCK] No matching vendor rows');
+      return res.status(404).json(
+        formatErrorResponse('VENDOR_PRODUCT_NOT_FOUND', 'No vendor catalogue row matches this product')
+      );
+    }
+
+    console.log(`[VENDORS-STOCK] ${stock.status} at ${stock.vendor} ${stock.item_code} | Now: ${stock.available_now ?? 'unknown'} | Shortfall: ${stock.shortfall}`);
+    console.log(`[VENDORS-STOCK] ========== RESPONSE SENT (${Date.now() - startTime}ms) ==========`);
+
+    return res.json({
+      success: true,
+      data: stock
+    });
+
+  } catch (error) {
+    console.error('[VENDORS-STOCK] ERROR:', error.message);
+    return res.status(500).json(
+      formatErrorResponse('DATABASE_ERROR', error.message)
+    );
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const pricingRoutes = require('./routes/pricing');
+const quoteRoutes = require('./routes/quotes');
+const vendorRoutes = require('./routes/vendors');
+const benchmarkRoutes = require('./routes/benchmarks');
 const { supabase } = require('./services/supabase');
 
 const app = express();
@@ -42,6 +45,9 @@ app.get('/api/health', async (req, res) => {
 
 // API routes
 app.use('/api/price', pricingRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/vendors', vendorRoutes);
+app.use('/api/benchmarks', benchmarkRoutes);
 
 // 404 handler
 app.use((req, res) => {
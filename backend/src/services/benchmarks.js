@@ -0,0 +1,640 @@
+const { supabase } = require('./supabase');
+
+// Benchmark cost/profit snapshots (pricing_benchmark_snapshot_batches +
+// pricing_benchmark_snapshots), imported per `pricing.id` from the Google
+// Sheet. Used to show the cost behind a catalogue price and to find
+// comparables when quoting new/custom products. Cost and margin figures are
+// internal: only callers with the internal API key scope may see them.
+
+// Comparable finder weights; criteria the caller leaves out are dropped and
+// the rest rescaled.
+const COMPARABLE_WEIGHTS = { category: 0.35, name: 0.35, cost: 0.2, print_vendor: 0.1 };
+
+// Products kept after category/name scoring, before tiers are loaded.
+const CANDIDATE_PRODUCTS = 40;
+
+// Comparables needed before the suggested margin range is trusted.
+const MIN_COMPARABLES = 3;
+
+// `.in()` filters are sent in the URL; keep id lists short.
+const IN_CHUNK_SIZE = 100;
+
+// Rows per request when reading a whole batch (PostgREST caps at 1000).
+const PAGE_SIZE = 1000;
+
+// Drift report defaults: relative cost change (%), profit percentage change
+// (points), and the lowest acceptable profit over cost for a selling price.
+const DRIFT_COST_CHANGE_PCT = parseFloat(process.env.BENCHMARK_DRIFT_COST_PCT || '10');
+const DRIFT_PROFIT_CHANGE_PTS = parseFloat(process.env.BENCHMARK_DRIFT_PROFIT_PTS || '5');
+const MARGIN_FLOOR_PCT = parseFloat(process.env.BENCHMARK_MARGIN_FLOOR_PCT || '15');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Normalise a stored benchmark percentage to percent (35 or 0.35 -> 35).
+ *
+ * @param {*} value - Raw snapshot value
+ * @returns {number|null} Percentage, or null when not a number
+ */
+function toPercentage(value) {
+  const percentage = toNumber(value);
+  if (percentage === null) return null;
+  // Snapshot percentages are stored either as 35 or as 0.35.
+  return Math.abs(percentage) <= 1 ? parseFloat((percentage * 100).toFixed(2)) : percentage;
+}
+
+/**
+ * Most recent benchmark snapshot batch.
+ *
+ * @returns {Promise<object|null>} { id, snapshot_date } or null when none imported
+ */
+async function getLatestBenchmarkBatch() {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('pricing_benchmark_snapshot_batches')
+    .select('id, snapshot_date')
+    .order('snapshot_date', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+function formatPrintMethods(snapshot) {
+  return [
+    {
+      print_method: snapshot.print_method_1,
+      positions: snapshot.no_of_positions_1 ?? null,
+      print_cost: toNumber(snapshot.print_method_1_cost),
+      cost_basis: snapshot.print_method_1_cost_basis || null
+    },
+    {
+      print_method: snapshot.print_method_2,
+      positions: null,
+      print_cost: toNumber(snapshot.print_method_2_cost),
+      cost_basis: snapshot.print_method_2_cost_basis || null
+    }
+  ].filter(method => method.print_method);
+}
+
+function formatBenchmarkCost(pricingId, batch, snapshot) {
+  if (!snapshot) {
+    return {
+      available: false,
+      pricing_id: pricingId || null,
+      snapshot_batch_id: batch.id,
+      snapshot_date: batch.snapshot_date
+    };
+  }
+
+  return {
+    available: true,
+    pricing_id: pricingId,
+    snapshot_batch_id: batch.id,
+    snapshot_date: batch.snapshot_date,
+    product_source: snapshot.product_source || null,
+    print_vendor_source: snapshot.print_vendor_source || null,
+    item_unit_cost: toNumber(snapshot.item_unit_cost),
+    total_item_cost: toNumber(snapshot.total_item_cost),
+    print_methods: formatPrintMethods(snapshot),
+    block_charges: toNumber(snapshot.block_charges),
+    total_print_cost: toNumber(snapshot.total_print_cost),
+    average_print_unit_cost: toNumber(snapshot.average_print_unit_cost),
+    benchmark_profit_amount: toNumber(snapshot.benchmark_profit_amount),
+    benchmark_profit_percentage: toPercentage(snapshot.benchmark_profit_percentage),
+    preferred_benchmark_basis: snapshot.preferred_benchmark_basis || null,
+    currency: 'SGD'
+  };
+}
+
+/**
+ * Item cost, print cost and benchmark profit for a pricing row, from the
+ * latest snapshot batch.
+ *
+ * @param {string} pricingId - pricing.id of the tier that was priced
+ * @param {object} batch - Batch to read (default: the latest)
+ * @returns {Promise<object|null>} Cost breakdown (available: false when the
+ *   batch has no row for this pricing.id), or null when no batch exists
+ */
+async function getBenchmarkCost(pricingId, snapshotBatch = undefined) {
+  const batch = snapshotBatch === undefined ? await getLatestBenchmarkBatch() : snapshotBatch;
+  if (!batch) {
+    return null;
+  }
+  if (!pricingId) {
+    return formatBenchmarkCost(pricingId, batch, null);
+  }
+
+  const { data, error } = await supabase
+    .from('pricing_benchmark_snapshots')
+    .select('*')
+    .eq('snapshot_batch_id', batch.id)
+    .eq('pricing_id', pricingId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return formatBenchmarkCost(pricingId, batch, data && data[0]);
+}
+
+/**
+ * getBenchmarkCost for many pricing rows of one batch, read in chunks.
+ *
+ * @param {Array} pricingIds - pricing.id values
+ * @param {object} batch - Snapshot batch to read
+ * @returns {Promise<Map>} pricing.id -> cost breakdown
+ */
+async function getBenchmarkCosts(pricingIds, batch) {
+  const ids = [...new Set(pricingIds.filter(Boolean))];
+  const snapshots = new Map();
+  for (const idChunk of chunk(ids, IN_CHUNK_SIZE)) {
+    const { data, error } = await supabase
+      .from('pricing_benchmark_snapshots')
+      .select('*')
+      .eq('snapshot_batch_id', batch.id)
+      .in('pricing_id', idChunk);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+    (data || []).forEach(row => {
+      if (!snapshots.has(row.pricing_id)) snapshots.set(row.pricing_id, row);
+    });
+  }
+
+  return new Map(ids.map(id => [id, formatBenchmarkCost(id, batch, snapshots.get(id))]));
+}
+
+function chunk(values, size) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function tokenise(text) {
+  return [...new Set(String(text || '').toLowerCase().replace(/-/g, ' ').split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2)
+    .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word)))];
+}
+
+// Dice overlap of significant words, so a long description still scores
+// well against a short catalogue name.
+function nameSimilarity(descriptionWords, productName) {
+  const productWords = tokenise(productName);
+  if (descriptionWords.length === 0 || productWords.length === 0) return 0;
+  const shared = productWords.filter(word => descriptionWords.includes(word)).length;
+  return (2 * shared) / (descriptionWords.length + productWords.length);
+}
+
+// 1 at the target cost, falling to 0 at half or double it.
+function costCloseness(targetCost, itemUnitCost) {
+  if (!(targetCost > 0) || !(itemUnitCost > 0)) return 0;
+  return Math.max(0, 1 - Math.abs(Math.log(itemUnitCost / targetCost)) / Math.log(2));
+}
+
+function sameText(a, b) {
+  return Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function vendorMatches(wanted, source) {
+  return Boolean(wanted && source) && String(source).toLowerCase().includes(String(wanted).trim().toLowerCase());
+}
+
+function percentile(sortedValues, fraction) {
+  const position = (sortedValues.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+function getAllProductsForMatching() {
+  return fetchAllRows(() => supabase
+    .from('products')
+    .select('id, name, category')
+    .order('id'));
+}
+
+// A chunk of products can have more than a page of pricing rows.
+async function getPricingRowsForProducts(productIds) {
+  const rows = [];
+  for (const ids of chunk(productIds, IN_CHUNK_SIZE)) {
+    rows.push(...await fetchAllRows(() => supabase
+      .from('pricing')
+      .select('id, product_id, print_option, lead_time_type, quantity, unit_price')
+      .in('product_id', ids)
+      .order('id')));
+  }
+  return rows;
+}
+
+async function getSnapshotsForPricing(batchId, pricingIds) {
+  const rows = [];
+  for (const ids of chunk(pricingIds, IN_CHUNK_SIZE)) {
+    const { data, error } = await supabase
+      .from('pricing_benchmark_snapshots')
+      .select('pricing_id, product_source, print_vendor_source, item_unit_cost, average_print_unit_cost, benchmark_profit_amount, benchmark_profit_percentage')
+      .eq('snapshot_batch_id', batchId)
+      .in('pricing_id', ids);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+// The tier to compare for each product: closest to the requested quantity
+// (in log terms), otherwise the closest item cost, otherwise the MOQ tier.
+function pickTier(tiers, { quantity, targetCost }) {
+  const distance = (tier) => {
+    if (quantity > 0 && tier.pricing.quantity > 0) return Math.abs(Math.log(tier.pricing.quantity / quantity));
+    if (targetCost > 0 && tier.item_unit_cost > 0) return Math.abs(Math.log(tier.item_unit_cost / targetCost));
+    return tier.pricing.quantity || 0;
+  };
+  return [...tiers].sort((a, b) => distance(a) - distance(b))[0];
+}
+
+function buildSuggestedMargin(comparables) {
+  const percentages = comparables
+    .map(comparable => comparable.benchmark_profit_percentage)
+    .filter(value => value !== null && value > 0)
+    .sort((a, b) => a - b);
+
+  if (percentages.length === 0) {
+    return null;
+  }
+
+  return {
+    low_percentage: parseFloat(percentile(percentages, 0.25).toFixed(2)),
+    median_percentage: parseFloat(percentile(percentages, 0.5).toFixed(2)),
+    high_percentage: parseFloat(percentile(percentages, 0.75).toFixed(2)),
+    comparables: percentages.length
+  };
+}
+
+/**
+ * Catalogue products in the latest benchmark batch most like a new/custom
+ * product, with their benchmark profit percentages and a suggested margin
+ * range (interquartile range of the comparables).
+ *
+ * @param {object} params - Search criteria
+ * @param {string} params.description - Product description or name
+ * @param {string} params.category - Catalogue category (optional)
+ * @param {number} params.targetCost - Expected item unit cost in SGD (optional)
+ * @param {number} params.quantity - Order quantity (optional)
+ * @param {string} params.printVendorSource - Preferred print vendor (optional)
+ * @param {number} params.limit - Max comparables (default 10)
+ * @returns {Promise<object|null>} Comparables and suggestion, or null when no batch exists
+ */
+async function findComparables({ description, category = null, targetCost = null, quantity = null, printVendorSource = null, limit = 10 }) {
+  const batch = await getLatestBenchmarkBatch();
+  if (!batch) {
+    return null;
+  }
+
+  const weights = {
+    name: COMPARABLE_WEIGHTS.name,
+    ...(category ? { category: COMPARABLE_WEIGHTS.category } : {}),
+    ...(targetCost > 0 ? { cost: COMPARABLE_WEIGHTS.cost } : {}),
+    ...(printVendorSource ? { print_vendor: COMPARABLE_WEIGHTS.print_vendor } : {})
+  };
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+  const descriptionWords = tokenise(description);
+  const candidates = (await getAllProductsForMatching())
+    .map(product => ({
+      product,
+      name: nameSimilarity(descriptionWords, product.name),
+      category: category && sameText(category, product.category) ? 1 : 0
+    }))
+    .filter(candidate => candidate.name > 0 || candidate.category > 0)
+    .sort((a, b) => (b.name * weights.name + b.category * (weights.category || 0))
+      - (a.name * weights.name + a.category * (weights.category || 0)))
+    .slice(0, CANDIDATE_PRODUCTS);
+
+  const pricingRows = candidates.length > 0
+    ? await getPricingRowsForProducts(candidates.map(candidate => candidate.product.id))
+    : [];
+  const pricingById = new Map(pricingRows.map(row => [row.id, row]));
+  const snapshots = pricingRows.length > 0
+    ? await getSnapshotsForPricing(batch.id, pricingRows.map(row => row.id))
+    : [];
+
+  const tiersByProduct = new Map();
+  snapshots.forEach((snapshot) => {
+    const pricing = pricingById.get(snapshot.pricing_id);
+    if (!pricing) return;
+    const tiers = tiersByProduct.get(pricing.product_id) || [];
+    tiers.push({ ...snapshot, item_unit_cost: toNumber(snapshot.item_unit_cost), pricing });
+    tiersByProduct.set(pricing.product_id, tiers);
+  });
+
+  const comparables = candidates
+    .filter(candidate => tiersByProduct.has(candidate.product.id))
+    .map((candidate) => {
+      const tier = pickTier(tiersByProduct.get(candidate.product.id), { quantity, targetCost });
+      const scores = {
+        name: candidate.name,
+        category: candidate.category,
+        cost: costCloseness(targetCost, tier.item_unit_cost),
+        print_vendor: vendorMatches(printVendorSource, tier.print_vendor_source) ? 1 : 0
+      };
+      const similarity = Object.entries(weights)
+        .reduce((sum, [criterion, weight]) => sum + scores[criterion] * weight, 0) / totalWeight;
+
+      return {
+        product_id: candidate.product.id,
+        product_name: candidate.product.name,
+        category: candidate.product.category || null,
+        pricing_id: tier.pricing.id,
+        print_option: tier.pricing.print_option,
+        lead_time_type: tier.pricing.lead_time_type,
+        quantity: tier.pricing.quantity,
+        unit_price: toNumber(tier.pricing.unit_price),
+        item_unit_cost: tier.item_unit_cost,
+        average_print_unit_cost: toNumber(tier.average_print_unit_cost),
+        product_source: tier.product_source || null,
+        print_vendor_source: tier.print_vendor_source || null,
+        benchmark_profit_amount: toNumber(tier.benchmark_profit_amount),
+        benchmark_profit_percentage: toPercentage(tier.benchmark_profit_percentage),
+        similarity: parseFloat(similarity.toFixed(3)),
+        matched_on: Object.keys(weights).filter(criterion => scores[criterion] > 0.5)
+      };
+    })
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+
+  const suggestedMargin = buildSuggestedMargin(comparables);
+
+  let warning = null;
+  if (comparables.length === 0) {
+    warning = 'No comparable catalogue products found in the benchmark batch';
+  } else if (!suggestedMargin || suggestedMargin.comparables < MIN_COMPARABLES) {
+    warning = `Only ${suggestedMargin ? suggestedMargin.comparables : 0} comparable(s) with a benchmark profit percentage; treat the margin range as indicative`;
+  }
+
+  return {
+    snapshot_batch_id: batch.id,
+    snapshot_date: batch.snapshot_date,
+    comparables,
+    suggested_margin: suggestedMargin,
+    warning
+  };
+}
+
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+/**
+ * Find a benchmark batch by id or snapshot date (YYYY-MM-DD; the most
+ * recently imported batch wins when a date has several).
+ *
+ * @param {string} reference - Batch id or snapshot date
+ * @returns {Promise<object|null>} { id, snapshot_date } or null
+ */
+async function getBenchmarkBatch(reference) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const column = DATE_PATTERN.test(String(reference)) ? 'snapshot_date' : 'id';
+  const { data, error } = await supabase
+    .from('pricing_benchmark_snapshot_batches')
+    .select('id, snapshot_date')
+    .eq(column, reference)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+async function getPreviousBenchmarkBatch(batch) {
+  const { data, error } = await supabase
+    .from('pricing_benchmark_snapshot_batches')
+    .select('id, snapshot_date')
+    .lt('snapshot_date', batch.snapshot_date)
+    .order('snapshot_date', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+function getBatchSnapshots(batchId) {
+  return fetchAllRows(() => supabase
+    .from('pricing_benchmark_snapshots')
+    .select('pricing_id, item_unit_cost, total_print_cost, average_print_unit_cost, benchmark_profit_percentage')
+    .eq('snapshot_batch_id', batchId)
+    .order('pricing_id'));
+}
+
+async function getPricingRowsById(pricingIds) {
+  const rows = [];
+  for (const ids of chunk(pricingIds, IN_CHUNK_SIZE)) {
+    const { data, error } = await supabase
+      .from('pricing')
+      .select('id, product_id, product_name, print_option, lead_time_type, quantity, unit_price')
+      .in('id', ids);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+// Relative change of a cost, or null when either side is missing
+function costChange(from, to) {
+  if (from === null || to === null) return null;
+  if (from === 0) return to === 0 ? { from, to, change_percentage: 0 } : { from, to, change_percentage: null };
+  return { from, to, change_percentage: parseFloat((((to - from) / Math.abs(from)) * 100).toFixed(2)) };
+}
+
+function isCostDrift(change, threshold) {
+  return Boolean(change) && (change.change_percentage === null || Math.abs(change.change_percentage) > threshold);
+}
+
+// Unit cost from a snapshot: item cost plus print cost per unit
+function getSnapshotUnitCost(snapshot, quantity) {
+  const itemUnitCost = toNumber(snapshot.item_unit_cost);
+  if (itemUnitCost === null) return null;
+
+  let printUnitCost = toNumber(snapshot.average_print_unit_cost);
+  if (printUnitCost === null && toNumber(snapshot.total_print_cost) !== null && quantity > 0) {
+    printUnitCost = toNumber(snapshot.total_print_cost) / quantity;
+  }
+  return itemUnitCost + (printUnitCost || 0);
+}
+
+function describePricing(pricing, pricingId) {
+  return {
+    pricing_id: pricingId,
+    product_id: pricing ? pricing.product_id : null,
+    product_name: pricing ? pricing.product_name : null,
+    print_option: pricing ? pricing.print_option : null,
+    lead_time_type: pricing ? pricing.lead_time_type : null,
+    quantity: pricing ? pricing.quantity : null
+  };
+}
+
+/**
+ * Compare two benchmark batches per pricing.id: rows whose item cost, print
+ * cost or profit percentage moved beyond the thresholds, and current
+ * `pricing` rows whose selling price yields less than the margin floor over
+ * the newer batch's costs.
+ *
+ * @param {object} params - Report parameters
+ * @param {string} params.from - Older batch id or snapshot date (default: the batch before `to`)
+ * @param {string} params.to - Newer batch id or snapshot date (default: latest)
+ * @param {number} params.costChangePct - Relative cost change to report (default BENCHMARK_DRIFT_COST_PCT)
+ * @param {number} params.profitChangePts - Profit percentage change to report, in points (default BENCHMARK_DRIFT_PROFIT_PTS)
+ * @param {number} params.marginFloorPct - Lowest acceptable profit over cost (default BENCHMARK_MARGIN_FLOOR_PCT)
+ * @param {number} params.limit - Max rows per list (default 100)
+ * @returns {Promise<object>} Report, or { error, reason } ('not_found' or 'same_batch')
+ */
+async function diffBenchmarkBatches({
+  from = null,
+  to = null,
+  costChangePct = DRIFT_COST_CHANGE_PCT,
+  profitChangePts = DRIFT_PROFIT_CHANGE_PTS,
+  marginFloorPct = MARGIN_FLOOR_PCT,
+  limit = 100
+} = {}) {
+  const toBatch = to ? await getBenchmarkBatch(to) : await getLatestBenchmarkBatch();
+  if (!toBatch) {
+    return { error: to ? `No benchmark batch "${to}"` : 'No benchmark snapshot batch has been imported', reason: 'not_found' };
+  }
+  const fromBatch = from ? await getBenchmarkBatch(from) : await getPreviousBenchmarkBatch(toBatch);
+  if (!fromBatch) {
+    return { error: from ? `No benchmark batch "${from}"` : `No benchmark batch before ${toBatch.snapshot_date} to compare with`, reason: 'not_found' };
+  }
+  if (fromBatch.id === toBatch.id) {
+    return { error: 'from and to are the same benchmark batch', reason: 'same_batch' };
+  }
+
+  const [fromRows, toRows] = await Promise.all([getBatchSnapshots(fromBatch.id), getBatchSnapshots(toBatch.id)]);
+  const fromByPricing = new Map(fromRows.map(row => [row.pricing_id, row]));
+  const toPricingIds = new Set(toRows.map(row => row.pricing_id));
+  const pricingById = new Map((await getPricingRowsById([...toPricingIds])).map(row => [row.id, row]));
+
+  const drift = [];
+  const belowFloor = [];
+  let compared = 0;
+  let missingCost = 0;
+
+  toRows.forEach((snapshot) => {
+    const pricing = pricingById.get(snapshot.pricing_id);
+    const previous = fromByPricing.get(snapshot.pricing_id);
+
+    if (previous) {
+      compared += 1;
+      const changes = {};
+      const itemCost = costChange(toNumber(previous.item_unit_cost), toNumber(snapshot.item_unit_cost));
+      if (isCostDrift(itemCost, costChangePct)) changes.item_unit_cost = itemCost;
+      const printCost = costChange(toNumber(previous.total_print_cost), toNumber(snapshot.total_print_cost));
+      if (isCostDrift(printCost, costChangePct)) changes.total_print_cost = printCost;
+      const profitFrom = toPercentage(previous.benchmark_profit_percentage);
+      const profitTo = toPercentage(snapshot.benchmark_profit_percentage);
+      if (profitFrom !== null && profitTo !== null && Math.abs(profitTo - profitFrom) > profitChangePts) {
+        changes.benchmark_profit_percentage = {
+          from: profitFrom,
+          to: profitTo,
+          change_points: parseFloat((profitTo - profitFrom).toFixed(2))
+        };
+      }
+      if (Object.keys(changes).length > 0) {
+        drift.push({ ...describePricing(pricing, snapshot.pricing_id), changes });
+      }
+    }
+
+    // Margin of today's selling price over the newer batch's cost
+    const unitPrice = pricing ? toNumber(pricing.unit_price) : null;
+    const unitCost = pricing ? getSnapshotUnitCost(snapshot, pricing.quantity) : null;
+    if (unitPrice === null || unitCost === null || unitCost <= 0) {
+      missingCost += 1;
+      return;
+    }
+    const marginPercentage = ((unitPrice - unitCost) / unitCost) * 100;
+    if (marginPercentage < marginFloorPct) {
+      belowFloor.push({
+        ...describePricing(pricing, snapshot.pricing_id),
+        unit_price: unitPrice,
+        unit_cost: parseFloat(unitCost.toFixed(4)),
+        margin_percentage: parseFloat(marginPercentage.toFixed(2)),
+        margin_floor_percentage: marginFloorPct
+      });
+    }
+  });
+
+  const largestMove = entry => Math.max(...Object.values(entry.changes)
+    .map(change => Math.abs(change.change_percentage ?? change.change_points ?? Infinity)));
+  drift.sort((a, b) => largestMove(b) - largestMove(a));
+  belowFloor.sort((a, b) => a.margin_percentage - b.margin_percentage);
+
+  return {
+    from_batch: fromBatch,
+    to_batch: toBatch,
+    thresholds: {
+      cost_change_percentage: costChangePct,
+      profit_change_points: profitChangePts,
+      margin_floor_percentage: marginFloorPct
+    },
+    summary: {
+      from_rows: fromRows.length,
+      to_rows: toRows.length,
+      compared,
+      added: toRows.length - compared,
+      removed: fromRows.filter(row => !toPricingIds.has(row.pricing_id)).length,
+      drifted: drift.length,
+      below_floor: belowFloor.length,
+      without_cost_or_price: missingCost
+    },
+    drift: drift.slice(0, limit),
+    below_floor: belowFloor.slice(0, limit)
+  };
+}
+
+module.exports = {
+  toPercentage,
+  getLatestBenchmarkBatch,
+  getBenchmarkCost,
+  getBenchmarkCosts,
+  findComparables,
+  diffBenchmarkBatches
+};
@@ -0,0 +1,289 @@
+const { supabase } = require('./supabase');
+const { getDecorationCosts } = require('./decorationCost');
+const { normaliseVendor, getVendorProductByCode } = require('./vendorCatalogue');
+const { parsePrintOption } = require('./printOptions');
+const { getGstBreakdown } = require('./gst');
+const { getLatestBenchmarkBatch, toPercentage } = require('./benchmarks');
+
+// Indicative selling prices for products with no `pricing` rows but a known
+// vendor: vendor unit cost + cheapest decoration cost + delivery/packaging,
+// marked up by the median benchmark profit percentage of comparable
+// catalogue products in the latest pricing_benchmark_snapshots batch.
+// Estimates are never written back to `pricing`.
+
+// Markup used when the benchmark batch has no usable comparables.
+const DEFAULT_MARKUP_PERCENTAGE = parseFloat(process.env.COST_PLUS_DEFAULT_MARKUP_PCT || '30');
+
+// Comparables needed before a benchmark group is trusted on its own.
+const MIN_COMPARABLES = 3;
+
+function roundMoney(value) {
+  return parseFloat(Number(value).toFixed(2));
+}
+
+function roundUnitPrice(value) {
+  return parseFloat(Number(value).toFixed(4));
+}
+
+// Vendor item cost, SGD only: estimates are priced and reported in SGD and
+// there is no vendor cost FX conversion.
+async function getVendorItem(vendorKey, supplierCode) {
+  const product = await getVendorProductByCode(vendorKey, supplierCode);
+  if (!product || product.unit_cost === null || product.currency !== 'SGD') return null;
+
+  return {
+    vendor: vendorKey,
+    table: product.source_table,
+    item_id: product.source_id,
+    item_code: product.item_code,
+    unit_cost: product.unit_cost,
+    currency: product.currency,
+    category: product.categories
+  };
+}
+
+/**
+ * Delivery and packaging allowances from shipping_config (config_key /
+ * config_value): local_delivery_fee per job, packaging_cost_per_unit.
+ */
+async function getLogisticsConfig() {
+  const { data, error } = await supabase
+    .from('shipping_config')
+    .select('config_key, config_value')
+    .in('config_key', ['local_delivery_fee', 'packaging_cost_per_unit']);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const config = {};
+  (data || []).forEach((row) => {
+    config[row.config_key] = parseFloat(row.config_value);
+  });
+  return config;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+async function getCategoryPricingIds(category) {
+  const { data: products, error: productsError } = await supabase
+    .from('products')
+    .select('id')
+    .ilike('category', category)
+    .limit(200);
+
+  if (productsError) {
+    throw new Error(`Database error: ${productsError.message}`);
+  }
+
+  if (!products || products.length === 0) return [];
+
+  const { data: pricingRows, error: pricingError } = await supabase
+    .from('pricing')
+    .select('id')
+    .in('product_id', products.map(product => product.id))
+    .limit(500);
+
+  if (pricingError) {
+    throw new Error(`Database error: ${pricingError.message}`);
+  }
+
+  return (pricingRows || []).map(row => row.id);
+}
+
+async function getSnapshots(batchId, { pricingIds = null, vendor = null, limit = 500 } = {}) {
+  let queryBuilder = supabase
+    .from('pricing_benchmark_snapshots')
+    .select('pricing_id, product_source, benchmark_profit_percentage')
+    .eq('snapshot_batch_id', batchId)
+    .not('benchmark_profit_percentage', 'is', null)
+    .limit(limit);
+
+  if (pricingIds) queryBuilder = queryBuilder.in('pricing_id', pricingIds);
+  if (vendor) queryBuilder = queryBuilder.ilike('product_source', `%${vendor.replace('_', '%')}%`);
+
+  const { data, error } = await queryBuilder;
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Benchmark markup for a vendor item: the median benchmark_profit_percentage
+ * of comparable products in the latest batch, narrowing from same category
+ * and vendor, to same category, to same vendor, to the whole batch.
+ */
+async function getBenchmarkMarkup(vendorKey, category) {
+  const batch = await getLatestBenchmarkBatch();
+  if (!batch) {
+    return { markup_percentage: DEFAULT_MARKUP_PERCENTAGE, basis: 'default', comparables: 0, snapshot_batch_id: null, snapshot_date: null };
+  }
+
+  const vendorPattern = new RegExp(vendorKey.replace('_', '.?'), 'i');
+  const categoryRows = category
+    ? await getSnapshots(batch.id, { pricingIds: await getCategoryPricingIds(category) })
+    : [];
+  const vendorRows = await getSnapshots(batch.id, { vendor: vendorKey });
+
+  const groups = [
+    { basis: 'category_and_vendor', rows: categoryRows.filter(row => vendorPattern.test(row.product_source || '')) },
+    { basis: 'category', rows: categoryRows },
+    { basis: 'vendor', rows: vendorRows }
+  ];
+
+  let chosen = groups.find(group => group.rows.length >= MIN_COMPARABLES);
+  if (!chosen) {
+    const sparse = groups.find(group => group.rows.length > 0);
+    chosen = sparse || { basis: 'batch', rows: await getSnapshots(batch.id, { limit: 1000 }) };
+  }
+
+  const percentages = chosen.rows
+    .map(row => toPercentage(row.benchmark_profit_percentage))
+    .filter(value => value !== null && value > 0);
+
+  if (percentages.length === 0) {
+    return { markup_percentage: DEFAULT_MARKUP_PERCENTAGE, basis: 'default', comparables: 0, snapshot_batch_id: batch.id, snapshot_date: batch.snapshot_date };
+  }
+
+  return {
+    markup_percentage: parseFloat(median(percentages).toFixed(2)),
+    basis: chosen.basis,
+    comparables: percentages.length,
+    snapshot_batch_id: batch.id,
+    snapshot_date: batch.snapshot_date
+  };
+}
+
+/**
+ * How far to trust an estimate, from 1 (all inputs found) down to 0.05.
+ */
+function scoreConfidence({ decoration, decorationRequired, margin, logistics }) {
+  let score = 1;
+  const reasons = [];
+
+  if (decorationRequired && !decoration) {
+    score -= 0.3;
+    reasons.push('No decorator rate found; decoration cost excluded');
+  }
+
+  const marginPenalty = { category_and_vendor: 0, category: 0.1, vendor: 0.15, batch: 0.3, default: 0.4 }[margin.basis];
+  if (marginPenalty > 0) {
+    score -= marginPenalty;
+    reasons.push(`Margin from ${margin.basis === 'default' ? 'the default markup' : `${margin.basis.replace(/_/g, ' ')} benchmarks`}`);
+  }
+  if (margin.basis !== 'default' && margin.comparables < MIN_COMPARABLES) {
+    score -= 0.1;
+    reasons.push(`Only ${margin.comparables} benchmark comparable(s)`);
+  }
+
+  if (!logistics) {
+    score -= 0.05;
+    reasons.push('No delivery/packaging allowance configured');
+  }
+
+  const confidence = parseFloat(Math.max(score, 0.05).toFixed(2));
+  return {
+    confidence,
+    confidence_level: confidence >= 0.75 ? 'high' : confidence >= 0.5 ? 'medium' : 'low',
+    confidence_reasons: reasons
+  };
+}
+
+/**
+ * Estimate a selling price for a known-vendor product with no pricing rows.
+ *
+ * @param {object} params - Estimate parameters
+ * @param {object} params.supplierContext - { supplierName, supplierProductCode, productIntelligenceCategory }
+ * @param {object} params.product - Resolved products row (optional)
+ * @param {number} params.quantity - Quantity to price
+ * @param {string} params.printOption - Requested print option label (optional)
+ * @returns {Promise<object|null>} Estimate, or null when the vendor/item cost is unknown or not in SGD
+ */
+async function getCostPlusEstimate({ supplierContext = {}, product = null, quantity, printOption = null }) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const vendorKey = normaliseVendor(supplierContext.supplierName);
+  if (!vendorKey || !supplierContext.supplierProductCode || !(quantity > 0)) {
+    return null;
+  }
+
+  const item = await getVendorItem(vendorKey, supplierContext.supplierProductCode);
+  if (!item) return null;
+
+  const category = supplierContext.productIntelligenceCategory || item.category || product?.category || null;
+  const print = parsePrintOption(printOption);
+  const decorationRequired = !print || !print.none;
+
+  let decoration = null;
+  if (decorationRequired) {
+    const decorationCosts = await getDecorationCosts({
+      product_name: product?.name || null,
+      product_category: item.category || category,
+      supplier_name: vendorKey,
+      supplier_code: item.item_code,
+      quantity,
+      print_method: print?.method || null,
+      colours: print?.front_colours || null,
+      full_colour: print?.full_colour || false,
+      positions: print?.positions || null
+    });
+    const cheapest = decorationCosts.cheapest;
+    if (cheapest) {
+      const decorator = decorationCosts.decorators.find(candidate => candidate.decorator === cheapest.decorator);
+      decoration = {
+        decorator: cheapest.decorator,
+        charge_schedule: decorator.charge_schedule,
+        print_method: decorator.print_method,
+        total_cost: cheapest.total_cost,
+        unit_cost: cheapest.unit_cost
+      };
+    }
+  }
+
+  const logisticsConfig = await getLogisticsConfig();
+  const deliveryFee = logisticsConfig.local_delivery_fee ?? null;
+  const packagingPerUnit = logisticsConfig.packaging_cost_per_unit ?? null;
+  const logistics = deliveryFee !== null || packagingPerUnit !== null
+    ? {
+      delivery_fee: deliveryFee || 0,
+      packaging_cost_per_unit: packagingPerUnit || 0,
+      unit_cost: roundUnitPrice((deliveryFee || 0) / quantity + (packagingPerUnit || 0))
+    }
+    : null;
+
+  const margin = await getBenchmarkMarkup(vendorKey, category);
+
+  const unitCost = item.unit_cost + (decoration ? decoration.unit_cost : 0) + (logistics ? logistics.unit_cost : 0);
+  const unitPrice = roundMoney(unitCost * (1 + margin.markup_percentage / 100));
+
+  return {
+    price_basis: 'cost_plus_estimate',
+    vendor: vendorKey,
+    quantity,
+    unit_price: unitPrice,
+    total_price: roundMoney(unitPrice * quantity),
+    ...getGstBreakdown(roundMoney(unitPrice * quantity)),
+    currency: 'SGD',
+    cost_breakdown: {
+      vendor_item: item,
+      decoration,
+      logistics,
+      unit_cost: roundUnitPrice(unitCost)
+    },
+    margin,
+    ...scoreConfidence({ decoration, decorationRequired, margin, logistics })
+  };
+}
+
+module.exports = {
+  getCostPlusEstimate
+};
@@ -0,0 +1,149 @@
+const { supabase } = require('./supabase');
+const { matchPrintOption } = require('./printOptions');
+const { toDateString, todayInSingapore } = require('./workingCalendar');
+
+// Negotiated rates for corporate accounts (customer_accounts +
+// customer_price_rules). A rule takes a percentage off the list price or sets
+// a fixed unit price, scoped by product, category, print option and quantity
+// band within its validity dates. The most specific matching rule wins; the
+// list price is always reported next to the customer price.
+
+const RULE_TYPES = ['percentage_discount', 'fixed_unit_price'];
+
+function roundMoney(value) {
+  return parseFloat(Number(value).toFixed(2));
+}
+
+function roundUnitPrice(value) {
+  return parseFloat(Number(value).toFixed(4));
+}
+
+function isValidOn(rule, date) {
+  return (!rule.valid_from || rule.valid_from <= date) && (!rule.valid_until || rule.valid_until >= date);
+}
+
+/**
+ * Load a customer account and its active price rules valid on a date.
+ *
+ * @param {string} customerId - customer_accounts.id
+ * @param {string|Date} onDate - Pricing date (default today in Singapore)
+ * @returns {Promise<object|null>} { customer, rules } or null when no active account
+ */
+async function getCustomerPricing(customerId, onDate = null) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const { data: accounts, error: accountError } = await supabase
+    .from('customer_accounts')
+    .select('id, account_code, name, company, is_active')
+    .eq('id', customerId)
+    .limit(1);
+
+  if (accountError) {
+    throw new Error(`Database error: ${accountError.message}`);
+  }
+
+  const account = accounts && accounts[0];
+  if (!account || account.is_active === false) {
+    return null;
+  }
+
+  const { data: rules, error: rulesError } = await supabase
+    .from('customer_price_rules')
+    .select('*')
+    .eq('customer_id', customerId)
+    .eq('is_active', true);
+
+  if (rulesError) {
+    throw new Error(`Database error: ${rulesError.message}`);
+  }
+
+  const date = onDate ? toDateString(new Date(onDate)) : toDateString(todayInSingapore());
+  return {
+    customer: {
+      id: account.id,
+      account_code: account.account_code || null,
+      name: account.name,
+      company: account.company || null
+    },
+    priced_on: date,
+    rules: (rules || []).filter(rule => RULE_TYPES.includes(rule.rule_type) && isValidOn(rule, date))
+  };
+}
+
+function ruleMatches(rule, { productId, category, printOption, quantity }) {
+  if (rule.product_id && rule.product_id !== productId) return false;
+  if (rule.category && String(rule.category).toLowerCase() !== String(category || '').toLowerCase()) return false;
+  if (rule.print_option && (!printOption || !matchPrintOption(rule.print_option, [printOption]).matched)) return false;
+  if (rule.qty_min !== null && rule.qty_min !== undefined && quantity < rule.qty_min) return false;
+  if (rule.qty_max !== null && rule.qty_max !== undefined && quantity > rule.qty_max) return false;
+  return true;
+}
+
+function specificity(rule) {
+  return (rule.product_id ? 4 : 0)
+    + (rule.print_option ? 2 : 0)
+    + (rule.category ? 1 : 0)
+    + (rule.qty_min !== null && rule.qty_min !== undefined ? 1 : 0);
+}
+
+function getRuleUnitPrice(rule, listUnitPrice) {
+  if (rule.rule_type === 'fixed_unit_price') {
+    return roundUnitPrice(rule.fixed_unit_price);
+  }
+  return roundUnitPrice(listUnitPrice * (1 - parseFloat(rule.discount_percentage) / 100));
+}
+
+/**
+ * Apply the best matching customer rule to a list price.
+ *
+ * @param {object|null} customerPricing - From getCustomerPricing
+ * @param {object} variant - { productId, category, printOption, quantity, unitPrice }
+ * @returns {object|null} Customer price with list price and rule id, or null when no rule applies
+ */
+function applyCustomerPrice(customerPricing, { productId, category, printOption, quantity, unitPrice }) {
+  if (!customerPricing || unitPrice === null || unitPrice === undefined) {
+    return null;
+  }
+
+  const rule = customerPricing.rules
+    .filter(candidate => ruleMatches(candidate, { productId, category, printOption, quantity }))
+    .sort((a, b) => specificity(b) - specificity(a)
+      || (a.priority ?? 100) - (b.priority ?? 100)
+      || getRuleUnitPrice(a, unitPrice) - getRuleUnitPrice(b, unitPrice))[0];
+  if (!rule) {
+    return null;
+  }
+
+  const customerUnitPrice = getRuleUnitPrice(rule, unitPrice);
+  // A contract price is never worse than the list price
+  if (customerUnitPrice >= unitPrice) {
+    return null;
+  }
+
+  const listTotal = roundMoney(unitPrice * quantity);
+  const total = roundMoney(customerUnitPrice * quantity);
+  return {
+    customer_id: customerPricing.customer.id,
+    customer_name: customerPricing.customer.company || customerPricing.customer.name,
+    rule_id: rule.id,
+    rule_type: rule.rule_type,
+    discount_percentage: rule.rule_type === 'percentage_discount'
+      ? parseFloat(rule.discount_percentage)
+      : roundMoney((1 - customerUnitPrice / unitPrice) * 100),
+    fixed_unit_price: rule.rule_type === 'fixed_unit_price' ? customerUnitPrice : null,
+    list_unit_price: unitPrice,
+    list_total_price: listTotal,
+    unit_price: customerUnitPrice,
+    total_price: total,
+    discount_amount: roundMoney(listTotal - total),
+    contract_reference: rule.contract_reference || null,
+    valid_until: rule.valid_until || null
+  };
+}
+
+module.exports = {
+  getCustomerPricing,
+  applyCustomerPrice
+};
@@ -0,0 +1,526 @@
+const { supabase } = require('./supabase');
+const { getGstBreakdown } = require('./gst');
+const { getExchangeRate } = require('./exchangeRates');
+
+// What each decorator charges us to print/embroider a vendor item. Products
+// resolve to a decorator's charge schedule through its *_category_mappings
+// table (Venue31 embroidery has no mappings: one schedule for all items),
+// then the quantity tier rows of *_charges are costed for the requested
+// colours, positions and size. Costs are returned per decorator so they can
+// be compared; nothing here is a customer selling price.
+
+const DECORATORS = {
+  MYGIFT: {
+    chargesTable: 'mygift_charges',
+    mappingsTable: 'mygift_category_mappings',
+    mappingKey: 'mygift_charge_name',
+    chargeKey: 'charge_name'
+  },
+  SUNPRINT: {
+    chargesTable: 'sunprint_charges',
+    mappingsTable: 'sunprint_category_mappings',
+    mappingKey: 'sunprint_product_category',
+    chargeKey: 'product_category'
+  },
+  PLSILKSCREEN: {
+    chargesTable: 'plsilkscreen_charges',
+    mappingsTable: 'plsilkscreen_category_mappings',
+    mappingKey: 'plsilkscreen_product_category',
+    chargeKey: 'product_category'
+  },
+  VENUE31: {
+    chargesTable: 'venue31_charges',
+    mappingsTable: null,
+    printMethods: ['embroidery']
+  }
+};
+
+const DECORATOR_ALIASES = {
+  'PL SILKSCREEN': 'PLSILKSCREEN',
+  'PL-SILKSCREEN': 'PLSILKSCREEN',
+  PL: 'PLSILKSCREEN',
+  'VENUE 31': 'VENUE31'
+};
+
+// Charge types costed once per job (per colour/position where applicable)
+// rather than per piece.
+const PER_JOB_CHARGE_PATTERN = /flat|setup|packet|screen|film|block/i;
+const SKIPPED_CHARGE_TYPES = ['note'];
+
+function roundMoney(value) {
+  return parseFloat(Number(value).toFixed(2));
+}
+
+function roundUnitPrice(value) {
+  return parseFloat(Number(value).toFixed(4));
+}
+
+function normaliseDecorator(name) {
+  const key = String(name || '').trim().toUpperCase();
+  return DECORATORS[key] ? key : (DECORATOR_ALIASES[key] || null);
+}
+
+/**
+ * Read colour/position counts from a print spec such as
+ * "1 colour x 1 position", "2c x 1p" or "full colour".
+ */
+function parsePrintSpec(spec) {
+  const text = String(spec || '');
+  const colours = text.match(/(\d+)\s*(?:c\b|colou?rs?)/i);
+  const positions = text.match(/(\d+)\s*(?:p\b|positions?|sides?)/i);
+  return {
+    colours: colours ? parseInt(colours[1], 10) : null,
+    positions: positions ? parseInt(positions[1], 10) : null,
+    full_colour: /full\s*colou?r|cmyk/i.test(text)
+  };
+}
+
+/**
+ * Pick the best mapping row for a product. Lower priority wins; mappings
+ * scoped to a supplier only apply to that supplier's items.
+ */
+function matchMapping(mappings, product) {
+  const name = (product.product_name || '').toLowerCase();
+  const category = (product.product_category || '').toLowerCase();
+  const code = (product.supplier_code || '').toUpperCase();
+  const supplier = (product.supplier_name || '').toUpperCase();
+
+  const matches = mappings.filter((mapping) => {
+    if (mapping.supplier_name && supplier && mapping.supplier_name.toUpperCase() !== supplier) {
+      return false;
+    }
+
+    switch (mapping.mapping_type) {
+      case 'exact_product':
+      case 'manual_override':
+        return Boolean(name) && (mapping.product_name || '').toLowerCase() === name;
+      case 'supplier_code':
+        return Boolean(code) && (mapping.supplier_code || '').toUpperCase() === code;
+      case 'supplier_code_prefix':
+        return Boolean(code) && Boolean(mapping.supplier_code_prefix)
+          && code.startsWith(mapping.supplier_code_prefix.toUpperCase());
+      case 'product_category':
+        return Boolean(category) && (mapping.product_category || '').toLowerCase() === category;
+      default:
+        return false;
+    }
+  });
+
+  matches.sort((a, b) => {
+    if (a.mapping_type === 'manual_override' && b.mapping_type !== 'manual_override') return -1;
+    if (b.mapping_type === 'manual_override' && a.mapping_type !== 'manual_override') return 1;
+    return (a.priority ?? 100) - (b.priority ?? 100);
+  });
+
+  return matches[0] || null;
+}
+
+async function getActiveRows(table, filters = {}) {
+  let queryBuilder = supabase
+    .from(table)
+    .select('*')
+    .eq('is_active', true);
+
+  Object.entries(filters).forEach(([column, value]) => {
+    queryBuilder = queryBuilder.eq(column, value);
+  });
+
+  const { data, error } = await queryBuilder;
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Ultifresh items carry their SUNPRINT mapping category in
+ * ultifresh_products.categories; fill it in from the item code.
+ */
+async function withUltifreshCategory(product) {
+  if (product.product_category || !product.supplier_code
+    || (product.supplier_name || '').toUpperCase() !== 'ULTIFRESH') {
+    return product;
+  }
+
+  const { data, error } = await supabase
+    .from('ultifresh_products')
+    .select('categories')
+    .ilike('item_code', product.supplier_code)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data && data.length > 0 && data[0].categories
+    ? { ...product, product_category: data[0].categories }
+    : product;
+}
+
+function coversQuantity(row, quantity) {
+  return row.qty_min <= quantity && (row.qty_max === null || row.qty_max === undefined || quantity <= row.qty_max);
+}
+
+function fitsSize(row, size) {
+  if (row.max_width_cm === null || row.max_width_cm === undefined) return true;
+  if (!size) return true;
+  const maxWidth = parseFloat(row.max_width_cm);
+  const maxHeight = parseFloat(row.max_height_cm ?? row.max_width_cm);
+  return (size.width_cm <= maxWidth && size.height_cm <= maxHeight)
+    || (size.width_cm <= maxHeight && size.height_cm <= maxWidth);
+}
+
+/**
+ * Narrow the tier rows to one charge schedule: print method, colour count,
+ * position and size bucket. Returns the rows plus any assumptions made.
+ */
+function selectTierRows(rows, request) {
+  const assumptions = [];
+  let selected = rows;
+
+  if (request.print_method) {
+    const method = request.print_method.toLowerCase();
+    const byMethod = selected.filter(row => !row.print_method || row.print_method.toLowerCase() === method);
+    selected = byMethod;
+  }
+
+  const hasColourCount = row => row.colour_count !== null && row.colour_count !== undefined;
+  if (request.full_colour && selected.some(hasColourCount)) {
+    // Full colour is not a colour count: keep the rows not tied to one, and
+    // only price it when one of them is an actual print rate.
+    const fullColour = selected.filter(row => !hasColourCount(row) || /full_colour/i.test(row.charge_type || ''));
+    const hasRate = fullColour.some(row =>
+      /full_colour/i.test(row.charge_type || '') || !PER_JOB_CHARGE_PATTERN.test(row.charge_type || 'per_piece'));
+    if (!hasRate) {
+      return { rows: [], assumptions: ['No full colour rate'] };
+    }
+    selected = fullColour;
+  } else if (selected.some(hasColourCount)) {
+    const byColour = selected.filter(row => !hasColourCount(row) || row.colour_count === request.colours);
+    if (byColour.some(hasColourCount)) {
+      selected = byColour;
+    } else {
+      return { rows: [], assumptions: [`No ${request.colours}-colour rate`] };
+    }
+  }
+
+  const positionColumn = selected.some(row => row.position_type) ? 'position_type' : 'position';
+  if (request.position && selected.some(row => row[positionColumn])) {
+    const position = request.position.toLowerCase();
+    const byPosition = selected.filter(row => !row[positionColumn] || row[positionColumn].toLowerCase().includes(position));
+    if (byPosition.length > 0) selected = byPosition;
+  }
+
+  const bucketed = selected.filter(row => row.max_width_cm !== null && row.max_width_cm !== undefined);
+  if (bucketed.length > 0) {
+    const size = request.width_cm && request.height_cm
+      ? { width_cm: request.width_cm, height_cm: request.height_cm }
+      : null;
+    const fitting = bucketed
+      .filter(row => fitsSize(row, size))
+      .sort((a, b) => parseFloat(a.max_width_cm) * parseFloat(a.max_height_cm ?? a.max_width_cm)
+        - parseFloat(b.max_width_cm) * parseFloat(b.max_height_cm ?? b.max_width_cm));
+    const unbounded = selected.filter(row => row.max_width_cm === null || row.max_width_cm === undefined);
+    const bucketKey = row => row.size_bucket || row.max_width_cm;
+
+    if (fitting.length > 0) {
+      const bucket = bucketKey(fitting[0]);
+      selected = [...fitting.filter(row => bucketKey(row) === bucket), ...unbounded.filter(row => !row.size_bucket)];
+      if (!size) assumptions.push(`Print size not given; assumed the smallest size bucket (${fitting[0].raw_size_label || fitting[0].size_bucket || `${fitting[0].max_width_cm}cm`})`);
+    } else {
+      selected = unbounded;
+    }
+  }
+
+  const sizeLabels = [...new Set(selected.map(row => row.size_label).filter(Boolean))];
+  if (sizeLabels.length > 1) {
+    const wanted = (request.size_label || '').toLowerCase();
+    const label = sizeLabels.find(candidate => candidate.toLowerCase() === wanted) || sizeLabels[0];
+    selected = selected.filter(row => !row.size_label || row.size_label === label);
+    if (!wanted) assumptions.push(`Print size not given; priced the "${label}" size`);
+  }
+
+  return { rows: selected, assumptions };
+}
+
+/**
+ * Cost one charge row. Per-job charges (setup, flat packet) are charged once;
+ * per-piece charges are multiplied by the quantity. Silkscreen-style rates
+ * are quoted for 1 colour x 1 position, so they scale with colours unless
+ * the row is already for a colour count or is full colour, and every charge
+ * scales with positions.
+ */
+function costChargeRow(row, request) {
+  const chargeType = row.charge_type || 'per_piece';
+  const amount = parseFloat(row.charge_amount);
+  const perJob = PER_JOB_CHARGE_PATTERN.test(chargeType);
+  const colourScaled = !request.full_colour
+    && !/full_colour/i.test(chargeType)
+    && (row.colour_count === null || row.colour_count === undefined)
+    && (/per_colour/i.test(chargeType) || (perJob && parsePrintSpec(row.print_spec).colours === 1));
+  const colours = colourScaled ? (request.colours || 1) : 1;
+  const positions = request.positions || 1;
+  const pieces = perJob ? 1 : request.quantity;
+
+  return {
+    charge_id: row.id || null,
+    charge_type: chargeType,
+    description: [row.charge_name, row.print_method, row.print_spec, row.position || row.position_type, row.size_label || row.raw_size_label]
+      .filter(Boolean)
+      .join(' | '),
+    raw_quantity: row.raw_quantity || null,
+    charge_amount: amount,
+    basis: perJob ? 'per_job' : 'per_piece',
+    colours,
+    positions,
+    pieces,
+    amount: roundMoney(amount * colours * positions * pieces)
+  };
+}
+
+async function costDecorator(decoratorKey, product, request) {
+  const decorator = DECORATORS[decoratorKey];
+  const result = {
+    decorator: decoratorKey,
+    status: 'priced',
+    charge_schedule: null,
+    mapping: null,
+    print_method: request.print_method || null,
+    colours: request.full_colour ? null : request.colours,
+    full_colour: request.full_colour,
+    positions: request.positions,
+    quantity: request.quantity,
+    charges: [],
+    add_ons: [],
+    setup_total: 0,
+    per_piece_total: 0,
+    total_cost: null,
+    unit_cost: null,
+    currency: 'SGD',
+    gst_included: false,
+    notes: []
+  };
+
+  let chargeRows;
+  if (decorator.mappingsTable) {
+    const mapping = matchMapping(await getActiveRows(decorator.mappingsTable), product);
+    if (!mapping) {
+      return { ...result, status: 'no_mapping', notes: [`No ${decorator.mappingsTable} rule matches this product`] };
+    }
+
+    const spec = parsePrintSpec(mapping.default_print_spec);
+    result.mapping = {
+      mapping_id: mapping.id || null,
+      mapping_type: mapping.mapping_type,
+      default_print_method: mapping.default_print_method || null,
+      default_print_spec: mapping.default_print_spec || null
+    };
+    result.charge_schedule = mapping[decorator.mappingKey];
+    result.print_method = request.print_method || mapping.default_print_method || null;
+    if (!request.colours_given && spec.colours) result.colours = spec.colours;
+    if (!request.colours_given && spec.full_colour) result.full_colour = true;
+    if (!request.positions_given && spec.positions) result.positions = spec.positions;
+
+    chargeRows = await getActiveRows(decorator.chargesTable, { [decorator.chargeKey]: result.charge_schedule });
+  } else {
+    // Only compared against other decorators when that print method is asked for.
+    const methodRequested = request.print_method && decorator.printMethods.includes(request.print_method.toLowerCase());
+    if (!methodRequested && (request.print_method || !request.decorators_given)) {
+      return { ...result, status: 'not_applicable', notes: [`${decoratorKey} only does ${decorator.printMethods.join(', ')}`] };
+    }
+    result.print_method = decorator.printMethods[0];
+    result.colours = null;
+    result.full_colour = false;
+    chargeRows = await getActiveRows(decorator.chargesTable);
+    result.charge_schedule = chargeRows[0]?.charge_name || decorator.printMethods[0];
+  }
+
+  const costRequest = {
+    ...request,
+    print_method: result.print_method,
+    colours: result.colours,
+    full_colour: result.full_colour,
+    positions: result.positions
+  };
+
+  const usable = chargeRows.filter(row => !SKIPPED_CHARGE_TYPES.includes(row.charge_type));
+  const addOnRows = usable.filter(row => /add_on/i.test(row.charge_type || ''));
+  const tierRows = usable.filter(row => !/add_on/i.test(row.charge_type || '') && coversQuantity(row, request.quantity));
+  const { rows, assumptions } = selectTierRows(tierRows, costRequest);
+  result.notes.push(...assumptions);
+
+  if (rows.length === 0) {
+    const minimum = usable.length > 0 ? Math.min(...usable.map(row => row.qty_min)) : null;
+    const quoteRequired = minimum !== null && request.quantity < minimum;
+    return {
+      ...result,
+      status: quoteRequired ? 'quote_required' : 'no_rate',
+      notes: [
+        ...result.notes,
+        quoteRequired
+          ? `${decoratorKey} rates start at ${minimum} pcs; smaller runs need a quote`
+          : `No ${decorator.chargesTable} rate for ${result.charge_schedule} (${result.print_method || 'any method'}) at ${request.quantity} pcs`
+      ]
+    };
+  }
+
+  result.charges = rows.map(row => costChargeRow(row, costRequest));
+  result.add_ons = addOnRows
+    .filter(row => coversQuantity(row, request.quantity))
+    .map(row => costChargeRow(row, costRequest));
+  result.setup_total = roundMoney(result.charges.filter(charge => charge.basis === 'per_job').reduce((sum, charge) => sum + charge.amount, 0));
+  result.per_piece_total = roundMoney(result.charges.filter(charge => charge.basis === 'per_piece').reduce((sum, charge) => sum + charge.amount, 0));
+  result.total_cost = roundMoney(result.setup_total + result.per_piece_total);
+  result.unit_cost = roundUnitPrice(result.total_cost / request.quantity);
+  result.currency = rows[0].currency || 'SGD';
+  result.gst_included = Boolean(rows[0].gst_included);
+  if (result.add_ons.length > 0) {
+    result.notes.push('Optional add-ons are listed separately and not included in total_cost');
+  }
+
+  return result;
+}
+
+/**
+ * A decorator's total in SGD before GST, so schedules quoted in another
+ * currency or GST-inclusive rank fairly. Null when unpriced or when no
+ * exchange rate is stored for its currency (noted on the decorator).
+ */
+async function getComparableCost(decorator, quantity, rates) {
+  if (decorator.total_cost === null) return null;
+
+  let total = decorator.gst_included
+    ? getGstBreakdown(decorator.total_cost, { included: true }).amount_ex_gst
+    : decorator.total_cost;
+  if (decorator.currency !== 'SGD') {
+    if (!rates.has(decorator.currency)) {
+      rates.set(decorator.currency, await getExchangeRate(decorator.currency));
+    }
+    const fx = rates.get(decorator.currency);
+    if (!fx) {
+      decorator.notes.push(`No SGD exchange rate for ${decorator.currency}; not ranked`);
+      return null;
+    }
+    total /= fx.rate;
+  }
+
+  return {
+    total_cost: roundMoney(total),
+    unit_cost: roundUnitPrice(total / quantity),
+    currency: 'SGD',
+    gst_included: false
+  };
+}
+
+/**
+ * Validate a decoration cost request (POST /api/price/decoration).
+ *
+ * @param {object} request - Decoration request
+ * @returns {string|null} Error message or null when valid
+ */
+function validateDecorationRequest(request) {
+  if (!request) return 'Request body is required';
+  if (!Number.isInteger(request.quantity) || request.quantity <= 0) {
+    return 'quantity must be a positive integer';
+  }
+  if (!request.product_name && !request.product_category && !request.supplier_code
+    && !(request.print_method || '').toLowerCase().includes('embroidery')) {
+    return 'product_name, product_category or supplier_code is required';
+  }
+  if (request.decorators !== undefined) {
+    if (!Array.isArray(request.decorators) || request.decorators.length === 0) {
+      return 'decorators must be a non-empty array';
+    }
+    const unknown = request.decorators.filter(name => !normaliseDecorator(name));
+    if (unknown.length > 0) {
+      return `Unknown decorator(s): ${unknown.join(', ')}. Use ${Object.keys(DECORATORS).join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Cost decorating a product with each decorator and rank the results.
+ *
+ * @param {object} params - Decoration request
+ * @param {string} params.product_name - Product name (exact_product mappings)
+ * @param {string} params.product_category - Category (product_category mappings)
+ * @param {string} params.supplier_name - Item supplier (scopes supplier mappings)
+ * @param {string} params.supplier_code - Supplier item code (code/prefix mappings)
+ * @param {number} params.quantity - Pieces
+ * @param {string} params.print_method - silkscreen, uv_print, dtf, embroidery, ... (default per mapping)
+ * @param {number} params.colours - Print colours (default per mapping)
+ * @param {boolean} params.full_colour - Full colour print
+ * @param {number} params.positions - Print positions (default per mapping)
+ * @param {string} params.position - Position name filter
+ * @param {number} params.width_cm - Print/embroidery width for size buckets
+ * @param {number} params.height_cm - Print/embroidery height for size buckets
+ * @param {string} params.size_label - Size label for schedules priced by size
+ * @param {Array} params.decorators - Limit to these decorators (default all; Venue31
+ *   only joins the default comparison for embroidery)
+ * @returns {Promise<object>} { quantity, decorators, cheapest }
+ */
+async function getDecorationCosts(params) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const product = await withUltifreshCategory({
+    product_name: params.product_name || null,
+    product_category: params.product_category || null,
+    supplier_name: params.supplier_name || null,
+    supplier_code: params.supplier_code || null
+  });
+
+  const request = {
+    quantity: params.quantity,
+    print_method: params.print_method || null,
+    colours: params.colours || 1,
+    colours_given: Boolean(params.colours),
+    full_colour: Boolean(params.full_colour),
+    positions: params.positions || 1,
+    positions_given: Boolean(params.positions),
+    position: params.position || null,
+    width_cm: params.width_cm ? parseFloat(params.width_cm) : null,
+    height_cm: params.height_cm ? parseFloat(params.height_cm) : null,
+    size_label: params.size_label || null,
+    decorators_given: Array.isArray(params.decorators)
+  };
+
+  const decoratorKeys = params.decorators
+    ? [...new Set(params.decorators.map(normaliseDecorator))]
+    : Object.keys(DECORATORS);
+
+  const decorators = [];
+  for (const key of decoratorKeys) {
+    decorators.push(await costDecorator(key, product, request));
+  }
+
+  const rates = new Map();
+  for (const decorator of decorators) {
+    decorator.sgd_ex_gst = await getComparableCost(decorator, request.quantity, rates);
+  }
+
+  const priced = decorators
+    .filter(decorator => decorator.sgd_ex_gst !== null)
+    .sort((a, b) => a.sgd_ex_gst.total_cost - b.sgd_ex_gst.total_cost);
+  const unpriced = decorators.filter(decorator => decorator.sgd_ex_gst === null);
+
+  return {
+    product,
+    quantity: request.quantity,
+    decorators: [...priced, ...unpriced],
+    cheapest: priced.length > 0
+      ? { decorator: priced[0].decorator, ...priced[0].sgd_ex_gst }
+      : null
+  };
+}
+
+module.exports = {
+  DECORATOR_NAMES: Object.keys(DECORATORS),
+  parsePrintSpec,
+  validateDecorationRequest,
+  getDecorationCosts
+};
@@ -0,0 +1,139 @@
+const { supabase } = require('./supabase');
+const {
+  toDateString,
+  parseDate,
+  todayInSingapore,
+  loadHolidays,
+  addWorkingDays,
+  countWorkingDays,
+  getHolidayCoverageWarning
+} = require('./workingCalendar');
+
+// Which lead time types can deliver by a customer's date. Each lead time type
+// on `pricing` carries lead_time_days_min/max in working days; from the order
+// date these give an earliest/latest delivery date to compare with needed_by.
+
+const LEAD_TIME_ORDER = ['local', 'overseas_air', 'overseas_sea'];
+
+function rankLeadTime(type) {
+  return LEAD_TIME_ORDER.includes(type) ? LEAD_TIME_ORDER.indexOf(type) : LEAD_TIME_ORDER.length;
+}
+
+function assessLeadTime({ leadTimeType, daysMin, daysMax }, orderDate, neededBy) {
+  if (daysMin === null && daysMax === null) {
+    return { lead_time_type: leadTimeType, days_min: null, days_max: null, earliest_delivery: null, latest_delivery: null, status: 'unknown' };
+  }
+
+  const earliest = addWorkingDays(orderDate, daysMin ?? daysMax);
+  const latest = addWorkingDays(orderDate, daysMax ?? daysMin);
+
+  let status = 'too_late';
+  if (latest <= neededBy) status = 'on_time';
+  else if (earliest <= neededBy) status = 'at_risk';
+
+  return {
+    lead_time_type: leadTimeType,
+    days_min: daysMin,
+    days_max: daysMax,
+    earliest_delivery: toDateString(earliest),
+    latest_delivery: toDateString(latest),
+    status
+  };
+}
+
+/**
+ * Delivery windows per lead time type for a product, against a needed-by date.
+ *
+ * @param {object} params - Delivery parameters
+ * @param {string} params.productId - products.id (preferred)
+ * @param {string} params.productName - Product name
+ * @param {string} params.printOption - Limit to one print option (optional)
+ * @param {string|Date} params.neededBy - Date the customer needs delivery by
+ * @param {string|Date} params.orderDate - Order date (default today in Singapore)
+ * @returns {Promise<object|null>} Delivery plan, or null when the product has no pricing
+ */
+async function getDeliveryOptions({ productId, productName, printOption = null, neededBy, orderDate = null }) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const neededByDate = parseDate(neededBy);
+  if (!neededByDate) {
+    throw new Error('needed_by must be a date (YYYY-MM-DD)');
+  }
+  const orderDay = parseDate(orderDate) || todayInSingapore();
+  await loadHolidays();
+
+  let queryBuilder = supabase
+    .from('pricing')
+    .select('lead_time_type, lead_time_days_min, lead_time_days_max')
+    .eq(productId ? 'product_id' : 'product_name', productId || productName);
+
+  if (printOption) {
+    queryBuilder = queryBuilder.eq('print_option', printOption);
+  }
+
+  const { data, error } = await queryBuilder;
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    return null;
+  }
+
+  // Fastest and slowest days quoted for each lead time type
+  const leadTimes = new Map();
+  for (const row of data) {
+    const current = leadTimes.get(row.lead_time_type) || { leadTimeType: row.lead_time_type, daysMin: null, daysMax: null };
+    if (row.lead_time_days_min !== null && row.lead_time_days_min !== undefined) {
+      current.daysMin = current.daysMin === null ? row.lead_time_days_min : Math.min(current.daysMin, row.lead_time_days_min);
+    }
+    if (row.lead_time_days_max !== null && row.lead_time_days_max !== undefined) {
+      current.daysMax = current.daysMax === null ? row.lead_time_days_max : Math.max(current.daysMax, row.lead_time_days_max);
+    }
+    leadTimes.set(row.lead_time_type, current);
+  }
+
+  const options = Array.from(leadTimes.values())
+    .sort((a, b) => rankLeadTime(a.leadTimeType) - rankLeadTime(b.leadTimeType))
+    .map(leadTime => assessLeadTime(leadTime, orderDay, neededByDate));
+
+  const feasible = [
+    ...options.filter(option => option.status === 'on_time'),
+    ...options.filter(option => option.status === 'at_risk')
+  ];
+  const fastest = options
+    .filter(option => option.earliest_delivery)
+    .sort((a, b) => a.earliest_delivery.localeCompare(b.earliest_delivery))[0] || null;
+
+  let message = null;
+  if (feasible.length === 0) {
+    message = fastest
+      ? `No lead time option can deliver by ${toDateString(neededByDate)}; fastest is ${fastest.lead_time_type} (${fastest.earliest_delivery} at the earliest)`
+      : `No lead time days recorded to check delivery by ${toDateString(neededByDate)}`;
+  } else if (feasible[0].status === 'at_risk') {
+    message = `Delivery by ${toDateString(neededByDate)} is only possible at the fast end of ${feasible[0].lead_time_type} (${feasible[0].earliest_delivery} to ${feasible[0].latest_delivery})`;
+  }
+
+  return {
+    order_date: toDateString(orderDay),
+    needed_by: toDateString(neededByDate),
+    working_days_available: countWorkingDays(orderDay, neededByDate),
+    basis: 'working days, Singapore public holidays excluded',
+    can_meet_date: feasible.length > 0,
+    feasible_lead_time_types: feasible.map(option => option.lead_time_type),
+    options,
+    message,
+    warning: getHolidayCoverageWarning(
+      neededByDate,
+      ...options.filter(option => option.latest_delivery).map(option => parseDate(option.latest_delivery))
+    )
+  };
+}
+
+module.exports = {
+  LEAD_TIME_ORDER,
+  getDeliveryOptions
+};
@@ -0,0 +1,214 @@
+const { supabase } = require('./supabase');
+
+// Prices are stored in SGD. For customers quoted in another currency the
+// response prices are converted with the latest rate in exchange_rates
+// (from_currency, to_currency, rate, source, fetched_at). A rate older than
+// FX_MAX_RATE_AGE_HOURS is stale: FX_STALE_RATE_ACTION=refuse rejects the
+// request, warn converts anyway and says so.
+
+const BASE_CURRENCY = 'SGD';
+
+const MAX_RATE_AGE_HOURS = parseFloat(process.env.FX_MAX_RATE_AGE_HOURS || '72');
+const STALE_RATE_ACTION = process.env.FX_STALE_RATE_ACTION === 'warn' ? 'warn' : 'refuse';
+
+// Selling price fields converted wherever they appear in a response. Fields
+// suffixed _sgd (lanyard quotes) keep their SGD value and gain a converted
+// sibling, e.g. unit_price_sgd -> unit_price_myr.
+const MONEY_FIELDS = new Set([
+  'unit_price',
+  'total_price',
+  'unitPrice',
+  'totalPrice',
+  'moq_price',
+  'unit_price_at_qty',
+  'unit_saving_vs_moq',
+  'extra_cost',
+  'saving',
+  'amount_ex_gst',
+  'gst_amount',
+  'amount_inc_gst',
+  'list_unit_price',
+  'list_total_price',
+  'fixed_unit_price',
+  'discount_amount',
+  'regular_unit_price',
+  'regular_total_price',
+  'promo_unit_price',
+  'promo_total_price'
+]);
+const SGD_SUFFIX = '_sgd';
+
+// Money in messages ("save $12.50") is written in SGD with a leading $.
+const PROSE_MONEY_PATTERN = /\$(\d+(?:,\d{3})*(?:\.\d+)?)/g;
+
+function roundTo(value, places) {
+  return parseFloat(value.toFixed(places));
+}
+
+/**
+ * Upper-case a currency code, or null when it is not a 3-letter code.
+ */
+function normaliseCurrency(value) {
+  const code = String(value || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+async function getLatestRate(fromCurrency, toCurrency) {
+  const { data, error } = await supabase
+    .from('exchange_rates')
+    .select('from_currency, to_currency, rate, source, fetched_at')
+    .eq('from_currency', fromCurrency)
+    .eq('to_currency', toCurrency)
+    .order('fetched_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const row = data && data[0];
+  return row && parseFloat(row.rate) > 0 ? row : null;
+}
+
+/**
+ * Latest SGD -> `currency` rate. Uses the reverse pair (inverted) when only
+ * `currency` -> SGD is stored.
+ *
+ * @param {string} currency - Target currency code, e.g. MYR, IDR
+ * @param {Date} now - Reference time for staleness (default now)
+ * @returns {Promise<object|null>} Rate with source, fetched_at and staleness, or null when no rate is stored
+ */
+async function getExchangeRate(currency, now = new Date()) {
+  const code = normaliseCurrency(currency);
+  if (!code) {
+    throw new Error(`Invalid currency code: ${currency}`);
+  }
+
+  if (code === BASE_CURRENCY) {
+    return {
+      base_currency: BASE_CURRENCY,
+      currency: code,
+      rate: 1,
+      inverted: false,
+      source: null,
+      fetched_at: null,
+      age_hours: 0,
+      max_age_hours: MAX_RATE_AGE_HOURS,
+      stale: false,
+      stale_action: STALE_RATE_ACTION,
+      warning: null
+    };
+  }
+
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  let row = await getLatestRate(BASE_CURRENCY, code);
+  let inverted = false;
+  if (!row) {
+    row = await getLatestRate(code, BASE_CURRENCY);
+    inverted = Boolean(row);
+  }
+  if (!row) return null;
+
+  const fetchedAt = row.fetched_at ? new Date(row.fetched_at) : null;
+  const ageHours = fetchedAt && !Number.isNaN(fetchedAt.getTime())
+    ? roundTo((now.getTime() - fetchedAt.getTime()) / 3600000, 1)
+    : null;
+  const stale = ageHours === null || ageHours > MAX_RATE_AGE_HOURS;
+
+  return {
+    base_currency: BASE_CURRENCY,
+    currency: code,
+    rate: inverted ? roundTo(1 / parseFloat(row.rate), 8) : parseFloat(row.rate),
+    inverted,
+    source: row.source || null,
+    fetched_at: row.fetched_at || null,
+    age_hours: ageHours,
+    max_age_hours: MAX_RATE_AGE_HOURS,
+    stale,
+    stale_action: STALE_RATE_ACTION,
+    warning: stale
+      ? `${BASE_CURRENCY}/${code} rate ${ageHours === null ? 'has no fetched_at' : `is ${ageHours} hours old`} (limit ${MAX_RATE_AGE_HOURS}); converted prices may be out of date`
+      : null
+  };
+}
+
+/**
+ * Whether a stale rate should stop the request rather than warn.
+ */
+function shouldRefuseRate(fx) {
+  return Boolean(fx && fx.stale && fx.stale_action === 'refuse');
+}
+
+/**
+ * Rewrite SGD amounts in a message ("$12.50") in the converted currency
+ * ("35.63 MYR").
+ */
+function convertProse(text, fx) {
+  return text.replace(PROSE_MONEY_PATTERN, (match, amount) =>
+    `${roundTo(parseFloat(amount.replace(/,/g, '')) * fx.rate, 2).toFixed(2)} ${fx.currency}`);
+}
+
+/**
+ * Convert every selling price in response data from SGD with an exchange
+ * rate. Unit prices keep 4 decimals, totals 2. An object's `currency: 'SGD'`
+ * is relabelled when its prices were converted, and `base_currency: 'SGD'`
+ * is added next to kept `*_sgd` fields; money in messages is rewritten.
+ * Objects priced in another currency, and cost breakdowns, are left as they
+ * are.
+ *
+ * @param {*} value - Response data
+ * @param {object|null} fx - Rate from getExchangeRate (null leaves data unchanged)
+ * @returns {*} Converted copy
+ */
+function convertPrices(value, fx) {
+  if (!fx || fx.currency === BASE_CURRENCY) return value;
+  if (Array.isArray(value)) {
+    return value.map(item => convertPrices(item, fx));
+  }
+  if (typeof value === 'string') {
+    return convertProse(value, fx);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (value.currency && value.currency !== BASE_CURRENCY) {
+    return value;
+  }
+
+  const convert = (key, amount) => roundTo(amount * fx.rate, /unit/i.test(key) ? 4 : 2);
+  const copy = {};
+  let converted = false;
+  let keptSgd = false;
+  for (const [key, child] of Object.entries(value)) {
+    const isNumber = typeof child === 'number' && Number.isFinite(child);
+    if (isNumber && MONEY_FIELDS.has(key)) {
+      copy[key] = convert(key, child);
+      converted = true;
+    } else {
+      copy[key] = convertPrices(child, fx);
+    }
+
+    if (isNumber && key.endsWith(SGD_SUFFIX)) {
+      copy[`${key.slice(0, -SGD_SUFFIX.length)}_${fx.currency.toLowerCase()}`] = convert(key, child);
+      converted = true;
+      keptSgd = true;
+    }
+  }
+
+  if (converted && copy.currency === BASE_CURRENCY) {
+    copy.currency = fx.currency;
+    if (keptSgd) copy.base_currency = BASE_CURRENCY;
+  }
+  return copy;
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  normaliseCurrency,
+  getExchangeRate,
+  shouldRefuseRate,
+  convertPrices
+};
@@ -0,0 +1,303 @@
+const { supabase } = require('./supabase');
+
+// Finishing add-ons for paper jobs. Every finishing table is quantity-ranged
+// (min_quantity / max_quantity, null max = open-ended) but the tables were
+// imported from different sheets, so a matched row is priced from whichever
+// charge columns it carries:
+//   flat_fee, or price with is_flat_price = true   -> once per job
+//   price_per_piece, or price otherwise            -> per piece
+//   block_fee                                      -> per block/die (hotstamping)
+//   minimum_charge                                 -> floor for the line
+const FINISHINGS = {
+  lamination: {
+    table: 'paper_print_lamination_prices',
+    optionColumn: 'lamination_type',
+    optionPattern: /\blaminat\w*|\blam\b/gi,
+    defaultOption: 'matte'
+  },
+  'velvet lamination': {
+    table: 'paper_print_velvet_lamination_prices'
+  },
+  folding: {
+    table: 'paper_print_folding_prices',
+    optionColumn: 'fold_type',
+    optionPattern: /\bfold(?:ing|ed)?\b/gi,
+    defaultOption: 'half fold'
+  },
+  binding: {
+    table: 'paper_print_binding_prices',
+    optionColumn: 'binding_type',
+    optionPattern: /\bbind(?:ing)?\b|\bbound\b/gi,
+    defaultOption: 'saddle stitch'
+  },
+  'namecard cutting': {
+    table: 'paper_print_namecard_cutting_prices'
+  },
+  diecut: {
+    table: 'paper_print_diecut_prices',
+    productTypeColumn: 'product_type'
+  },
+  'spot uv': {
+    table: 'paper_print_redpacket_spotuv_prices',
+    optionColumn: 'spotuv_type',
+    optionPattern: /\bspot[\s-]*uv\b/gi
+  },
+  embossing: {
+    table: 'paper_print_redpacket_embossing_prices',
+    optionColumn: 'emboss_type',
+    optionPattern: /\bemboss\w*/gi
+  },
+  hotstamping: {
+    table: 'paper_print_hotstamping_tiered_prices',
+    optionColumn: 'hotstamping_type',
+    optionPattern: /\bhot[\s-]*stamp\w*|\bfoil\w*/gi,
+    productTypeColumn: 'product_type',
+    usesBlocks: true
+  },
+  scoring: {
+    table: 'paper_print_scoring_prices',
+    productTypeColumn: 'product_type'
+  },
+  perforation: {
+    table: 'paper_print_perforation_prices',
+    productTypeColumn: 'product_type'
+  },
+  'tape pasting': {
+    table: 'paper_print_tape_pasting_prices',
+    productTypeColumn: 'product_type'
+  }
+};
+
+const FINISHING_ALIASES = [
+  { pattern: /^velvet/i, value: 'velvet lamination' },
+  { pattern: /\blam/i, value: 'lamination' },
+  { pattern: /^fold/i, value: 'folding' },
+  { pattern: /^bind/i, value: 'binding' },
+  { pattern: /^die[\s-]*cut/i, value: 'diecut' },
+  { pattern: /^(namecard\s*)?cut/i, value: 'namecard cutting' },
+  { pattern: /^spot[\s-]*uv/i, value: 'spot uv' },
+  { pattern: /^emboss/i, value: 'embossing' },
+  { pattern: /^hot[\s-]*stamp|^foil/i, value: 'hotstamping' },
+  { pattern: /^scor/i, value: 'scoring' },
+  { pattern: /^perforat/i, value: 'perforation' },
+  { pattern: /^tape/i, value: 'tape pasting' }
+];
+
+function roundMoney(value) {
+  return parseFloat(Number(value).toFixed(2));
+}
+
+function toNumber(value) {
+  return value === null || value === undefined || value === '' ? null : parseFloat(value);
+}
+
+/**
+ * Map a finishing name ("die-cut", "hot stamping", "matte lamination") to
+ * its FINISHINGS key.
+ *
+ * @param {string} type - Finishing name
+ * @returns {string|null} Canonical finishing type
+ */
+function normaliseFinishingType(type) {
+  const text = String(type || '').trim().toLowerCase();
+  if (FINISHINGS[text]) return text;
+  const alias = FINISHING_ALIASES.find(candidate => candidate.pattern.test(text));
+  return alias ? alias.value : null;
+}
+
+/**
+ * Find the row of a quantity-ranged table that covers the quantity.
+ * String filters match case-insensitively; null filters are ignored.
+ *
+ * @param {string} table - Table name
+ * @param {object} filters - Column filters
+ * @param {number} quantity - Quantity to cover
+ * @param {object} options - { genericColumn } to only match rows where that column is null
+ * @returns {Promise<object|null>} Matching row or null
+ */
+async function getQuantityRangeRow(table, filters, quantity, options = {}) {
+  let queryBuilder = supabase
+    .from(table)
+    .select('*')
+    .lte('min_quantity', quantity)
+    .order('min_quantity', { ascending: false });
+
+  Object.entries(filters)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .forEach(([column, value]) => {
+      queryBuilder = typeof value === 'string'
+        ? queryBuilder.ilike(column, value)
+        : queryBuilder.eq(column, value);
+    });
+
+  if (options.genericColumn) {
+    queryBuilder = queryBuilder.is(options.genericColumn, null);
+  }
+
+  const { data, error } = await queryBuilder;
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return (data || []).find(row => row.max_quantity === null || quantity <= row.max_quantity) || null;
+}
+
+/**
+ * Price a matched finishing row for the job quantity and number of blocks.
+ */
+function priceFinishingRow(row, quantity, blocks) {
+  const price = toNumber(row.price);
+  const flatFee = toNumber(row.flat_fee) ?? (row.is_flat_price ? price : null);
+  const unitPrice = toNumber(row.price_per_piece) ?? (row.is_flat_price ? null : price);
+  const blockFee = toNumber(row.block_fee);
+  const minimumCharge = toNumber(row.minimum_charge);
+
+  const subtotal = (flatFee || 0) + (unitPrice || 0) * quantity + (blockFee || 0) * blocks;
+  const amount = minimumCharge !== null ? Math.max(subtotal, minimumCharge) : subtotal;
+
+  let basis = 'per_piece';
+  if (blockFee !== null) basis = 'block_fee_plus_per_piece';
+  else if (flatFee !== null && unitPrice !== null) basis = 'flat_fee_plus_per_piece';
+  else if (flatFee !== null) basis = 'flat';
+
+  return {
+    basis,
+    flat_fee: flatFee,
+    unit_price: unitPrice,
+    block_fee: blockFee,
+    blocks: blockFee !== null ? blocks : null,
+    minimum_charge: minimumCharge,
+    minimum_applied: minimumCharge !== null && subtotal < minimumCharge,
+    amount: roundMoney(amount)
+  };
+}
+
+/**
+ * Finishing rows keyed to a product type fall back to the generic rows
+ * (product_type null) when the product has none of its own.
+ */
+async function findFinishingRow(definition, option, productType, quantity) {
+  const filters = definition.optionColumn ? { [definition.optionColumn]: option } : {};
+
+  if (!definition.productTypeColumn) {
+    return getQuantityRangeRow(definition.table, filters, quantity);
+  }
+
+  if (productType) {
+    const row = await getQuantityRangeRow(definition.table, {
+      ...filters,
+      [definition.productTypeColumn]: productType
+    }, quantity);
+    if (row) return row;
+  }
+
+  return getQuantityRangeRow(definition.table, filters, quantity, {
+    genericColumn: definition.productTypeColumn
+  });
+}
+
+/**
+ * The option named inside a finishing name ("gloss lamination" -> "gloss"),
+ * or null when the name is only the finishing itself.
+ */
+function extractFinishingOption(definition, name) {
+  if (!definition.optionColumn || !definition.optionPattern) return null;
+  const option = String(name || '').toLowerCase().replace(definition.optionPattern, ' ').replace(/\s+/g, ' ').trim();
+  return option || null;
+}
+
+/**
+ * Price one finishing for a paper job.
+ *
+ * @param {object} finishing - { type, option, blocks, quantity }
+ * @param {object} job - { product_type, quantity }
+ * @returns {Promise<object>} Itemised finishing line (amount null when unpriced)
+ */
+async function priceFinishing(finishing, job) {
+  const type = normaliseFinishingType(finishing.type);
+  const definition = FINISHINGS[type];
+  const quantity = finishing.quantity || job.quantity;
+  const blocks = finishing.blocks || 1;
+
+  if (!definition) {
+    return {
+      type: finishing.type,
+      option: finishing.option || null,
+      name: finishing.type,
+      table: null,
+      quantity,
+      amount: null,
+      reason: `Unknown finishing "${finishing.type}"`
+    };
+  }
+
+  // An option named in the type ("gloss lamination") is looked up as given,
+  // so an unknown one comes back unpriced instead of priced as the default.
+  const option = finishing.option
+    || extractFinishingOption(definition, finishing.type)
+    || definition.defaultOption
+    || null;
+  const name = option ? `${option} ${type}` : type;
+  const table = definition.table;
+  const row = await findFinishingRow(definition, option, job.product_type, quantity);
+
+  if (!row) {
+    return {
+      type,
+      option,
+      name,
+      table: definition.table,
+      quantity,
+      amount: null,
+      reason: `No ${definition.table} rate for ${name} at ${quantity} pcs`
+    };
+  }
+
+  return {
+    type,
+    option,
+    name,
+    table,
+    rate_id: row.id || null,
+    quantity,
+    quantity_range: {
+      min_quantity: row.min_quantity ?? null,
+      max_quantity: row.max_quantity ?? null
+    },
+    ...priceFinishingRow(row, quantity, definition.usesBlocks ? blocks : 0)
+  };
+}
+
+/**
+ * Price a list of finishings for a paper job with an itemised breakdown.
+ * Finishings may be names ("spot uv") or objects ({ type, option, blocks }).
+ *
+ * @param {Array} finishings - Requested finishings
+ * @param {object} job - { product_type, quantity }
+ * @returns {Promise<object>} { items, total, unpriced }
+ */
+async function priceFinishings(finishings, job) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const items = [];
+  for (const finishing of finishings) {
+    const request = typeof finishing === 'string' ? { type: finishing } : finishing;
+    items.push(await priceFinishing(request, job));
+  }
+
+  return {
+    items,
+    total: roundMoney(items.reduce((sum, item) => sum + (item.amount || 0), 0)),
+    unpriced: items.filter(item => item.amount === null)
+  };
+}
+
+module.exports = {
+  FINISHING_TYPES: Object.keys(FINISHINGS),
+  normaliseFinishingType,
+  getQuantityRangeRow,
+  priceFinishings
+};
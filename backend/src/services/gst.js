@@ -0,0 +1,40 @@
+// Singapore GST. Catalogue, lanyard, paper and sample prices are all stored
+// before GST; every priced response reports the same four fields so clients
+// can show either the exclusive or the inclusive amount.
+
+const GST_RATE = parseFloat(process.env.GST_RATE || '0.09');
+
+function roundMoney(value) {
+  return parseFloat(Number(value).toFixed(2));
+}
+
+/**
+ * GST breakdown for an amount.
+ *
+ * @param {number|null} amount - Amount to tax (null when not priced)
+ * @param {object} options - Tax options
+ * @param {boolean} options.applicable - Whether GST applies (default true)
+ * @param {boolean} options.included - Whether `amount` already includes GST (default false)
+ * @returns {object} { amount_ex_gst, gst_rate, gst_amount, amount_inc_gst }
+ */
+function getGstBreakdown(amount, { applicable = true, included = false } = {}) {
+  const rate = applicable ? GST_RATE : 0;
+  if (amount === null || amount === undefined || Number.isNaN(Number(amount))) {
+    return { amount_ex_gst: null, gst_rate: rate, gst_amount: null, amount_inc_gst: null };
+  }
+
+  const amountExGst = included ? roundMoney(amount / (1 + rate)) : roundMoney(amount);
+  const amountIncGst = included ? roundMoney(amount) : roundMoney(amountExGst * (1 + rate));
+
+  return {
+    amount_ex_gst: amountExGst,
+    gst_rate: rate,
+    gst_amount: roundMoney(amountIncGst - amountExGst),
+    amount_inc_gst: amountIncGst
+  };
+}
+
+module.exports = {
+  GST_RATE,
+  getGstBreakdown
+};
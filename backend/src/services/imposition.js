@@ -0,0 +1,277 @@
+const { supabase } = require('./supabase');
+
+// Imposition: how many finished pieces fit on a parent sheet. Each piece is
+// laid out with bleed on every edge, and the press gripper margin along one
+// sheet edge is unprintable. Jobs that do not fit on standard stock fall
+// back to oversized stock of the same paper.
+
+// Explicit dimensions within this tolerance of a standard size take its name.
+const STANDARD_SIZE_TOLERANCE_MM = 1;
+
+function roundUnitPrice(value) {
+  return parseFloat(Number(value).toFixed(4));
+}
+
+/**
+ * Read a size from free text: "90x54mm", "10 x 15cm" or a size name (A4, DL).
+ *
+ * @param {string} text - Free text
+ * @returns {object|string|null} { width_mm, height_mm }, a size name, or null
+ */
+function parseSizeText(text) {
+  const dimensions = (text || '').match(/(\d+(?:\.\d+)?)\s*(mm|cm)?\s*[x×]\s*(\d+(?:\.\d+)?)\s*(mm|cm)\b/i);
+  if (dimensions) {
+    const factor = (dimensions[2] || dimensions[4]).toLowerCase() === 'cm' ? 10 : 1;
+    return {
+      width_mm: parseFloat(dimensions[1]) * factor,
+      height_mm: parseFloat(dimensions[3]) * factor
+    };
+  }
+
+  const named = (text || '').match(/\b(A[0-7]|DL|B[4-6])\b/i);
+  return named ? named[1].toUpperCase() : null;
+}
+
+/**
+ * All paper_print_settings values keyed by setting_key
+ *
+ * @returns {Promise<object>} Settings map (numbers)
+ */
+async function getPaperPrintSettings() {
+  const { data, error } = await supabase
+    .from('paper_print_settings')
+    .select('setting_key, setting_value');
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const settings = {};
+  (data || []).forEach((row) => {
+    settings[row.setting_key] = parseFloat(row.setting_value);
+  });
+  return settings;
+}
+
+async function getStandardSizes() {
+  const { data, error } = await supabase
+    .from('paper_print_standard_sizes')
+    .select('size_name, width_mm, height_mm');
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return (data || []).map(row => ({
+    name: row.size_name,
+    width_mm: parseFloat(row.width_mm),
+    height_mm: parseFloat(row.height_mm)
+  }));
+}
+
+/**
+ * Normalise a requested size against paper_print_standard_sizes. Names are
+ * matched case-insensitively; explicit dimensions that equal a standard size
+ * (either orientation) take the standard name.
+ *
+ * @param {string|object} size - Size name, "WxHmm" text, or { width_mm, height_mm }
+ * @returns {Promise<object|null>} { name, width_mm, height_mm, is_standard } or null
+ */
+async function normaliseSize(size) {
+  const parsed = size && typeof size === 'object' ? size : parseSizeText(String(size || ''));
+  const standardSizes = await getStandardSizes();
+
+  if (parsed && typeof parsed === 'object') {
+    const width = parseFloat(parsed.width_mm);
+    const height = parseFloat(parsed.height_mm);
+    if (!(width > 0) || !(height > 0)) return null;
+
+    const near = (a, b) => Math.abs(a - b) <= STANDARD_SIZE_TOLERANCE_MM;
+    const standard = standardSizes.find(candidate =>
+      (near(candidate.width_mm, width) && near(candidate.height_mm, height))
+      || (near(candidate.width_mm, height) && near(candidate.height_mm, width))
+    );
+
+    return {
+      name: standard ? standard.name : `${width}x${height}mm`,
+      width_mm: width,
+      height_mm: height,
+      is_standard: Boolean(standard)
+    };
+  }
+
+  const name = (parsed || String(size || '')).trim().toLowerCase();
+  const standard = standardSizes.find(candidate => candidate.name.toLowerCase() === name);
+  return standard ? { ...standard, is_standard: true } : null;
+}
+
+/**
+ * Classify a finished size into the smallest pricing_size_tiers tier whose
+ * maximum area it fits (the largest tier when it exceeds them all).
+ *
+ * @param {object} size - { width_mm, height_mm }
+ * @returns {Promise<object|null>} { tier_name, display_label, max_area_mm2 } or null
+ */
+async function classifySizeTier(size) {
+  const { data, error } = await supabase
+    .from('pricing_size_tiers')
+    .select('tier_name, max_area_mm2, display_label')
+    .order('max_area_mm2', { ascending: true });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const tiers = data || [];
+  if (tiers.length === 0) return null;
+
+  const area = size.width_mm * size.height_mm;
+  const tier = tiers.find(row => area <= parseFloat(row.max_area_mm2)) || tiers[tiers.length - 1];
+  return {
+    tier_name: tier.tier_name,
+    display_label: tier.display_label,
+    max_area_mm2: parseFloat(tier.max_area_mm2)
+  };
+}
+
+/**
+ * Lay a piece out on a sheet, trying both piece orientations. The gripper
+ * margin comes off the sheet height; bleed is added to every piece edge.
+ *
+ * @param {object} piece - { width_mm, height_mm } finished (or open spread) size
+ * @param {object} sheet - { sheet_width_mm, sheet_height_mm }
+ * @param {object} margins - { bleed_mm, gripper_mm }
+ * @returns {object} { pieces_per_sheet, across, down, rotated }
+ */
+function layoutPieces(piece, sheet, margins) {
+  const usableWidth = sheet.sheet_width_mm;
+  const usableHeight = sheet.sheet_height_mm - margins.gripper_mm;
+  const bleed = margins.bleed_mm * 2;
+
+  const fit = (width, height, rotated) => {
+    const across = Math.max(Math.floor(usableWidth / (width + bleed)), 0);
+    const down = Math.max(Math.floor(usableHeight / (height + bleed)), 0);
+    return { pieces_per_sheet: across * down, across, down, rotated };
+  };
+
+  const upright = fit(piece.width_mm, piece.height_mm, false);
+  const rotated = fit(piece.height_mm, piece.width_mm, true);
+  return rotated.pieces_per_sheet > upright.pieces_per_sheet ? rotated : upright;
+}
+
+function formatStock(row, source) {
+  const pricePerSheet = row.price_per_sheet !== null && row.price_per_sheet !== undefined
+    ? parseFloat(row.price_per_sheet)
+    : parseFloat(row.packet_price) / parseFloat(row.sheets_per_packet);
+
+  return {
+    paper_type: row.paper_type,
+    sheet_width_mm: parseFloat(row.sheet_width_mm),
+    sheet_height_mm: parseFloat(row.sheet_height_mm),
+    price_per_sheet: roundUnitPrice(pricePerSheet),
+    source
+  };
+}
+
+/**
+ * Stocks in a paper price table matching the paper type (partial match),
+ * common stocks first. Without a paper type, only common stocks qualify.
+ */
+async function getStocks(table, paperType) {
+  let queryBuilder = supabase
+    .from(table)
+    .select('*')
+    .order('is_common', { ascending: false })
+    .order('paper_type', { ascending: true });
+
+  if (paperType) {
+    queryBuilder = queryBuilder.ilike('paper_type', `%${paperType.trim().replace(/\s+/g, '%')}%`);
+  }
+
+  const { data, error } = await queryBuilder;
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const rows = data || [];
+  return paperType ? rows : rows.filter(row => row.is_common).slice(0, 1);
+}
+
+/**
+ * Choose the parent sheet for a job and lay the piece out on it. Uses the
+ * first matching standard stock (paper_prices); when the piece does not fit
+ * there, falls back to oversized stock of the same paper type.
+ *
+ * @param {object} params - Imposition parameters
+ * @param {object} params.piece - { width_mm, height_mm } printed piece size
+ * @param {string} params.paperType - Requested paper stock (optional)
+ * @param {object} params.settings - paper_print_settings map (optional)
+ * @returns {Promise<object>} { stock, layout, oversized, margins } or { error }
+ */
+async function imposeOnStock({ piece, paperType = null, settings = null }) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const printSettings = settings || await getPaperPrintSettings();
+  const margins = {
+    bleed_mm: printSettings.bleed_mm,
+    gripper_mm: printSettings.gripper_mm
+  };
+  const missing = Object.keys(margins).filter(key => !Number.isFinite(margins[key]));
+  if (missing.length > 0) {
+    return {
+      error: {
+        code: 'PAPER_SETTINGS_MISSING',
+        message: `paper_print_settings is missing ${missing.join(', ')}`
+      }
+    };
+  }
+
+  const standardRows = await getStocks('paper_prices', paperType);
+  const standard = standardRows.length > 0 ? formatStock(standardRows[0], 'paper_prices') : null;
+
+  if (standard) {
+    const layout = layoutPieces(piece, standard, margins);
+    if (layout.pieces_per_sheet > 0) {
+      return { stock: standard, layout, oversized: false, margins };
+    }
+  }
+
+  // Oversized stock of the same paper; without a standard match, any
+  // oversized stock matching the request.
+  const oversizedRows = await getStocks('oversized_paper_prices', standard ? standard.paper_type : paperType);
+  for (const row of oversizedRows) {
+    const stock = formatStock(row, 'oversized_paper_prices');
+    const layout = layoutPieces(piece, stock, margins);
+    if (layout.pieces_per_sheet > 0) {
+      return { stock, layout, oversized: true, margins };
+    }
+  }
+
+  if (!standard && oversizedRows.length === 0) {
+    return {
+      error: {
+        code: 'PAPER_NOT_FOUND',
+        message: paperType ? `No paper stock matches "${paperType}"` : 'No common paper stock configured'
+      }
+    };
+  }
+
+  return {
+    error: {
+      code: 'SIZE_TOO_LARGE',
+      message: `${piece.width_mm}x${piece.height_mm}mm does not fit on any ${standard ? standard.paper_type : paperType} sheet, including oversized stock`
+    }
+  };
+}
+
+module.exports = {
+  parseSizeText,
+  getPaperPrintSettings,
+  normaliseSize,
+  classifySizeTier,
+  layoutPieces,
+  imposeOnStock
+};
@@ -1,4 +1,5 @@
 const { supabase } = require('./supabase');
+const { getGstBreakdown } = require('./gst');
 
 // Custom heat transfer (dye sublimation) lanyards are priced by the Supabase
 // calculator (heat_transfer_lanyard_prices view + calculate_heat_transfer_lanyard_price
@@ -9,7 +10,15 @@ const HEAT_TRANSFER_PATTERN = /heat[\s-]*transfer|dye[\s-]*sub(?:limation)?\b|su
 const READY_STOCK_PATTERN = /ready[\s-]*stock/i;
 
 const DEFAULT_ATTACHMENT = 'lobster claw';
+const DEFAULT_WIDTH_MM = 20;
+const DESIGN_MOQ = 30;
 const PRODUCT_NAME = 'Heat Transfer (Dye Sublimation) Lanyard';
+const OPTIONS_PAGE_SIZE = 1000;
+
+const LANYARD_FREIGHT_BY_LEAD_TIME = {
+  overseas_air: 'air',
+  overseas_sea: 'sea',
+};
 
 // Base attachments, longest/most specific phrasing first.
 const BASE_ATTACHMENTS = [
@@ -30,6 +39,7 @@ const ADDONS = [
   { pattern: /buckle\s+clip|buckle/i, value: 'buckle clip' },
   { pattern: /mobile\s+loop|phone\s+loop/i, value: 'mobile loop' },
 ];
+const ADDON_NAMES = ADDONS.map((addon) => addon.value);
 
 function isHeatTransferLanyardQuery(query) {
   const text = query || '';
@@ -117,6 +127,7 @@ function formatPriceRow(row) {
     quantity: row.quantity,
     unit_price_sgd: parseFloat(row.unit_price_sgd),
     total_price_sgd: parseFloat(row.total_price_sgd),
+    ...getGstBreakdown(parseFloat(row.total_price_sgd)),
     currency: row.currency || 'SGD',
     moq: row.moq,
     lead_time: {
@@ -142,25 +153,58 @@ async function getDesignCharges() {
     qty_min: row.qty_min,
     qty_max: row.qty_max,
     charge_per_design_sgd: parseFloat(row.charge_per_design),
+    ...getGstBreakdown(parseFloat(row.charge_per_design)),
   }));
 }
 
+// Design charge for the quoted quantity, or null without designs/quantity.
+function getDesignCharge(designCharges, quantity, designs) {
+  if (!designs || !quantity) return null;
+
+  const tier = designCharges.find((charge) =>
+    quantity >= charge.qty_min && (charge.qty_max === null || quantity <= charge.qty_max));
+  if (!tier) return null;
+
+  const total = parseFloat((tier.charge_per_design_sgd * designs).toFixed(2));
+  return {
+    designs,
+    charge_per_design_sgd: tier.charge_per_design_sgd,
+    total_price_sgd: total,
+    ...getGstBreakdown(total),
+    currency: 'SGD',
+  };
+}
+
 /**
  * Quote a custom heat transfer lanyard from the Supabase calculator.
  * Returns exact quotes for the requested quantity (or MOQ tiers when no
  * quantity is given), the full standard tier tables, and design charge info.
+ *
+ * @param {object} spec - From resolveLanyardSpec, or parsed from free text
+ * @param {string} spec.attachmentType - lanyard_component_costs attachment_type
+ * @param {number} spec.widthMm - 15, 20 or 25
+ * @param {string|null} spec.freightType - 'air', 'sea', or null for both
+ * @param {number|null} spec.quantity - Pieces (null for tier tables only)
+ * @param {number|null} spec.designs - Number of designs (adds design_charge)
+ * @param {boolean} spec.explicitAttachment - False when the default attachment was used
+ * @param {boolean} spec.explicitWidth - False when the default width was used
+ * @returns {Promise<object|null>} Quote, or null when the calculator has no tiers for the attachment/width
  */
-async function getHeatTransferLanyardQuote(query) {
+async function quoteHeatTransferLanyard(spec) {
   if (!supabase) {
     throw new Error('Database not configured');
   }
 
-  const { attachmentType, explicit } = parseAttachment(query);
-  const requestedFreight = parseFreightType(query);
-  const requestedWidth = parseWidth(query);
-  const widthMm = requestedWidth || 20;
-  const quantity = parseQuantity(query);
-  const freightTypes = requestedFreight ? [requestedFreight] : ['air', 'sea'];
+  const {
+    attachmentType,
+    widthMm,
+    freightType = null,
+    quantity = null,
+    designs = null,
+    explicitAttachment = true,
+    explicitWidth = true,
+  } = spec;
+  const freightTypes = freightType ? [freightType] : ['air', 'sea'];
 
   const { data: tierRows, error: tierError } = await supabase
     .from('heat_transfer_lanyard_prices')
@@ -181,13 +225,13 @@ async function getHeatTransferLanyardQuote(query) {
 
   const quotes = [];
   if (quantity) {
-    for (const freightType of freightTypes) {
+    for (const freight of freightTypes) {
       const { data: quoteRows, error: quoteError } = await supabase.rpc(
         'calculate_heat_transfer_lanyard_price',
         {
           p_attachment_type: attachmentType,
           p_quantity: quantity,
-          p_freight_type: freightType,
+          p_freight_type: freight,
           p_width_mm: widthMm,
         }
       );
@@ -202,18 +246,23 @@ async function getHeatTransferLanyardQuote(query) {
     }
   }
 
+  const designCharges = await getDesignCharges();
+
   const notes = [
     'Prices are in SGD before GST.',
     'MOQ 50 pcs by air freight (8-13 working days), 500 pcs by sea freight (15-30 working days); maximum 5,000 pcs.',
-    'Design charge is an additional per-design fee (MOQ 30 pcs per design), subject to GST.',
+    `Design charge is an additional per-design fee (MOQ ${DESIGN_MOQ} pcs per design), subject to GST.`,
   ];
   if (quantity && quotes.length === 0) {
-    notes.push(`No published price for ${quantity} pcs${requestedFreight ? ` by ${requestedFreight} freight` : ''}; see tier tables for the available range.`);
+    notes.push(`No published price for ${quantity} pcs${freightType ? ` by ${freightType} freight` : ''}; see tier tables for the available range.`);
+  }
+  if (designs && quantity && quantity < designs * DESIGN_MOQ) {
+    notes.push(`${designs} designs need at least ${designs * DESIGN_MOQ} pcs (${DESIGN_MOQ} pcs per design).`);
   }
-  if (!explicit) {
+  if (!explicitAttachment) {
     notes.push('Attachment not specified; quoted with the default lobster claw attachment.');
   }
-  if (!requestedWidth) {
+  if (!explicitWidth) {
     notes.push('Width not specified; quoted the default 2cm x 90cm (1.5cm and 2.5cm also available).');
   }
 
@@ -228,12 +277,207 @@ async function getHeatTransferLanyardQuote(query) {
       air: tierRows.filter((row) => row.freight_type === 'air').map(formatPriceRow),
       sea: tierRows.filter((row) => row.freight_type === 'sea').map(formatPriceRow),
     },
-    design_charges: await getDesignCharges(),
+    design_charges: designCharges,
+    ...(designs ? { design_charge: getDesignCharge(designCharges, quantity, designs) } : {}),
     notes,
   };
 }
 
+/**
+ * Quote a custom heat transfer lanyard from a free-text query (attachment,
+ * add-ons, width, freight and quantity are detected from the text).
+ */
+async function getHeatTransferLanyardQuote(query) {
+  const { attachmentType, explicit } = parseAttachment(query);
+  const requestedWidth = parseWidth(query);
+
+  return quoteHeatTransferLanyard({
+    attachmentType,
+    widthMm: requestedWidth || DEFAULT_WIDTH_MM,
+    freightType: parseFreightType(query),
+    quantity: parseQuantity(query),
+    explicitAttachment: explicit,
+    explicitWidth: Boolean(requestedWidth),
+  });
+}
+
+function normaliseOption(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Every attachment_type / width_mm pair in lanyard_component_costs (one row
+// per quantity range, so paged and de-duplicated).
+async function getComponentOptions() {
+  const pairs = new Map();
+  for (let offset = 0; ; offset += OPTIONS_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('lanyard_component_costs')
+      .select('attachment_type, width_mm')
+      .order('attachment_type', { ascending: true })
+      .range(offset, offset + OPTIONS_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+    for (const row of data || []) {
+      if (!pairs.has(row.attachment_type)) pairs.set(row.attachment_type, new Set());
+      pairs.get(row.attachment_type).add(row.width_mm);
+    }
+    if (!data || data.length < OPTIONS_PAGE_SIZE) break;
+  }
+  return pairs;
+}
+
+/**
+ * Validate structured lanyard fields against lanyard_component_costs.
+ *
+ * `attachment` is a base attachment (e.g. "oval hook", "retractable reel
+ * (logo print)") or a full attachment_type; `add_ons` are appended in the
+ * cost table's canonical order. `lead_time_type` (overseas_air/overseas_sea)
+ * stands in for `freight_type`. For older /quote lines, `attachment` may also
+ * be free text ("oval hook with breakaway") and `width` ("2cm") stands in for
+ * `width_mm`.
+ *
+ * @param {object} input - { attachment, add_ons, width_mm, width, freight_type, lead_time_type, quantity, designs }
+ * @returns {Promise<object>} { spec } for quoteHeatTransferLanyard, or { error, options } with the valid choices
+ */
+async function resolveLanyardSpec(input = {}) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const invalid = (error) => ({ error, options: null });
+  const {
+    attachment,
+    add_ons: addOns,
+    width_mm: width,
+    width: widthText,
+    freight_type: freight,
+    lead_time_type: leadTimeType,
+    quantity,
+    designs,
+  } = input;
+
+  if (attachment !== undefined && attachment !== null && (typeof attachment !== 'string' || attachment.trim() === '')) {
+    return invalid('attachment must be a non-empty string');
+  }
+  if (addOns !== undefined && addOns !== null && (!Array.isArray(addOns) || addOns.some((addOn) => typeof addOn !== 'string'))) {
+    return invalid('add_ons must be an array of add-on names');
+  }
+
+  let parts = [DEFAULT_ATTACHMENT];
+  if (attachment && attachment.includes('+')) {
+    parts = attachment.split('+').map(normaliseOption);
+  } else if (attachment) {
+    const parsed = parseAttachment(attachment);
+    parts = parsed.explicit ? parsed.attachmentType.split(' + ') : [normaliseOption(attachment)];
+  }
+  const requestedAddOns = [...parts.slice(1), ...(addOns || []).map(normaliseOption)];
+  const unknownAddOn = requestedAddOns.find((addOn) => !ADDON_NAMES.includes(addOn));
+  if (unknownAddOn) {
+    return invalid(`Unknown add-on "${unknownAddOn}"; add_ons must be from ${ADDON_NAMES.join(', ')}`);
+  }
+  const attachmentType = [
+    parts[0],
+    ...ADDON_NAMES.filter((addOn) => requestedAddOns.includes(addOn)),
+  ].join(' + ');
+
+  const hasWidth = width !== undefined && width !== null;
+  const textWidth = !hasWidth && widthText !== undefined && widthText !== null
+    ? parseWidth(String(widthText))
+    : null;
+  if (!hasWidth && widthText !== undefined && widthText !== null && !textWidth) {
+    return invalid('width must be 1.5cm, 2cm or 2.5cm');
+  }
+  const widthMm = hasWidth ? Number(width) : textWidth || DEFAULT_WIDTH_MM;
+  if (!Number.isInteger(widthMm)) {
+    return invalid('width_mm must be 15, 20 or 25');
+  }
+
+  const freightType = freight || LANYARD_FREIGHT_BY_LEAD_TIME[leadTimeType] || null;
+  if (freight && !['air', 'sea'].includes(freight)) {
+    return invalid('freight_type must be air or sea');
+  }
+  if (!freight && leadTimeType && !freightType) {
+    return invalid('lead_time_type must be overseas_air or overseas_sea for heat transfer lanyards');
+  }
+
+  if (quantity !== undefined && quantity !== null && !isPositiveInteger(quantity)) {
+    return invalid('quantity must be a positive integer');
+  }
+  if (designs !== undefined && designs !== null && !isPositiveInteger(designs)) {
+    return invalid('designs must be a positive integer');
+  }
+
+  const { data, error } = await supabase
+    .from('lanyard_component_costs')
+    .select('attachment_type')
+    .eq('attachment_type', attachmentType)
+    .eq('width_mm', widthMm)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    const pairs = await getComponentOptions();
+    const widths = pairs.get(attachmentType);
+    const options = {
+      attachment_types: [...pairs.keys()],
+      add_ons: ADDON_NAMES,
+      widths_mm: [...new Set([...pairs.values()].flatMap((set) => [...set]))].sort((a, b) => a - b),
+    };
+    return {
+      error: widths
+        ? `"${attachmentType}" is not available in ${widthMm}mm width (available: ${[...widths].sort((a, b) => a - b).join(', ')}mm)`
+        : `Unknown lanyard attachment "${attachmentType}"`,
+      options,
+    };
+  }
+
+  return {
+    spec: {
+      attachmentType,
+      widthMm,
+      freightType,
+      quantity: quantity || null,
+      designs: designs || null,
+      explicitAttachment: Boolean(attachment),
+      explicitWidth: hasWidth || Boolean(textWidth),
+    },
+  };
+}
+
+/**
+ * Pick the single price a product lookup reports from a quote: the
+ * requested freight (air by default, the lower MOQ) at the requested
+ * quantity, or that freight's MOQ tier when no quantity was given.
+ *
+ * @returns {object|null} A formatted quote/tier row
+ */
+function selectLanyardQuote(result, freightType = null) {
+  if (result.requested_quantity) {
+    return result.quotes.find((quote) => quote.freight_type === (freightType || 'air'))
+      || (freightType ? null : result.quotes[0] || null);
+  }
+  return result.tiers[freightType || 'air'][0] || null;
+}
+
+function isHeatTransferLanyardProduct(product) {
+  return Boolean(product) && product.name === PRODUCT_NAME;
+}
+
 module.exports = {
+  HEAT_TRANSFER_LANYARD_PRODUCT_NAME: PRODUCT_NAME,
   isHeatTransferLanyardQuery,
+  isHeatTransferLanyardProduct,
   getHeatTransferLanyardQuote,
+  quoteHeatTransferLanyard,
+  resolveLanyardSpec,
+  selectLanyardQuote,
 };
@@ -0,0 +1,186 @@
+const { supabase } = require('./supabase');
+const { getLatestBenchmarkBatch, getBenchmarkCost, getBenchmarkCosts } = require('./benchmarks');
+const { normaliseVendor, getVendorProductByCode } = require('./vendorCatalogue');
+
+// Margin floor guardrail. Each catalogue price the API returns is checked
+// against its latest known unit cost: the benchmark snapshot for its pricing
+// row (item + print cost), with the item cost replaced by the vendor's
+// current unit cost when the request names the supplier item. Floors are
+// profit over cost in percent, per category (margin_floors). The guardrail
+// only reports, and only to internal API keys; a failed check never blocks a
+// price.
+
+const DEFAULT_MARGIN_FLOOR_PCT = parseFloat(process.env.BENCHMARK_MARGIN_FLOOR_PCT || '15');
+
+// Cost data older than this is flagged as stale on an alert. Staleness alone
+// does not raise one.
+const COST_MAX_AGE_DAYS = parseFloat(process.env.MARGIN_COST_MAX_AGE_DAYS || '120');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Latest benchmark batch and category floors, loaded once per request. A
+ * failed read is logged and disables the guardrail for the request. Callers
+ * only load it for internal API keys.
+ *
+ * @param {Date} now - Reference time for staleness (default now)
+ * @returns {Promise<object|null>} { batch, floors, now, costs, vendorItems } or null
+ */
+async function loadMarginGuard(now = new Date()) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  try {
+    const batch = await getLatestBenchmarkBatch();
+    const { data, error } = await supabase
+      .from('margin_floors')
+      .select('category, floor_percentage')
+      .eq('is_active', true);
+
+    if (error) {
+      console.error(`[MARGIN-GUARD] Could not load margin_floors: ${error.message}`);
+    }
+
+    const floors = new Map((error ? [] : data || [])
+      .map(row => [String(row.category).trim().toLowerCase(), parseFloat(row.floor_percentage)]));
+    return { batch, floors, now, costs: new Map(), vendorItems: new Map() };
+  } catch (error) {
+    console.error(`[MARGIN-GUARD] Guardrail disabled: ${error.message}`);
+    return null;
+  }
+}
+
+function getFloor(guard, category) {
+  const floor = category ? guard.floors.get(String(category).trim().toLowerCase()) : undefined;
+  return Number.isFinite(floor) ? floor : DEFAULT_MARGIN_FLOOR_PCT;
+}
+
+function ageInDays(date, now) {
+  const time = new Date(date).getTime();
+  return Number.isNaN(time) ? null : (now.getTime() - time) / DAY_MS;
+}
+
+// Current vendor item cost for the supplier item named in the request (SGD
+// only), read once per item for the request.
+async function getVendorItemCost(guard, supplierContext) {
+  const vendorKey = normaliseVendor(supplierContext && supplierContext.supplierName);
+  if (!vendorKey || !supplierContext.supplierProductCode) return null;
+
+  const key = `${vendorKey}:${supplierContext.supplierProductCode}`;
+  if (!guard.vendorItems.has(key)) {
+    guard.vendorItems.set(key, getVendorProductByCode(vendorKey, supplierContext.supplierProductCode));
+  }
+  const item = await guard.vendorItems.get(key);
+  if (!item || item.unit_cost === null || item.currency !== 'SGD') return null;
+  return item;
+}
+
+/**
+ * Read the benchmark costs of every pricing row about to be checked in one
+ * pass, so getMarginAlert does not query per result. A failed read is logged
+ * and the checks fall back to reading each row.
+ *
+ * @param {object|null} guard - From loadMarginGuard
+ * @param {Array} pricingIds - pricing.id values that will be checked
+ * @returns {Promise<void>}
+ */
+async function preloadMarginCosts(guard, pricingIds) {
+  if (!guard || !guard.batch) return;
+
+  const ids = pricingIds.filter(id => id && !guard.costs.has(id));
+  if (ids.length === 0) return;
+
+  try {
+    const costs = await getBenchmarkCosts(ids, guard.batch);
+    costs.forEach((cost, id) => guard.costs.set(id, cost));
+  } catch (error) {
+    console.error(`[MARGIN-GUARD] Could not preload benchmark costs: ${error.message}`);
+  }
+}
+
+/**
+ * Check a returned price against its latest cost and category floor.
+ *
+ * @param {object|null} guard - From loadMarginGuard
+ * @param {object} params - Price to check
+ * @param {string} params.pricingId - pricing.id of the tier that was priced
+ * @param {number} params.unitPrice - Unit price charged (SGD, after any discount)
+ * @param {number} params.quantity - Quantity (spreads a per-job print cost when no unit print cost is recorded)
+ * @param {string} params.category - Product category
+ * @param {object} params.supplierContext - { supplierName, supplierProductCode } (optional)
+ * @returns {Promise<object|null>} Alert, or null when the price is within its floor or has no cost data
+ */
+async function getMarginAlert(guard, { pricingId, unitPrice, quantity, category = null, supplierContext = null }) {
+  if (!guard || !pricingId || !(unitPrice > 0)) {
+    return null;
+  }
+
+  try {
+    const benchmark = guard.costs.has(pricingId)
+      ? guard.costs.get(pricingId)
+      : await getBenchmarkCost(pricingId, guard.batch);
+    const vendorItem = await getVendorItemCost(guard, supplierContext);
+    if ((!benchmark || !benchmark.available) && !vendorItem) {
+      return null;
+    }
+
+    const printUnitCost = benchmark && benchmark.available
+      ? benchmark.average_print_unit_cost
+        ?? (benchmark.total_print_cost !== null && quantity > 0 ? benchmark.total_print_cost / quantity : 0)
+      : 0;
+    const itemUnitCost = vendorItem ? vendorItem.unit_cost : benchmark.item_unit_cost;
+    if (itemUnitCost === null || itemUnitCost === undefined) {
+      return null;
+    }
+
+    const unitCost = itemUnitCost + printUnitCost;
+    const floor = getFloor(guard, category);
+    const marginPercentage = unitCost > 0 ? ((unitPrice - unitCost) / unitCost) * 100 : null;
+    const costAsOf = vendorItem ? vendorItem.last_seen_at : benchmark.snapshot_date;
+    const costAge = costAsOf ? ageInDays(costAsOf, guard.now) : null;
+
+    const reasons = [];
+    if (unitPrice < unitCost) {
+      reasons.push('negative_margin');
+    } else if (marginPercentage !== null && marginPercentage < floor) {
+      reasons.push('below_floor');
+    }
+    if (reasons.length === 0) {
+      return null;
+    }
+    if (costAge === null || costAge > COST_MAX_AGE_DAYS) {
+      reasons.push('cost_data_stale');
+    }
+
+    const messages = {
+      negative_margin: 'Price is below the latest known cost',
+      below_floor: `Margin is below the ${floor}% floor${category ? ` for ${category}` : ''}`,
+      cost_data_stale: costAsOf
+        ? `Cost data from ${String(costAsOf).slice(0, 10)} is older than ${COST_MAX_AGE_DAYS} days`
+        : 'Cost data has no date'
+    };
+
+    return {
+      severity: reasons.includes('negative_margin') ? 'critical' : 'warning',
+      reasons,
+      category: category || null,
+      floor_percentage: floor,
+      cost_source: vendorItem ? 'vendor_catalogue' : 'benchmark_snapshot',
+      cost_as_of: costAsOf || null,
+      unit_cost: parseFloat(unitCost.toFixed(4)),
+      margin_percentage: marginPercentage !== null ? parseFloat(marginPercentage.toFixed(2)) : null,
+      currency: 'SGD',
+      message: reasons.map(reason => messages[reason]).join('. ')
+    };
+  } catch (error) {
+    console.error(`[MARGIN-GUARD] Check failed for pricing ${pricingId}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  loadMarginGuard,
+  preloadMarginCosts,
+  getMarginAlert
+};
@@ -0,0 +1,480 @@
+const { supabase } = require('./supabase');
+const {
+  parseSizeText,
+  getPaperPrintSettings,
+  normaliseSize,
+  classifySizeTier,
+  imposeOnStock
+} = require('./imposition');
+const { getQuantityRangeRow, priceFinishings } = require('./finishingPricing');
+const { getGstBreakdown } = require('./gst');
+
+// Paper print products (flyers, booklets, brochures, greeting cards,
+// namecards, ...) are not in the corporate gift pricing table. They are
+// costed from the paper_* material/finishing tables and marked up with the
+// profit rule tables, so the selling price is always computed, never stored.
+
+const PRODUCT_TYPES = [
+  { pattern: /\bbooklets?\b|\bcatalogues?\b|\bmagazines?\b/i, value: 'booklet' },
+  { pattern: /\b(?:tri|bi|z)[\s-]*fold\b|\bfolded\s+brochures?\b|\bbrochures?\b/i, value: 'folded brochure' },
+  { pattern: /\bgreeting\s+cards?\b|\bchristmas\s+cards?\b|\bcny\s+cards?\b/i, value: 'greeting card' },
+  { pattern: /\bname\s*cards?\b|\bbusiness\s+cards?\b/i, value: 'namecard' },
+  { pattern: /\bred\s+packets?\b|\bang\s*pao\b|\bhongbao\b/i, value: 'red packet' },
+  { pattern: /\bflyers?\b|\bleaflets?\b|\bhandouts?\b/i, value: 'flyer' },
+  { pattern: /\bposters?\b/i, value: 'poster' },
+  { pattern: /\bpostcards?\b/i, value: 'postcard' },
+  { pattern: /\bcertificates?\b/i, value: 'certificate' }
+];
+
+// Default finished size per product type when the request does not name one.
+const DEFAULT_SIZES = {
+  booklet: 'A5',
+  'folded brochure': 'A4',
+  'greeting card': 'A5',
+  namecard: '90x54mm',
+  'red packet': '90x170mm',
+  flyer: 'A5',
+  poster: 'A3',
+  postcard: 'A6',
+  certificate: 'A4'
+};
+
+const FOLD_TYPES = [
+  { pattern: /\btri[\s-]*fold\b|\broll\s+fold\b/i, value: 'tri fold' },
+  { pattern: /\bz[\s-]*fold\b/i, value: 'z fold' },
+  { pattern: /\bgate[\s-]*fold\b/i, value: 'gate fold' },
+  { pattern: /\bbi[\s-]*fold\b|\bhalf[\s-]*fold\b/i, value: 'half fold' }
+];
+
+const LAMINATION_TYPES = [
+  { pattern: /\bmatt(?:e)?\s+lam(?:ination)?\b/i, value: 'matte' },
+  { pattern: /\bgloss(?:y)?\s+lam(?:ination)?\b/i, value: 'gloss' },
+  { pattern: /\blaminat(?:ed|ion)\b/i, value: 'matte' }
+];
+
+// Finishings the free-text parser recognises, priced by finishingPricing.
+const OTHER_FINISHINGS = [
+  { pattern: /\bspot\s*uv\b/i, value: 'spot uv' },
+  { pattern: /\bemboss(?:ed|ing)?\b/i, value: 'embossing' },
+  { pattern: /\bhot\s*stamp(?:ed|ing)?\b|\bfoil(?:ing)?\b/i, value: 'hotstamping' },
+  { pattern: /\bdie[\s-]*cut\b/i, value: 'diecut' },
+  { pattern: /\bscor(?:e|ed|ing)\b/i, value: 'scoring' },
+  { pattern: /\bperforat(?:ed|ion)\b/i, value: 'perforation' },
+  { pattern: /\bvelvet\b/i, value: 'velvet lamination' },
+  { pattern: /\btape\s+past(?:e|ed|ing)\b/i, value: 'tape pasting' }
+];
+
+// paper_print_settings keys every job is costed with. They are cost inputs,
+// so a missing key fails the job instead of being guessed.
+const REQUIRED_SETTINGS = ['print_cost_per_side', 'wastage_percentage', 'minimum_wastage_sheets', 'bleed_mm', 'gripper_mm'];
+
+const PAPER_QUERY_PATTERN = new RegExp(PRODUCT_TYPES.map(type => type.pattern.source).join('|'), 'i');
+// Catalogue accessories named after paper products ("brochure holder").
+const ACCESSORY_PATTERN = /\b(?:holders?|stands?|racks?|bags?|boxe?s?)\b/i;
+
+function roundMoney(value) {
+  return parseFloat(Number(value).toFixed(2));
+}
+
+function roundUnitPrice(value) {
+  return parseFloat(Number(value).toFixed(4));
+}
+
+function isPaperPrintQuery(query) {
+  const text = query || '';
+  return PAPER_QUERY_PATTERN.test(text) && !ACCESSORY_PATTERN.test(text);
+}
+
+function parseProductType(text) {
+  const match = PRODUCT_TYPES.find(type => type.pattern.test(text));
+  return match ? match.value : null;
+}
+
+function parseSides(text) {
+  if (/double[\s-]*sided|2[\s-]*sided|both\s+sides|\b4\s*\/\s*4\b|front\s+and\s+back/i.test(text)) return 2;
+  if (/single[\s-]*sided|1[\s-]*sided|one\s+side|\b4\s*\/\s*0\b|front\s+only/i.test(text)) return 1;
+  return null;
+}
+
+function parsePageCount(text) {
+  const match = text.match(/\b(\d{1,3})\s*(?:pp|pages?)\b/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function parsePaperStock(text) {
+  const gsm = text.match(/\b(\d{2,3})\s*gsm\b/i);
+  const stock = text.match(/\b(art\s+card|art\s+paper|matt?e?\s+art|woodfree|simili|bond|kraft|linen|conqueror|ivory\s+card|synthetic)\b/i);
+  if (!gsm && !stock) return null;
+  return [stock ? stock[1] : null, gsm ? `${gsm[1]}gsm` : null].filter(Boolean).join(' ');
+}
+
+/**
+ * Extract the requested piece count, ignoring sizes (90x54mm, A4), paper
+ * weights (260gsm) and page counts (16pp).
+ */
+function parseQuantity(text) {
+  const cleaned = text
+    .replace(/\d+(?:\.\d+)?\s*(?:mm|cm)?\s*[x×]\s*\d+(?:\.\d+)?\s*(?:mm|cm)\b/gi, ' ')
+    .replace(/\d+(?:\.\d+)?\s*(?:cm|mm|gsm|pp|pages?)\b/gi, ' ')
+    .replace(/\b[AB]\d\b/gi, ' ')
+    .replace(/(\d)(pcs|pieces|pc|copies|sets|units)\b/gi, '$1 $2');
+  const matches = [...cleaned.matchAll(/\b(\d{2,6})\b/g)].map(match => parseInt(match[1], 10));
+  return matches.length > 0 ? matches[0] : null;
+}
+
+function parseFinishings(text) {
+  const finishings = [];
+
+  const lamination = LAMINATION_TYPES.find(type => type.pattern.test(text));
+  if (lamination && !/\bvelvet\b/i.test(text)) {
+    finishings.push({ type: 'lamination', option: lamination.value });
+  }
+
+  OTHER_FINISHINGS.forEach((finishing) => {
+    if (finishing.pattern.test(text)) {
+      finishings.push({ type: finishing.value, option: null });
+    }
+  });
+
+  return finishings;
+}
+
+/**
+ * Turn a free-text paper print query into the structured request accepted by
+ * calculatePaperPrice.
+ */
+function parsePaperQuery(query) {
+  const text = query || '';
+  const productType = parseProductType(text);
+  const fold = FOLD_TYPES.find(type => type.pattern.test(text));
+
+  return {
+    product_type: productType,
+    size: parseSizeText(text),
+    paper_type: parsePaperStock(text),
+    sides: parseSides(text),
+    quantity: parseQuantity(text),
+    page_count: productType === 'booklet' ? parsePageCount(text) : null,
+    inner_colour: /\b(?:black\s*(?:and|&)\s*white|b\s*&\s*w|mono(?:chrome)?)\b/i.test(text) ? 'black' : null,
+    fold_type: fold ? fold.value : null,
+    finishings: parseFinishings(text)
+  };
+}
+
+function getMissingSettings(settings, request) {
+  const required = request.inner_colour === 'black'
+    ? [...REQUIRED_SETTINGS, 'print_cost_per_side_mono']
+    : REQUIRED_SETTINGS;
+  return required.filter(key => !Number.isFinite(settings[key]));
+}
+
+/**
+ * Requested finishings plus those implied by the product type: folded
+ * brochures are folded, booklets bound, namecards cut.
+ */
+function getJobFinishings(request) {
+  const finishings = [...request.finishings];
+  const has = type => finishings.some(finishing => finishing.type === type);
+
+  if (!has('folding') && (request.product_type === 'folded brochure'
+    || (request.fold_type && request.product_type !== 'booklet'))) {
+    finishings.push({ type: 'folding', option: request.fold_type || 'half fold' });
+  }
+
+  if (!has('binding') && request.product_type === 'booklet') {
+    finishings.push({ type: 'binding', option: request.binding_type || 'saddle stitch' });
+  }
+
+  if (!has('namecard cutting') && request.product_type === 'namecard') {
+    finishings.push({ type: 'namecard cutting', option: null });
+  }
+
+  return finishings;
+}
+
+/**
+ * Look up the profit rule for the product type in its rule table.
+ */
+async function getProfitRule(request, sizeTier, paperType) {
+  const { product_type: productType, quantity } = request;
+
+  if (productType === 'booklet') {
+    return {
+      table: 'booklet_pricing_rules',
+      row: await getQuantityRangeRow('booklet_pricing_rules', {
+        product_type: productType,
+        size: request.size_name,
+        page_count: request.page_count,
+        inner_colour: request.inner_colour || 'full colour'
+      }, quantity)
+    };
+  }
+
+  if (productType === 'folded brochure') {
+    return {
+      table: 'folded_brochure_pricing_rules',
+      row: await getQuantityRangeRow('folded_brochure_pricing_rules', {
+        paper_type: paperType,
+        size_tier: sizeTier,
+        fold_type: request.fold_type || 'half fold'
+      }, quantity)
+    };
+  }
+
+  if (productType === 'greeting card') {
+    return {
+      table: 'greeting_card_pricing_rules',
+      row: await getQuantityRangeRow('greeting_card_pricing_rules', {
+        paper_type: paperType,
+        size_tier: sizeTier
+      }, quantity)
+    };
+  }
+
+  return {
+    table: 'product_pricing_rules',
+    row: await getQuantityRangeRow('product_pricing_rules', {
+      product_type: productType,
+      paper_type: paperType,
+      size_tier: sizeTier,
+      sides: request.sides
+    }, quantity)
+  };
+}
+
+/**
+ * Apply a profit rule to the job cost. percentage = markup on cost,
+ * multiplier = cost x value, fixed = flat amount added to the job.
+ */
+function applyProfit(totalCost, rule) {
+  const value = parseFloat(rule.profit_value);
+  switch ((rule.profit_type || 'percentage').toLowerCase()) {
+    case 'multiplier':
+      return totalCost * value;
+    case 'fixed':
+    case 'flat':
+      return totalCost + value;
+    default:
+      return totalCost * (1 + value / 100);
+  }
+}
+
+/**
+ * Validate a structured paper pricing request (POST /api/price/paper).
+ *
+ * @param {object} request - Paper pricing request
+ * @returns {string|null} Error message or null when valid
+ */
+function validatePaperRequest(request) {
+  if (!request || !request.product_type) {
+    return 'product_type is required';
+  }
+  if (!Number.isInteger(request.quantity) || request.quantity <= 0) {
+    return 'quantity must be a positive integer';
+  }
+  if (request.sides !== undefined && request.sides !== null && ![1, 2].includes(request.sides)) {
+    return 'sides must be 1 or 2';
+  }
+  if (request.product_type === 'booklet'
+    && (!Number.isInteger(request.page_count) || request.page_count < 8 || request.page_count % 4 !== 0)) {
+    return 'page_count must be a multiple of 4 (minimum 8) for booklets';
+  }
+  if (request.finishings !== undefined && !Array.isArray(request.finishings)) {
+    return 'finishings must be an array';
+  }
+  return null;
+}
+
+/**
+ * Price a paper print job: size and paper stock, pieces per sheet, paper and
+ * print cost, finishing costs, then the profit rule for the product type.
+ *
+ * @param {object} params - Paper pricing request
+ * @param {string} params.product_type - flyer, booklet, folded brochure, greeting card, namecard, ...
+ * @param {string|object} params.size - Size name (A5, DL) or { width_mm, height_mm }
+ * @param {string} params.paper_type - Paper stock (defaults to the first common stock)
+ * @param {number} params.sides - 1 or 2 (default 2)
+ * @param {number} params.quantity - Pieces (copies for booklets)
+ * @param {number} params.page_count - Booklet page count including cover
+ * @param {string} params.inner_colour - Booklet inner pages: 'full colour' or 'black'
+ * @param {string} params.fold_type - Fold for brochures/flyers
+ * @param {Array} params.finishings - [{ type, option }] or finishing names
+ * @returns {Promise<object>} { result } with the cost build-up, or { error }
+ */
+async function calculatePaperPrice(params) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const notes = [];
+  const request = {
+    ...params,
+    product_type: params.product_type.toLowerCase(),
+    sides: params.sides || 2,
+    finishings: (params.finishings || []).map(finishing =>
+      typeof finishing === 'string' ? { type: finishing.toLowerCase(), option: null } : finishing
+    )
+  };
+
+  if (!params.sides) {
+    notes.push('Sides not specified; priced double-sided.');
+  }
+
+  const size = await normaliseSize(request.size || DEFAULT_SIZES[request.product_type] || 'A4');
+  if (!size) {
+    return { error: { code: 'SIZE_NOT_FOUND', message: `Unknown paper size "${request.size}"` } };
+  }
+  if (!request.size) {
+    notes.push(`Size not specified; priced at ${size.name}.`);
+  }
+  request.size_name = size.name;
+
+  const settings = await getPaperPrintSettings();
+  const missingSettings = getMissingSettings(settings, request);
+  if (missingSettings.length > 0) {
+    return {
+      error: {
+        code: 'PAPER_SETTINGS_MISSING',
+        message: `paper_print_settings is missing ${missingSettings.join(', ')}`
+      }
+    };
+  }
+  const tier = await classifySizeTier(size);
+  const sizeTier = tier ? tier.tier_name : null;
+
+  // Booklets and greeting cards print as open spreads (double width); a
+  // booklet needs one spread per 4 pages.
+  const isSpread = ['booklet', 'greeting card'].includes(request.product_type);
+  const printPiece = isSpread
+    ? { width_mm: size.width_mm * 2, height_mm: size.height_mm }
+    : { width_mm: size.width_mm, height_mm: size.height_mm };
+  const spreadsPerCopy = request.product_type === 'booklet' ? request.page_count / 4 : 1;
+  const printPieces = request.quantity * spreadsPerCopy;
+
+  const imposed = await imposeOnStock({ piece: printPiece, paperType: request.paper_type, settings });
+  if (imposed.error) {
+    return { error: imposed.error };
+  }
+
+  const { stock: paper, layout } = imposed;
+  const piecesPerSheet = layout.pieces_per_sheet;
+  if (!request.paper_type) {
+    notes.push(`Paper not specified; priced on ${paper.paper_type}.`);
+  }
+  if (imposed.oversized) {
+    notes.push(`${size.name} does not fit standard ${paper.paper_type} sheets; costed on ${paper.sheet_width_mm}x${paper.sheet_height_mm}mm oversized stock.`);
+  }
+
+  const netSheets = Math.ceil(printPieces / piecesPerSheet);
+  const wastageSheets = Math.max(
+    Math.ceil(netSheets * settings.wastage_percentage / 100),
+    settings.minimum_wastage_sheets
+  );
+  const sheetsRequired = netSheets + wastageSheets;
+
+  const printCostPerSide = request.inner_colour === 'black'
+    ? settings.print_cost_per_side_mono
+    : settings.print_cost_per_side;
+  const paperCost = roundMoney(sheetsRequired * paper.price_per_sheet);
+  const printingCost = roundMoney(sheetsRequired * request.sides * printCostPerSide);
+
+  const finishing = await priceFinishings(getJobFinishings(request), {
+    product_type: request.product_type,
+    quantity: request.quantity
+  });
+  finishing.unpriced.forEach(item => notes.push(`${item.reason}; excluded from cost, add manually.`));
+
+  const finishingCost = finishing.total;
+  const totalCost = roundMoney(paperCost + printingCost + finishingCost);
+
+  const { table: ruleTable, row: rule } = await getProfitRule(request, sizeTier, paper.paper_type);
+  if (!rule) {
+    return {
+      error: {
+        code: 'PRICING_RULE_NOT_FOUND',
+        message: `No ${ruleTable} rule for ${request.product_type} (${sizeTier || size.name}, ${paper.paper_type}) at ${request.quantity} pcs`
+      },
+      cost: { total_cost: totalCost }
+    };
+  }
+
+  const totalPrice = roundMoney(applyProfit(totalCost, rule));
+
+  return {
+    result: {
+      product_type: request.product_type,
+      quantity: request.quantity,
+      size: {
+        ...size,
+        size_tier: sizeTier,
+        size_tier_label: tier ? tier.display_label : null
+      },
+      paper,
+      sides: request.sides,
+      page_count: request.product_type === 'booklet' ? request.page_count : null,
+      imposition: {
+        print_piece_mm: printPiece,
+        bleed_mm: imposed.margins.bleed_mm,
+        gripper_mm: imposed.margins.gripper_mm,
+        oversized_stock: imposed.oversized,
+        pieces_per_sheet: piecesPerSheet,
+        layout: { across: layout.across, down: layout.down, rotated: layout.rotated },
+        net_sheets: netSheets,
+        wastage_sheets: wastageSheets,
+        sheets_required: sheetsRequired
+      },
+      cost_breakdown: {
+        paper: paperCost,
+        printing: printingCost,
+        finishing: finishing.items,
+        finishing_total: finishingCost,
+        total_cost: totalCost
+      },
+      profit_rule: {
+        table: ruleTable,
+        rule_id: rule.id || null,
+        profit_type: rule.profit_type || 'percentage',
+        profit_value: parseFloat(rule.profit_value),
+        profit_amount: roundMoney(totalPrice - totalCost)
+      },
+      pricing: {
+        unit_price: roundUnitPrice(totalPrice / request.quantity),
+        total_price: totalPrice,
+        ...getGstBreakdown(totalPrice),
+        currency: 'SGD'
+      },
+      notes: ['Prices are in SGD before GST.', ...notes]
+    }
+  };
+}
+
+/**
+ * Free-text entry point used by /api/price/query. Returns null when the text
+ * does not describe a priceable paper job so the caller can fall through to
+ * catalogue search.
+ */
+async function getPaperPriceFromQuery(query) {
+  const request = parsePaperQuery(query);
+
+  if (!request.product_type || !request.quantity) {
+    return null;
+  }
+  if (request.product_type === 'booklet' && !request.page_count) {
+    return null;
+  }
+
+  const { result, error } = await calculatePaperPrice(request);
+  // A configuration gap is not a reason to fall back to catalogue search
+  if (error && error.code === 'PAPER_SETTINGS_MISSING') {
+    throw new Error(error.message);
+  }
+  return result ? { ...result, query_parsed: request } : null;
+}
+
+module.exports = {
+  isPaperPrintQuery,
+  parsePaperQuery,
+  validatePaperRequest,
+  calculatePaperPrice,
+  getPaperPriceFromQuery
+};
@@ -1,4 +1,23 @@
 const { supabase } = require('./supabase');
+const {
+  parsePrintOption,
+  matchPrintOption: matchPrintOptionModel,
+  findNearestPrintOption,
+  describeSubstitution,
+  printOptionSearchPattern
+} = require('./printOptions');
+const { getGstBreakdown } = require('./gst');
+const { applyCustomerPrice } = require('./customerPricing');
+const { getActivePromotions, applyPromotion } = require('./promotions');
+
+// Off-grid quantities are charged at the tier at or below them. Interpolation
+// additionally reports a price between the surrounding tiers: 'linear' in
+// quantity, or 'log' (linear in log quantity, closer to how supplier price
+// breaks fall). Default from PRICE_INTERPOLATION_MODE.
+const INTERPOLATION_MODES = ['none', 'linear', 'log'];
+const DEFAULT_INTERPOLATION_MODE = INTERPOLATION_MODES.includes(process.env.PRICE_INTERPOLATION_MODE)
+  ? process.env.PRICE_INTERPOLATION_MODE
+  : 'none';
 
 function applyProductFilter(queryBuilder, { productId, productName }) {
   if (productId) {
@@ -7,6 +26,98 @@ function applyProductFilter(queryBuilder, { productId, productName }) {
   return queryBuilder.eq('product_name', productName);
 }
 
+function roundMoney(value) {
+  return parseFloat(Number(value).toFixed(2));
+}
+
+async function getVariantTiers({ productId, productName, printOption, leadTimeType }) {
+  const { data, error } = await applyProductFilter(supabase
+    .from('pricing')
+    .select('quantity, unit_price'), { productId, productName })
+    .eq('print_option', printOption)
+    .eq('lead_time_type', leadTimeType)
+    .order('quantity', { ascending: true });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return (data || []).map(row => ({ quantity: row.quantity, unit_price: parseFloat(row.unit_price) }));
+}
+
+/**
+ * Compare the charged tier with the next tier up: its total, and whether
+ * ordering up to it costs less in total ("order N more to save $X").
+ *
+ * @param {Array} tiers - Variant tiers ascending by quantity
+ * @param {number} quantity - Charged quantity
+ * @param {number} totalPrice - Total charged at this quantity
+ * @param {Function} getUnitPrice - Unit price the customer would pay at a tier (default its list price)
+ * @returns {object|null} Tier advice or null when already on the top tier
+ */
+function buildTierAdvice(tiers, quantity, totalPrice, getUnitPrice = tier => tier.unit_price) {
+  const current = [...tiers].reverse().find(tier => tier.quantity <= quantity) || null;
+  const next = tiers.find(tier => tier.quantity > quantity);
+  if (!next) {
+    return {
+      current_tier_quantity: current ? current.quantity : null,
+      next_tier: null,
+      recommendation: null
+    };
+  }
+
+  const nextUnitPrice = getUnitPrice(next);
+  const nextTotal = roundMoney(nextUnitPrice * next.quantity);
+  const extraQuantity = next.quantity - quantity;
+  const saving = roundMoney(totalPrice - nextTotal);
+
+  return {
+    current_tier_quantity: current ? current.quantity : null,
+    next_tier: {
+      quantity: next.quantity,
+      unit_price: nextUnitPrice,
+      total_price: nextTotal
+    },
+    extra_quantity: extraQuantity,
+    extra_cost: roundMoney(nextTotal - totalPrice),
+    saving: saving > 0 ? saving : 0,
+    recommendation: saving >= 0
+      ? `Order ${extraQuantity} more (${next.quantity} pcs) to ${saving > 0 ? `save $${saving.toFixed(2)}` : 'get them at no extra cost'}`
+      : null
+  };
+}
+
+/**
+ * Price an off-grid quantity between the surrounding tiers.
+ *
+ * @param {Array} tiers - Variant tiers ascending by quantity
+ * @param {number} quantity - Requested quantity
+ * @param {string} mode - 'linear' or 'log'
+ * @returns {object|null} { mode, unit_price, total_price, lower_tier, upper_tier } or null
+ */
+function interpolatePrice(tiers, quantity, mode) {
+  const lower = [...tiers].reverse().find(tier => tier.quantity <= quantity);
+  const upper = tiers.find(tier => tier.quantity > quantity);
+  if (!lower) return null;
+
+  let unitPrice = lower.unit_price;
+  if (upper && lower.quantity !== quantity) {
+    const position = mode === 'log'
+      ? Math.log(quantity / lower.quantity) / Math.log(upper.quantity / lower.quantity)
+      : (quantity - lower.quantity) / (upper.quantity - lower.quantity);
+    unitPrice = lower.unit_price + (upper.unit_price - lower.unit_price) * position;
+  }
+
+  unitPrice = parseFloat(unitPrice.toFixed(4));
+  return {
+    mode,
+    unit_price: unitPrice,
+    total_price: roundMoney(unitPrice * quantity),
+    lower_tier: { quantity: lower.quantity, unit_price: lower.unit_price },
+    upper_tier: upper ? { quantity: upper.quantity, unit_price: upper.unit_price } : null
+  };
+}
+
 /**
  * Get pricing for a specific product variant at a given quantity
  * Returns the tier that matches or is just below the requested quantity
@@ -16,10 +127,26 @@ function applyProductFilter(queryBuilder, { productId, productName }) {
  * @param {string} params.printOption - Print option
  * @param {string} params.leadTimeType - Lead time type (local, overseas_air, overseas_sea)
  * @param {number} params.quantity - Requested quantity
+ * @param {boolean} params.tierAdvice - Add next-tier advice (tier_advice)
+ * @param {string} params.interpolation - 'none', 'linear' or 'log' (default PRICE_INTERPOLATION_MODE)
+ * @param {object} params.customerPricing - Customer rules from getCustomerPricing (optional)
+ * @param {string} params.category - Product category, for category-scoped customer rules and promotions
+ * @param {Array} params.promotions - Running promotions (default: loaded with getActivePromotions)
  * @returns {Promise<object>} Pricing result
  */
 async function getPriceForQuantity(params) {
-  const { productId, productName, printOption, leadTimeType = 'local', quantity } = params;
+  const {
+    productId,
+    productName,
+    printOption,
+    leadTimeType = 'local',
+    quantity,
+    tierAdvice = false,
+    interpolation = DEFAULT_INTERPOLATION_MODE,
+    customerPricing = null,
+    category = null,
+    promotions = null
+  } = params;
 
   if (!supabase) {
     throw new Error('Database not configured');
@@ -55,7 +182,9 @@ async function getPriceForQuantity(params) {
     throw new Error(`Database error: ${error.message}`);
   }
 
-  if (!data || data.length === 0) {
+  let tier = data && data[0];
+  let note = null;
+  if (!tier) {
     // Try to get MOQ tier if quantity is below minimum
     let moqQuery = applyProductFilter(supabase
       .from('pricing')
@@ -73,20 +202,98 @@ async function getPriceForQuantity(params) {
       return null;
     }
 
-    // Return MOQ with a note that requested quantity is below minimum
-    return {
-      ...formatPricingRow(moqData[0]),
-      requested_quantity: quantity,
-      note: `Minimum order quantity is ${moqData[0].quantity}`
-    };
+    tier = moqData[0];
+    note = `Minimum order quantity is ${tier.quantity}`;
   }
 
-  const tier = data[0];
-  return {
+  // Below the MOQ the customer is charged for the MOQ quantity
+  const chargedQuantity = note ? tier.quantity : quantity;
+  const totalPrice = chargedQuantity ? parseFloat((tier.unit_price * chargedQuantity).toFixed(2)) : null;
+  const result = {
     ...formatPricingRow(tier),
     requested_quantity: quantity,
-    total_price: quantity ? parseFloat((tier.unit_price * quantity).toFixed(2)) : null
+    total_price: totalPrice,
+    ...getGstBreakdown(totalPrice),
+    ...(note ? { note } : {})
   };
+
+  // What the customer pays per unit for a list price: their contract rate,
+  // or a running promotion on the regular price when that is lower.
+  const runningPromotions = chargedQuantity ? promotions || await getActivePromotions() : null;
+  const discount = (listUnitPrice, atQuantity) => {
+    const customerPrice = applyCustomerPrice(customerPricing, {
+      productId: tier.product_id || productId,
+      category,
+      printOption: tier.print_option,
+      quantity: atQuantity,
+      unitPrice: listUnitPrice
+    });
+    const promotion = applyPromotion(runningPromotions, {
+      productId: tier.product_id || productId,
+      category,
+      quantity: atQuantity,
+      unitPrice: listUnitPrice
+    });
+    const contractUnitPrice = customerPrice ? customerPrice.unit_price : listUnitPrice;
+    const promotionApplied = Boolean(promotion) && promotion.promo_unit_price < contractUnitPrice;
+    return {
+      customerPrice,
+      promotion,
+      promotionApplied,
+      unitPrice: promotionApplied ? promotion.promo_unit_price : contractUnitPrice
+    };
+  };
+
+  if (chargedQuantity) {
+    const { customerPrice, promotion, promotionApplied } = discount(result.unit_price, chargedQuantity);
+
+    // Negotiated customer rate on top of the list price
+    if (customerPrice) {
+      Object.assign(result, {
+        list_unit_price: customerPrice.list_unit_price,
+        list_total_price: customerPrice.list_total_price,
+        unit_price: customerPrice.unit_price,
+        total_price: customerPrice.total_price,
+        ...getGstBreakdown(customerPrice.total_price),
+        customer_pricing: customerPrice
+      });
+    }
+
+    // Running promotion on the regular price. It is reported either way; the
+    // customer pays the lower of the promotion and any contract price.
+    if (promotion) {
+      if (promotionApplied) {
+        Object.assign(result, {
+          list_unit_price: promotion.regular_unit_price,
+          list_total_price: promotion.regular_total_price,
+          unit_price: promotion.promo_unit_price,
+          total_price: promotion.promo_total_price,
+          ...getGstBreakdown(promotion.promo_total_price)
+        });
+      }
+      result.promotion = { ...promotion, applied: promotionApplied };
+    }
+  }
+
+  const interpolationMode = INTERPOLATION_MODES.includes(interpolation) ? interpolation : 'none';
+  if (quantity && (tierAdvice || interpolationMode !== 'none')) {
+    const tiers = await getVariantTiers({
+      productId,
+      productName: tier.product_name,
+      printOption: tier.print_option,
+      leadTimeType: tier.lead_time_type
+    });
+    if (tierAdvice) {
+      // Next tier priced the way this one was charged (contract / promotion)
+      result.tier_advice = buildTierAdvice(tiers, chargedQuantity, result.total_price,
+        next => discount(next.unit_price, next.quantity).unitPrice);
+    }
+    if (interpolationMode !== 'none') {
+      result.interpolation = interpolatePrice(tiers, quantity, interpolationMode);
+    }
+  }
+
+  return result;
 }
 
 /**
@@ -151,6 +358,99 @@ async function getAllPricingTiers(params) {
   };
 }
 
+const LEAD_TIME_ORDER = ['local', 'overseas_air', 'overseas_sea'];
+
+/**
+ * Full price-break grid for a product: every print option x lead time type x
+ * quantity tier, with totals and per-unit savings against that variant's MOQ
+ * tier, for comparison tables and price-break charts.
+ *
+ * @param {object} params - Matrix parameters
+ * @param {string} params.productId - products.id
+ * @param {string} params.productName - Product name (used when no id)
+ * @returns {Promise<object|null>} Pricing matrix or null when the product has no pricing
+ */
+async function getPricingMatrix(params) {
+  const { productId, productName } = params;
+
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  if (!productId && !productName) {
+    throw new Error('Product id or product name is required');
+  }
+
+  const { data, error } = await applyProductFilter(supabase
+    .from('pricing')
+    .select('*'), { productId, productName })
+    .order('print_option', { ascending: true })
+    .order('quantity', { ascending: true });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    return null;
+  }
+
+  const variants = new Map();
+  for (const row of data) {
+    const key = `${row.print_option}|${row.lead_time_type}`;
+    if (!variants.has(key)) variants.set(key, []);
+    variants.get(key).push(row);
+  }
+
+  const printOptions = new Map();
+  for (const rows of variants.values()) {
+    rows.sort((a, b) => a.quantity - b.quantity);
+    const first = rows[0];
+    const moqRow = rows.find(row => row.is_moq) || first;
+    const moqPrice = parseFloat(moqRow.unit_price);
+
+    if (!printOptions.has(first.print_option)) {
+      printOptions.set(first.print_option, { print_option: first.print_option, lead_times: [] });
+    }
+
+    printOptions.get(first.print_option).lead_times.push({
+      lead_time_type: first.lead_time_type,
+      days_min: first.lead_time_days_min,
+      days_max: first.lead_time_days_max,
+      moq: { quantity: moqRow.quantity, unit_price: moqPrice },
+      tiers: rows.map((row) => {
+        const unitPrice = parseFloat(row.unit_price);
+        const saving = roundMoney(moqPrice - unitPrice);
+        return {
+          pricing_id: row.id,
+          quantity: row.quantity,
+          unit_price: unitPrice,
+          total_price: roundMoney(unitPrice * row.quantity),
+          ...getGstBreakdown(roundMoney(unitPrice * row.quantity)),
+          currency: row.currency,
+          is_moq: row.is_moq,
+          unit_saving_vs_moq: saving,
+          saving_percentage_vs_moq: moqPrice > 0 ? parseFloat(((saving / moqPrice) * 100).toFixed(1)) : null
+        };
+      })
+    });
+  }
+
+  const leadTimeRank = type => (LEAD_TIME_ORDER.includes(type) ? LEAD_TIME_ORDER.indexOf(type) : LEAD_TIME_ORDER.length);
+  const grid = Array.from(printOptions.values());
+  grid.forEach(option => option.lead_times.sort((a, b) => leadTimeRank(a.lead_time_type) - leadTimeRank(b.lead_time_type)));
+
+  return {
+    product_id: productId || data[0].product_id,
+    product_name: data[0].product_name,
+    currency: data[0].currency,
+    print_options: grid.map(option => option.print_option),
+    lead_time_types: [...new Set(data.map(row => row.lead_time_type))].sort((a, b) => leadTimeRank(a) - leadTimeRank(b)),
+    quantities: [...new Set(data.map(row => row.quantity))].sort((a, b) => a - b),
+    matrix: grid
+  };
+}
+
 /**
  * Get MOQ information for a product across all variants
  *
@@ -343,10 +643,13 @@ async function getMOQInfoByIdentity({ productId, productName }) {
  * @param {number} params.quantity - Requested quantity
  * @param {string} params.printOption - Print option preference
  * @param {string} params.leadTimeType - Lead time preference
+ * @param {boolean} params.tierAdvice - Add next-tier advice (tier_advice)
+ * @param {string} params.interpolation - Interpolation mode for off-grid quantities
+ * @param {object} params.customerPricing - Customer rules from getCustomerPricing (optional)
  * @returns {Promise<Array>} Enriched product results with pricing
  */
 async function getPricingForProducts(params) {
-  const { products, quantity, printOption, leadTimeType = 'local' } = params;
+  const { products, quantity, printOption, leadTimeType = 'local', tierAdvice = false, interpolation, customerPricing = null } = params;
 
   if (!supabase) {
     throw new Error('Database not configured');
@@ -356,33 +659,30 @@ async function getPricingForProducts(params) {
     return [];
   }
 
+  const promotions = await getActivePromotions();
+
   // If user specified a print option, first try to find products that have it
   let productsToProcess = products;
 
   if (printOption) {
-    // Check for exact color notation (e.g., "1c x 0c")
-    const colorPattern = /(\d)c\s*x\s*(\d)c/i;
-    const colorMatch = printOption.toLowerCase().match(colorPattern);
-    let searchPattern = printOption;
-
-    if (colorMatch) {
-      searchPattern = `${colorMatch[1]}c x ${colorMatch[2]}c`;
-    }
+    const requestedModel = parsePrintOption(printOption);
+    const searchPattern = printOptionSearchPattern(requestedModel);
+    const offersRequestedOption = row => matchPrintOptionModel(requestedModel, [row.print_option]).matched !== null;
 
     // Find products that have the requested print option
     const productIds = products.map(p => p.id).filter(Boolean);
     const productNames = products.map(p => p.name);
     let matchingPricingQuery = supabase
       .from('pricing')
-      .select('product_id,product_name');
+      .select('product_id,product_name,print_option');
     matchingPricingQuery = productIds.length
       ? matchingPricingQuery.in('product_id', productIds)
       : matchingPricingQuery.in('product_name', productNames);
-    const { data: matchingPricing } = await matchingPricingQuery
-      .eq('lead_time_type', leadTimeType)
-      .ilike('print_option', `%${searchPattern}%`);
+    const { data: productPricing } = await matchingPricingQuery
+      .eq('lead_time_type', leadTimeType);
+    const matchingPricing = (productPricing || []).filter(offersRequestedOption);
 
-    if (matchingPricing && matchingPricing.length > 0) {
+    if (matchingPricing.length > 0) {
       const matchingIds = [...new Set(matchingPricing.map(p => p.product_id).filter(Boolean))];
       const matchingNames = [...new Set(matchingPricing.map(p => p.product_name))];
       // Prioritize products that have the requested print option
@@ -390,28 +690,44 @@ async function getPricingForProducts(params) {
     }
 
     // If no products from original list have the option, search more broadly
-    if (productsToProcess.length === 0 || (matchingPricing && matchingPricing.length === 0) || !matchingPricing) {
+    if ((productsToProcess.length === 0 || matchingPricing.length === 0) && searchPattern) {
       // Search for any product with similar name that has this print option
       const searchTerms = products[0].name.split(' ').filter(w => w.length > 2);
       const { data: broaderSearch } = await supabase
         .from('pricing')
-        .select('product_name')
+        .select('product_id,product_name,print_option')
         .eq('lead_time_type', leadTimeType)
         .ilike('print_option', `%${searchPattern}%`);
 
-      if (broaderSearch && broaderSearch.length > 0) {
+      const broaderMatches = (broaderSearch || []).filter(offersRequestedOption);
+      if (broaderMatches.length > 0) {
         // Find products matching search terms
-        const broaderNames = [...new Set(broaderSearch.map(p => p.product_name))];
+        const broaderNames = [...new Set(broaderMatches.map(p => p.product_name))];
         const relevantProducts = broaderNames.filter(name =>
           searchTerms.some(term => name.toLowerCase().includes(term.toLowerCase()))
         );
 
         if (relevantProducts.length > 0) {
-          productsToProcess = relevantProducts.map(name => ({
-            name,
-            dimensions: null,
-            category: null
-          }));
+          // Load the products themselves so category-scoped contract rules
+          // and promotions apply to them as to any other search hit
+          const idByName = new Map(broaderMatches
+            .filter(p => p.product_id && relevantProducts.includes(p.product_name))
+            .map(p => [p.product_name, p.product_id]));
+          const relevantIds = [...new Set(idByName.values())];
+          const { data: productRows, error: productError } = relevantIds.length
+            ? await supabase
+              .from('products')
+              .select('id, name, website_product_id, dimensions, category')
+              .in('id', relevantIds)
+            : { data: [], error: null };
+
+          if (productError) {
+            throw new Error(`Database error: ${productError.message}`);
+          }
+
+          const productById = new Map((productRows || []).map(p => [p.id, p]));
+          productsToProcess = [...new Set(relevantProducts.map(name => productById.get(idByName.get(name))
+            || { name, dimensions: null, category: null }))];
         }
       }
     }
@@ -421,6 +737,7 @@ async function getPricingForProducts(params) {
     productsToProcess.map(async (product) => {
       // Find matching print option or get default
       let selectedPrintOption = printOption;
+      let substitution = false;
 
       if (!selectedPrintOption) {
         // Get first available print option
@@ -433,21 +750,16 @@ async function getPricingForProducts(params) {
 
         selectedPrintOption = options && options.length > 0 ? options[0].print_option : null;
       } else {
-        // Try to match print option with fuzzy matching
-        selectedPrintOption = await matchPrintOption(product.name, printOption, leadTimeType, product.id);
-
-        // If matched option is different from what user wanted and doesn't contain the key pattern, skip
-        if (selectedPrintOption) {
-          const colorPattern = /(\d)c\s*x\s*(\d)c/i;
-          const userColorMatch = printOption.toLowerCase().match(colorPattern);
-          if (userColorMatch) {
-            const wantedPattern = `${userColorMatch[1]}c x ${userColorMatch[2]}c`;
-            if (!selectedPrintOption.toLowerCase().includes(wantedPattern.toLowerCase())) {
-              // This product doesn't have the requested print option
-              return null;
-            }
-          }
-        }
+        // A product without the requested decoration is priced with its
+        // nearest option and flagged as a substitution, never silently
+        const resolved = await resolvePrintOption({
+          productId: product.id,
+          productName: product.name,
+          printOption,
+          leadTimeType
+        });
+        selectedPrintOption = resolved.matched || resolved.nearest;
+        substitution = !resolved.matched && Boolean(resolved.nearest);
       }
 
       if (!selectedPrintOption) {
@@ -460,7 +772,12 @@ async function getPricingForProducts(params) {
         productName: product.name,
         printOption: selectedPrintOption,
         leadTimeType,
-        quantity
+        quantity,
+        tierAdvice,
+        interpolation,
+        customerPricing,
+        category: product.category,
+        promotions
       });
 
       if (!pricing) {
@@ -490,6 +807,10 @@ async function getPricingForProducts(params) {
         unit_price: parseFloat(moqData[0].unit_price)
       } : null;
 
+      const availablePrintOptions = printOption
+        ? await getAvailablePrintOptions({ productId: product.id, productName: product.name, leadTimeType })
+        : undefined;
+
       // Get product dimensions if not available
       let dimensions = product.dimensions;
       if (!dimensions) {
@@ -510,13 +831,31 @@ async function getPricingForProducts(params) {
         dimensions: dimensions,
         category: product.category,
         print_option: selectedPrintOption,
+        ...(printOption ? {
+          print_option_requested: printOption,
+          print_option_used: selectedPrintOption,
+          substitution,
+          substitution_reason: substitution ? describeSubstitution(printOption, selectedPrintOption, product.name) : null,
+          available_print_options: availablePrintOptions
+        } : {}),
         lead_time: allTiers ? allTiers.lead_time : null,
         pricing: {
+          pricing_id: pricing.pricing_id || null,
           requested_quantity: quantity,
+          ...(pricing.note ? { charged_quantity: pricing.quantity, note: pricing.note } : {}),
           unit_price: pricing.unit_price,
           total_price: pricing.total_price,
+          ...(pricing.list_unit_price !== undefined ? {
+            list_unit_price: pricing.list_unit_price,
+            list_total_price: pricing.list_total_price
+          } : {}),
+          ...getGstBreakdown(pricing.total_price),
           currency: pricing.currency
         },
+        ...(pricing.customer_pricing ? { customer_pricing: pricing.customer_pricing } : {}),
+        ...(pricing.promotion ? { promotion: pricing.promotion } : {}),
+        ...(pricing.tier_advice ? { tier_advice: pricing.tier_advice } : {}),
+        ...(pricing.interpolation ? { interpolation: pricing.interpolation } : {}),
         moq: moq,
         all_tiers: allTiers ? allTiers.tiers : []
       };
@@ -527,90 +866,72 @@ async function getPricingForProducts(params) {
 }
 
 /**
- * Match user print option input to actual print option in database
+ * Resolve a requested print option against the options a product offers for
+ * a lead time, using the structured print option model.
  *
- * @param {string} productName - Product name
- * @param {string} userInput - User's print option input
- * @param {string} leadTimeType - Lead time type
- * @returns {Promise<string|null>} Matched print option or null
+ * @param {object} params - Resolve parameters
+ * @param {string} params.productId - products.id (preferred)
+ * @param {string} params.productName - Product name
+ * @param {string} params.printOption - Requested print option text
+ * @param {string} params.leadTimeType - Lead time type
+ * @returns {Promise<object>} { requested, normalised, matched, match_type, candidates, nearest, available_options }
  */
-async function matchPrintOption(productName, userInput, leadTimeType = 'local', productId = null) {
+async function resolvePrintOption({ productId, productName, printOption, leadTimeType = 'local' }) {
   if (!supabase) {
     throw new Error('Database not configured');
   }
 
-  // Get all print options for this product
   const { data, error } = await supabase
     .from('pricing')
     .select('print_option')
     .eq(productId ? 'product_id' : 'product_name', productId || productName)
     .eq('lead_time_type', leadTimeType);
 
-  if (error || !data || data.length === 0) {
-    return null;
-  }
-
-  const availableOptions = [...new Set(data.map(row => row.print_option))];
-  const normalizedInput = userInput.toLowerCase().trim();
-
-  // Check for exact color notation patterns first (e.g., "1c x 0c", "2c x 1c")
-  const colorPattern = /(\d)c\s*x\s*(\d)c/i;
-  const colorMatch = normalizedInput.match(colorPattern);
-
-  if (colorMatch) {
-    const frontColors = colorMatch[1];
-    const backColors = colorMatch[2];
-    const exactPattern = `${frontColors}c x ${backColors}c`;
-
-    // Find exact color match
-    const exactColorMatch = availableOptions.find(opt =>
-      opt.toLowerCase().includes(exactPattern.toLowerCase())
-    );
-
-    if (exactColorMatch) {
-      return exactColorMatch;
-    }
-  }
-
-  // Mapping rules for common user inputs (more specific first)
-  const mappings = [
-    { patterns: ['no print', 'plain', 'blank', 'without print'], match: 'no print' },
-    { patterns: ['1 color', 'one color', 'single color', '1 colour'], match: '1c x 0c' },
-    { patterns: ['2 color', 'two color', '2 colour'], match: '2c x 0c' },
-    { patterns: ['full color', 'full colour', 'multicolor'], match: 'heat transfer' },
-    { patterns: ['heat transfer'], match: 'heat transfer' },
-    { patterns: ['silkscreen', 'silk screen', 'screen print'], match: 'silkscreen' },
-    { patterns: ['embroidery', 'embroid'], match: 'embroidery' },
-    { patterns: ['laser', 'engrave', 'engraving'], match: 'laser' },
-    { patterns: ['uv print', 'uv'], match: 'uv' },
-    { patterns: ['deboss', 'debossing'], match: 'deboss' }
-  ];
-
-  // Try mapping rules
-  for (const mapping of mappings) {
-    if (mapping.patterns.some(p => normalizedInput.includes(p))) {
-      // Find an option that matches
-      const matched = availableOptions.find(opt =>
-        opt.toLowerCase().includes(mapping.match.toLowerCase())
-      );
-      if (matched) {
-        return matched;
-      }
-    }
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
   }
 
-  // Direct ILIKE matching
-  const matched = availableOptions.find(opt =>
-    opt.toLowerCase().includes(normalizedInput) ||
-    normalizedInput.includes(opt.toLowerCase())
-  );
+  const availableOptions = [...new Set((data || []).map(row => row.print_option))];
+  const match = matchPrintOptionModel(printOption, availableOptions);
+  return {
+    ...match,
+    nearest: match.matched ? null : findNearestPrintOption(match.requested, availableOptions),
+    available_options: availableOptions
+  };
+}
 
-  if (matched) {
-    return matched;
-  }
+/**
+ * Print options a product offers for a lead time, with their MOQ tier.
+ *
+ * @param {object} params - { productId, productName, leadTimeType }
+ * @returns {Promise<Array>} [{ print_option, moq, moq_price }] cheapest MOQ first
+ */
+async function getAvailablePrintOptions({ productId, productName, leadTimeType = 'local' }) {
+  const moqInfo = await getMOQInfoByIdentity({ productId, productName });
+  if (!moqInfo) return [];
+
+  return moqInfo.variants
+    .filter(variant => variant.lead_time_type === leadTimeType)
+    .sort((a, b) => a.moq_price - b.moq_price)
+    .map(variant => ({
+      print_option: variant.print_option,
+      moq: variant.moq,
+      moq_price: variant.moq_price
+    }));
+}
 
-  // Return first option as fallback if no match
-  return availableOptions[0];
+/**
+ * Match user print option input to actual print option in database
+ *
+ * @param {string} productName - Product name
+ * @param {string} userInput - User's print option input
+ * @param {string} leadTimeType - Lead time type
+ * @param {string} productId - products.id (preferred over the name)
+ * @returns {Promise<string|null>} Matched print option, or null when the product doesn't offer it
+ */
+async function matchPrintOption(productName, userInput, leadTimeType = 'local', productId = null) {
+  const resolved = await resolvePrintOption({ productId, productName, printOption: userInput, leadTimeType });
+  return resolved.matched;
 }
 
 /**
@@ -681,6 +1002,7 @@ async function getAlternatives(productName, quantity, limit = 3) {
  */
 function formatPricingRow(row) {
   return {
+    pricing_id: row.id,
     product_name: row.product_name,
     print_option: row.print_option,
     lead_time_type: row.lead_time_type,
@@ -694,12 +1016,18 @@ function formatPricingRow(row) {
 }
 
 module.exports = {
+  INTERPOLATION_MODES,
+  buildTierAdvice,
+  interpolatePrice,
   getPriceForQuantity,
   getAllPricingTiers,
+  getPricingMatrix,
   getMOQInfo,
   getMOQInfoForProduct,
   getMOQInfoByIdentity,
   getPricingForProducts,
+  resolvePrintOption,
+  getAvailablePrintOptions,
   matchPrintOption,
   getAlternatives
 };
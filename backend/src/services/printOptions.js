@@ -0,0 +1,296 @@
+// Structured print options. Catalogue `pricing.print_option` values and
+// customer requests are both free text ("silkscreen print - 1c x 0c",
+// "2 colour front only screen print"); parsing both sides into the same model
+// lets lookups match on method, colours and positions instead of substrings,
+// and say so when the requested decoration is not offered.
+
+const PRINT_METHODS = [
+  { method: 'heat_transfer', pattern: /heat\s*transfer/i },
+  { method: 'sublimation', pattern: /sublimat/i },
+  { method: 'silkscreen', pattern: /silk\s*-?\s*screen|screen\s*print/i },
+  { method: 'uv_print', pattern: /\buv\b/i },
+  { method: 'epoxy', pattern: /epoxy/i },
+  { method: 'engraving', pattern: /engrav|laser/i },
+  { method: 'embroidery', pattern: /embroid/i },
+  { method: 'dtf', pattern: /\bdtf\b/i },
+  { method: 'pad_print', pattern: /pad\s*print/i },
+  { method: 'deboss', pattern: /deboss/i },
+  { method: 'emboss', pattern: /\bemboss/i },
+  { method: 'hot_stamping', pattern: /hot\s*-?\s*stamp|foil/i },
+  { method: 'sticker', pattern: /sticker|decal/i }
+];
+
+// Methods that print full colour without a colour count.
+const FULL_COLOUR_METHODS = ['heat_transfer', 'sublimation', 'uv_print', 'dtf'];
+
+const NO_PRINT_PATTERN = /\b(no\s*print(ing)?|blank|plain|unprinted|without\s*print(ing)?)\b/i;
+const FULL_COLOUR_PATTERN = /full\s*-?\s*colou?r|\bcmyk\b|multi\s*-?\s*colou?r|\b4\s*colou?r\s*process/i;
+
+const BOTH_SIDES_PATTERN = /front\s*(?:and|&|\+)\s*back|both\s*sides|2\s*sides|double\s*-?\s*sided/i;
+const ONE_SIDE_PATTERN = /front\s*only|one\s*side|1\s*side|single\s*-?\s*sided/i;
+
+const NUMBER_WORDS = { one: 1, single: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+const COUNT = '(\\d+|one|single|two|three|four|five|six)';
+
+function toCount(value) {
+  if (value === undefined || value === null) return null;
+  const lower = String(value).toLowerCase();
+  return NUMBER_WORDS[lower] ?? parseInt(lower, 10);
+}
+
+function parseColours(text) {
+  // Catalogue notation: "1c x 0c", "2C X 1C", "4c x 0"
+  const notation = text.match(/(\d+)\s*c\s*[x×]\s*(\d+)\s*c?\b/i);
+  if (notation) {
+    return { front: parseInt(notation[1], 10), back: parseInt(notation[2], 10) };
+  }
+
+  const plain = text.match(new RegExp(`${COUNT}\\s*-?\\s*(?:colou?rs?|c)\\b`, 'i'));
+
+  // "2 colours front and back" names the count once for both sides; check it
+  // before the per-side patterns, which would read it as front only.
+  if (BOTH_SIDES_PATTERN.test(text)) {
+    const count = plain ? toCount(plain[1]) : null;
+    return { front: count, back: count };
+  }
+
+  const front = text.match(new RegExp(`${COUNT}\\s*-?\\s*colou?rs?\\s*(?:on\\s*(?:the\\s*)?)?front`, 'i'));
+  const back = text.match(new RegExp(`${COUNT}\\s*-?\\s*colou?rs?\\s*(?:on\\s*(?:the\\s*)?)?back`, 'i'));
+  if (front || back) {
+    return {
+      front: front ? toCount(front[1]) : null,
+      back: back ? toCount(back[1]) : (/front\s*only/i.test(text) || front ? 0 : null)
+    };
+  }
+
+  if (!plain) return { front: null, back: null };
+
+  const count = toCount(plain[1]);
+  if (ONE_SIDE_PATTERN.test(text)) {
+    return { front: count, back: 0 };
+  }
+  return { front: count, back: null };
+}
+
+/**
+ * Parse a print option label or request into a structured model.
+ *
+ * @param {string} text - e.g. "silkscreen print - 1c x 0c", "2 colour front only screen print"
+ * @returns {object|null} { raw, none, method, front_colours, back_colours, full_colour, positions }
+ */
+function parsePrintOption(text) {
+  const raw = String(text || '').trim();
+  if (!raw) return null;
+
+  if (NO_PRINT_PATTERN.test(raw)) {
+    return { raw, none: true, method: null, front_colours: 0, back_colours: 0, full_colour: false, positions: 0 };
+  }
+
+  const method = PRINT_METHODS.find(candidate => candidate.pattern.test(raw));
+  const colours = parseColours(raw);
+  const positions = raw.match(/(\d+)\s*(?:p\b|positions?|locations?|sides?\b)/i);
+
+  let positionCount = positions ? parseInt(positions[1], 10) : null;
+  if (positionCount === null && BOTH_SIDES_PATTERN.test(raw)) {
+    positionCount = 2;
+  }
+  if (positionCount === null && colours.front !== null && colours.back !== null) {
+    positionCount = (colours.front > 0 ? 1 : 0) + (colours.back > 0 ? 1 : 0);
+  }
+
+  return {
+    raw,
+    none: false,
+    method: method ? method.method : null,
+    front_colours: colours.front,
+    back_colours: colours.back,
+    full_colour: FULL_COLOUR_PATTERN.test(raw),
+    positions: positionCount
+  };
+}
+
+/**
+ * Canonical label for a parsed print option, e.g. "silkscreen 2c x 0c".
+ */
+function formatPrintOption(model) {
+  if (!model) return null;
+  if (model.none) return 'no print';
+
+  const parts = [model.method ? model.method.replace(/_/g, ' ') : 'print'];
+  if (model.front_colours !== null) {
+    parts.push(model.back_colours !== null
+      ? `${model.front_colours}c x ${model.back_colours}c`
+      : `${model.front_colours}c`);
+  } else if (model.positions !== null) {
+    parts.push(`${model.positions} position${model.positions === 1 ? '' : 's'}`);
+  }
+  if (model.full_colour) parts.push('full colour');
+  return parts.join(' ');
+}
+
+function normaliseLabel(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Whether a parsed request names a decoration at all: no print, a known
+ * method, a colour count or full colour. Positions alone ("1 side") and
+ * unrecognised methods ("logo") do not.
+ */
+function isDecorationSpecified(model) {
+  return Boolean(model) && (
+    model.none
+    || model.method !== null
+    || model.front_colours !== null
+    || model.full_colour
+  );
+}
+
+/**
+ * Whether an offered print option satisfies every part of a request that
+ * the request actually specifies. A request that specifies no decoration
+ * is compatible with nothing, so it is reported as a substitution.
+ */
+function isCompatible(requested, offered) {
+  if (!isDecorationSpecified(requested)) return false;
+  if (requested.none || offered.none) return requested.none === offered.none;
+
+  if (requested.method && offered.method && requested.method !== offered.method) return false;
+  if (requested.method && !offered.method && requested.front_colours === null) return false;
+
+  if (requested.full_colour) {
+    return offered.full_colour || FULL_COLOUR_METHODS.includes(offered.method);
+  }
+  if (requested.front_colours !== null && offered.front_colours !== requested.front_colours) return false;
+  if (requested.back_colours !== null && offered.back_colours !== requested.back_colours) return false;
+  if (requested.positions !== null && offered.positions !== null && offered.positions !== requested.positions) return false;
+
+  return true;
+}
+
+function specificity(requested, offered) {
+  let score = 0;
+  if (requested.method && offered.method === requested.method) score += 4;
+  if (requested.front_colours !== null && offered.front_colours === requested.front_colours) score += 2;
+  if (requested.back_colours !== null && offered.back_colours === requested.back_colours) score += 2;
+  if (requested.positions !== null && offered.positions === requested.positions) score += 1;
+  return score;
+}
+
+/**
+ * Match a requested print option against the options a product offers.
+ * Never falls back to an unrelated option: `matched` is null when nothing
+ * offered satisfies the request.
+ *
+ * @param {string|object} requested - Request text or parsed model
+ * @param {Array<string>} availableOptions - Offered print_option values
+ * @returns {object} { requested, normalised, matched, match_type, candidates }
+ */
+function matchPrintOption(requested, availableOptions = []) {
+  const model = typeof requested === 'string' ? parsePrintOption(requested) : requested;
+  const options = [...new Set((availableOptions || []).filter(Boolean))];
+  const result = {
+    requested: model,
+    normalised: formatPrintOption(model),
+    matched: null,
+    match_type: null,
+    candidates: []
+  };
+  if (!model) return result;
+
+  const literal = options.find(option => normaliseLabel(option) === normaliseLabel(model.raw));
+  if (literal) {
+    return { ...result, matched: literal, match_type: 'exact', candidates: [literal] };
+  }
+
+  const candidates = options
+    .map((option, index) => ({ option, index, parsed: parsePrintOption(option) }))
+    .filter(candidate => candidate.parsed && isCompatible(model, candidate.parsed))
+    .sort((a, b) => specificity(model, b.parsed) - specificity(model, a.parsed)
+      // Unspecified colours: prefer the fewest (1c x 0c before 1c x 1c).
+      || ((a.parsed.front_colours || 0) + (a.parsed.back_colours || 0))
+        - ((b.parsed.front_colours || 0) + (b.parsed.back_colours || 0))
+      || a.index - b.index);
+
+  if (candidates.length === 0) return result;
+
+  return {
+    ...result,
+    matched: candidates[0].option,
+    match_type: 'structured',
+    candidates: candidates.map(candidate => candidate.option)
+  };
+}
+
+/**
+ * How far an offered option is from a request: a different method costs
+ * most, then blank vs printed, then each colour of difference.
+ */
+function distance(requested, offered) {
+  if (requested.none !== offered.none) return 20;
+
+  let score = 0;
+  if (requested.method && requested.method !== offered.method) score += 10;
+  if (requested.full_colour && !(offered.full_colour || FULL_COLOUR_METHODS.includes(offered.method))) score += 3;
+  if (requested.front_colours !== null) score += Math.abs((offered.front_colours ?? 0) - requested.front_colours);
+  if (requested.back_colours !== null) score += Math.abs((offered.back_colours ?? 0) - requested.back_colours);
+  if (requested.positions !== null && offered.positions !== null) score += Math.abs(offered.positions - requested.positions);
+  return score;
+}
+
+/**
+ * The offered option closest to a request, for when nothing matches it.
+ *
+ * @param {string|object} requested - Request text or parsed model
+ * @param {Array<string>} availableOptions - Offered print_option values
+ * @returns {string|null} Nearest offered option
+ */
+function findNearestPrintOption(requested, availableOptions = []) {
+  const model = typeof requested === 'string' ? parsePrintOption(requested) : requested;
+  const options = [...new Set((availableOptions || []).filter(Boolean))];
+  if (!model || options.length === 0) return options[0] || null;
+
+  return options
+    .map((option, index) => ({ option, index, distance: distance(model, parsePrintOption(option)) }))
+    .sort((a, b) => a.distance - b.distance || a.index - b.index)[0].option;
+}
+
+/**
+ * Why a different print option was quoted than the one asked for.
+ */
+function describeSubstitution(requestedText, usedOption, productName) {
+  return `${productName} is not offered with "${requestedText}"; priced with the nearest option "${usedOption}" instead`;
+}
+
+/**
+ * Message for a requested decoration a product does not offer.
+ */
+function describeUnavailablePrintOption(requestedText, productName, availableOptions = []) {
+  const offered = availableOptions.length > 0
+    ? ` Available: ${availableOptions.join(', ')}`
+    : '';
+  return `"${requestedText}" is not available for ${productName}.${offered}`;
+}
+
+/**
+ * Substring to pre-filter pricing rows with ilike before structured matching.
+ */
+function printOptionSearchPattern(model) {
+  if (!model) return null;
+  if (model.none) return 'no print';
+  if (model.front_colours !== null && model.back_colours !== null) {
+    return `${model.front_colours}c x ${model.back_colours}c`;
+  }
+  return null;
+}
+
+module.exports = {
+  PRINT_METHODS,
+  parsePrintOption,
+  formatPrintOption,
+  matchPrintOption,
+  findNearestPrintOption,
+  describeSubstitution,
+  describeUnavailablePrintOption,
+  printOptionSearchPattern
+};
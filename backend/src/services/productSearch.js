@@ -301,6 +301,35 @@ async function getProductByWebsiteProductId(websiteProductId) {
   return rows[0];
 }
 
+/**
+ * Get product by internal products.id, falling back to website_product_id
+ *
+ * @param {string} id - products.id or website_product_id (uuid)
+ * @returns {Promise<object|null>} Product or null
+ */
+async function getProductById(id) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  if (!id) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('products')
+    .select(PRODUCT_SELECT)
+    .eq('id', id)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (data && data.length > 0) return data[0];
+  return getProductByWebsiteProductId(id);
+}
+
 /**
  * All size/variant products sharing a website product id.
  */
@@ -449,6 +478,7 @@ async function getProductSuggestions(query, limit = 5) {
 module.exports = {
   searchProducts,
   getProductByName,
+  getProductById,
   getProductByWebsiteProductId,
   getProductsByWebsiteProductId,
   getProductPrintOptions,
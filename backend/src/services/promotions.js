@@ -0,0 +1,119 @@
+const { supabase } = require('./supabase');
+
+// Marketing promotions (promotion_campaigns + promotion_rules). A running
+// campaign's rules take a percentage or a fixed amount per unit off the
+// regular price for a product or category, optionally from a minimum
+// quantity. Promotions are applied on read and never written to `pricing`.
+
+const DISCOUNT_TYPES = ['percentage', 'fixed_amount'];
+
+function roundMoney(value) {
+  return parseFloat(Number(value).toFixed(2));
+}
+
+function roundUnitPrice(value) {
+  return parseFloat(Number(value).toFixed(4));
+}
+
+/**
+ * Rules of the campaigns running at `now`, each with its campaign. A failed
+ * read is logged and treated as no promotions, so regular pricing still works.
+ *
+ * @param {Date} now - Reference time (default now)
+ * @returns {Promise<Array>} Active promotion rules
+ */
+async function getActivePromotions(now = new Date()) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const timestamp = now.toISOString();
+  const { data: campaigns, error: campaignError } = await supabase
+    .from('promotion_campaigns')
+    .select('id, name, starts_at, ends_at')
+    .eq('is_active', true)
+    .lte('starts_at', timestamp)
+    .gt('ends_at', timestamp);
+
+  if (campaignError) {
+    console.error(`[PROMOTIONS] Could not load promotion_campaigns: ${campaignError.message}`);
+    return [];
+  }
+
+  if (!campaigns || campaigns.length === 0) {
+    return [];
+  }
+
+  const { data: rules, error: rulesError } = await supabase
+    .from('promotion_rules')
+    .select('*')
+    .in('campaign_id', campaigns.map(campaign => campaign.id));
+
+  if (rulesError) {
+    console.error(`[PROMOTIONS] Could not load promotion_rules: ${rulesError.message}`);
+    return [];
+  }
+
+  const campaignsById = new Map(campaigns.map(campaign => [campaign.id, campaign]));
+  return (rules || [])
+    .filter(rule => DISCOUNT_TYPES.includes(rule.discount_type))
+    .map(rule => ({ ...rule, campaign: campaignsById.get(rule.campaign_id) }));
+}
+
+function ruleMatches(rule, { productId, category, quantity }) {
+  if (rule.product_id && rule.product_id !== productId) return false;
+  if (rule.category && String(rule.category).toLowerCase() !== String(category || '').toLowerCase()) return false;
+  if (rule.min_quantity && quantity < rule.min_quantity) return false;
+  return true;
+}
+
+function getPromoUnitPrice(rule, unitPrice) {
+  const value = parseFloat(rule.discount_value);
+  const promoUnitPrice = rule.discount_type === 'percentage'
+    ? unitPrice * (1 - value / 100)
+    : unitPrice - value;
+  return roundUnitPrice(Math.max(promoUnitPrice, 0));
+}
+
+/**
+ * Best running promotion for a regular (list) price.
+ *
+ * @param {Array} promotions - From getActivePromotions
+ * @param {object} variant - { productId, category, quantity, unitPrice }
+ * @returns {object|null} Promotion with regular and promo prices side by side, or null
+ */
+function applyPromotion(promotions, { productId, category, quantity, unitPrice }) {
+  if (!promotions || promotions.length === 0 || unitPrice === null || unitPrice === undefined) {
+    return null;
+  }
+
+  const rule = promotions
+    .filter(candidate => ruleMatches(candidate, { productId, category, quantity }))
+    .sort((a, b) => getPromoUnitPrice(a, unitPrice) - getPromoUnitPrice(b, unitPrice))[0];
+  if (!rule) {
+    return null;
+  }
+
+  const promoUnitPrice = getPromoUnitPrice(rule, unitPrice);
+  const regularTotal = roundMoney(unitPrice * quantity);
+  const promoTotal = roundMoney(promoUnitPrice * quantity);
+  return {
+    campaign_id: rule.campaign_id,
+    campaign_name: rule.campaign ? rule.campaign.name : null,
+    rule_id: rule.id,
+    discount_type: rule.discount_type,
+    discount_value: parseFloat(rule.discount_value),
+    min_quantity: rule.min_quantity || null,
+    regular_unit_price: unitPrice,
+    regular_total_price: regularTotal,
+    promo_unit_price: promoUnitPrice,
+    promo_total_price: promoTotal,
+    saving: roundMoney(regularTotal - promoTotal),
+    ends_at: rule.campaign ? rule.campaign.ends_at : null
+  };
+}
+
+module.exports = {
+  getActivePromotions,
+  applyPromotion
+};
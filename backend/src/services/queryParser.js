@@ -1,4 +1,5 @@
 const Anthropic = require('@anthropic-ai/sdk');
+const { matchPrintOption: matchPrintOptionModel } = require('./printOptions');
 
 const anthropic = process.env.ANTHROPIC_API_KEY
   ? new Anthropic()
@@ -67,11 +68,10 @@ Respond in JSON format only:
  *
  * @param {string} parsedOption - Parsed print option from query
  * @param {Array} availableOptions - Available options from database
- * @returns {string|null} Best matching option
+ * @returns {string|null} Best matching option, or null when none is offered
  */
 function matchPrintOption(parsedOption, availableOptions) {
-  // TODO: Implement fuzzy matching for print options
-  throw new Error('Not implemented');
+  return matchPrintOptionModel(parsedOption, availableOptions).matched;
 }
 
 module.exports = {
@@ -0,0 +1,505 @@
+const {
+  getProductByName,
+  getProductByWebsiteProductId,
+  searchProducts
+} = require('./productSearch');
+const {
+  getPriceForQuantity,
+  getMOQInfoForProduct,
+  resolvePrintOption
+} = require('./priceQuery');
+const {
+  isSamplePricingQuery,
+  searchSamplePricing
+} = require('./samplePricing');
+const { describeUnavailablePrintOption } = require('./printOptions');
+const {
+  HEAT_TRANSFER_LANYARD_PRODUCT_NAME,
+  isHeatTransferLanyardQuery,
+  quoteHeatTransferLanyard,
+  resolveLanyardSpec,
+  selectLanyardQuote
+} = require('./lanyardPricing');
+const { GST_RATE, getGstBreakdown } = require('./gst');
+
+// Same fallback order the batch route uses when no lead time is requested.
+const LEAD_TIME_FALLBACK = ['local', 'overseas_air', 'overseas_sea'];
+
+function roundMoney(value) {
+  return parseFloat(Number(value).toFixed(2));
+}
+
+function getLineProductName(line) {
+  return line.product_name || line.productName || line.name || null;
+}
+
+function getLineWebsiteProductId(line) {
+  return line.website_product_id || line.websiteProductId || null;
+}
+
+/**
+ * Price object add-ons ({ name, unit_price } per piece or { name, amount } flat).
+ * String add-ons only mean something to the lanyard calculator, so on other
+ * lines they are reported back as unpriced.
+ */
+function priceAddOns(addOns, quantity, warnings) {
+  const priced = [];
+
+  for (const addOn of addOns || []) {
+    if (!addOn || typeof addOn !== 'object') {
+      warnings.push(`Add-on "${addOn}" is not priced for this line; quote it separately`);
+      continue;
+    }
+
+    const name = addOn.name || addOn.description || 'Add-on';
+    if (addOn.unit_price !== undefined && addOn.unit_price !== null) {
+      const unitPrice = Number(addOn.unit_price);
+      priced.push({
+        name,
+        unit_price: unitPrice,
+        quantity,
+        total_price: roundMoney(unitPrice * quantity)
+      });
+    } else if (addOn.amount !== undefined && addOn.amount !== null) {
+      priced.push({
+        name,
+        unit_price: null,
+        quantity: 1,
+        total_price: roundMoney(Number(addOn.amount))
+      });
+    } else {
+      warnings.push(`Add-on "${name}" has no unit_price or amount and was not priced`);
+    }
+  }
+
+  return priced;
+}
+
+function buildLine(line, lineNumber, fields) {
+  const warnings = fields.warnings || [];
+  const addOns = fields.addOns || [];
+  const baseTotal = fields.baseTotal ?? null;
+  const addOnTotal = addOns.reduce((sum, addOn) => sum + addOn.total_price, 0);
+  const lineSubtotal = baseTotal === null ? null : roundMoney(baseTotal + addOnTotal);
+
+  return {
+    line_number: lineNumber,
+    status: fields.status,
+    source: fields.source || null,
+    searched_term: getLineProductName(line) || getLineWebsiteProductId(line),
+    product_name: fields.productName || null,
+    product_id: fields.productId || null,
+    website_product_id: fields.websiteProductId || getLineWebsiteProductId(line),
+    print_option: fields.printOption || null,
+    lead_time: fields.leadTime || null,
+    quantity: fields.quantity ?? line.quantity ?? null,
+    unit_price: fields.unitPrice ?? null,
+    base_total: baseTotal,
+    add_ons: addOns,
+    line_subtotal: lineSubtotal,
+    ...getGstBreakdown(lineSubtotal, { applicable: fields.gstApplicable ?? true }),
+    currency: fields.currency || 'SGD',
+    details: fields.details || null,
+    warnings
+  };
+}
+
+async function resolveLineProduct(line) {
+  const websiteProductId = getLineWebsiteProductId(line);
+  const productName = getLineProductName(line);
+
+  if (websiteProductId) {
+    const product = await getProductByWebsiteProductId(websiteProductId);
+    if (product) {
+      return { ...product, matchType: 'website_product_id' };
+    }
+  }
+
+  if (productName) {
+    const exact = await getProductByName(productName);
+    if (exact) {
+      return { ...exact, matchType: 'exact' };
+    }
+
+    const [match] = await searchProducts(productName, { limit: 1 });
+    if (match) {
+      return match;
+    }
+  }
+
+  return null;
+}
+
+async function priceSampleLine(line, lineNumber) {
+  const productName = getLineProductName(line);
+  const quantity = line.quantity || 1;
+  const [sample] = await searchSamplePricing(productName, { limit: 1 });
+
+  if (!sample) {
+    return buildLine(line, lineNumber, {
+      status: 'not_found',
+      source: 'sample',
+      quantity,
+      warnings: [`No sample pricing rule found for "${productName}"`]
+    });
+  }
+
+  const warnings = [];
+  if (sample.requires_supplier_check || sample.fee.amount_ex_gst === null) {
+    warnings.push(`Sample fee for "${sample.item_name}" needs a supplier/factory check before quoting`);
+    return buildLine(line, lineNumber, {
+      status: 'supplier_check',
+      source: 'sample',
+      productName: sample.item_name,
+      quantity,
+      leadTime: sample.lead_time,
+      details: { item_key: sample.item_key, pricing_mode: sample.pricing_mode },
+      warnings
+    });
+  }
+
+  return buildLine(line, lineNumber, {
+    status: 'priced',
+    source: 'sample',
+    productName: sample.item_name,
+    quantity,
+    unitPrice: sample.fee.amount_ex_gst,
+    baseTotal: roundMoney(sample.fee.amount_ex_gst * quantity),
+    gstApplicable: sample.fee.gst_applicable,
+    currency: sample.fee.currency,
+    leadTime: sample.lead_time,
+    addOns: priceAddOns(line.add_ons, quantity, warnings),
+    details: { item_key: sample.item_key, pricing_mode: sample.pricing_mode },
+    warnings
+  });
+}
+
+/**
+ * Lanyard lines carry the same structured fields as POST /api/price/lanyard
+ * (attachment, add_ons, width_mm, freight_type or lead_time_type, designs);
+ * older lines that name the attachment and width in free text ("2cm",
+ * "oval hook with breakaway") are still accepted by resolveLanyardSpec.
+ */
+async function priceLanyardLine(line, lineNumber, product) {
+  const lanyardLine = (fields) => buildLine(line, lineNumber, {
+    source: 'heat_transfer_lanyard',
+    productName: HEAT_TRANSFER_LANYARD_PRODUCT_NAME,
+    productId: product?.id,
+    websiteProductId: product?.website_product_id,
+    ...fields
+  });
+
+  const { spec, error } = await resolveLanyardSpec({
+    attachment: line.attachment || line.attachment_type || null,
+    add_ons: (line.add_ons || []).filter(addOn => typeof addOn === 'string'),
+    width_mm: line.width_mm ?? null,
+    width: line.width ?? null,
+    freight_type: line.freight_type || null,
+    lead_time_type: line.lead_time_type || null,
+    quantity: line.quantity,
+    designs: line.designs ?? null
+  });
+  if (error) {
+    return lanyardLine({ status: 'invalid_lanyard_spec', warnings: [error] });
+  }
+
+  const quote = await quoteHeatTransferLanyard(spec);
+  const selected = quote ? selectLanyardQuote(quote, spec.freightType) : null;
+  if (!selected) {
+    return lanyardLine({
+      status: 'pricing_not_found',
+      warnings: [
+        quote?.notes.find(note => /no published price/i.test(note))
+          || 'No lanyard calculator price for this attachment/width combination'
+      ]
+    });
+  }
+
+  const warnings = [];
+  if (!spec.freightType) {
+    warnings.push(`Freight not specified; quoted by ${selected.freight_type} freight`);
+  }
+  warnings.push(...quote.notes.filter(note => /not specified|designs need/i.test(note)));
+
+  const addOns = [];
+  if (spec.designs) {
+    if (quote.design_charge) {
+      addOns.push({
+        name: 'Design charge',
+        unit_price: quote.design_charge.charge_per_design_sgd,
+        quantity: spec.designs,
+        total_price: quote.design_charge.total_price_sgd
+      });
+    } else {
+      warnings.push('No design charge tier found for this quantity');
+    }
+  }
+  addOns.push(...priceAddOns(
+    (line.add_ons || []).filter(addOn => typeof addOn === 'object'),
+    selected.quantity,
+    warnings
+  ));
+
+  return lanyardLine({
+    status: 'priced',
+    productName: quote.product_name,
+    printOption: `${quote.attachment_type}, ${quote.size_label}`,
+    quantity: selected.quantity,
+    unitPrice: selected.unit_price_sgd,
+    baseTotal: selected.total_price_sgd,
+    currency: selected.currency,
+    leadTime: selected.lead_time,
+    addOns,
+    details: {
+      attachment_type: quote.attachment_type,
+      width_mm: quote.width_mm,
+      freight_type: selected.freight_type,
+      moq: selected.moq
+    },
+    warnings
+  });
+}
+
+async function priceCatalogueLine(line, lineNumber, product) {
+  const quantity = line.quantity;
+  const requestedPrintOption = line.print_option || null;
+  const leadTimeTypes = line.lead_time_type ? [line.lead_time_type] : LEAD_TIME_FALLBACK;
+  const warnings = [];
+
+  if (product.matchType === 'fuzzy') {
+    warnings.push(`"${getLineProductName(line)}" matched "${product.name}" via fuzzy search - please verify`);
+  }
+
+  const moqInfo = await getMOQInfoForProduct(product);
+
+  const offeredPrintOptions = new Set();
+
+  for (const leadTimeType of leadTimeTypes) {
+    let printOption = null;
+    if (requestedPrintOption) {
+      const resolved = await resolvePrintOption({
+        productId: product.id,
+        productName: product.name,
+        printOption: requestedPrintOption,
+        leadTimeType
+      });
+      resolved.available_options.forEach(option => offeredPrintOptions.add(option));
+      printOption = resolved.matched;
+    } else {
+      // No requested print option: quote the cheapest MOQ variant for this lead time.
+      printOption = (moqInfo?.variants || [])
+        .filter(variant => variant.lead_time_type === leadTimeType)
+        .sort((a, b) => a.moq_price - b.moq_price)[0]?.print_option;
+    }
+
+    if (!printOption) {
+      continue;
+    }
+
+    const pricing = await getPriceForQuantity({
+      productId: product.id,
+      productName: product.name,
+      printOption,
+      leadTimeType,
+      quantity,
+      category: product.category || null
+    });
+
+    if (!pricing) {
+      continue;
+    }
+
+    if (requestedPrintOption && printOption.toLowerCase() !== requestedPrintOption.toLowerCase()) {
+      warnings.push(`Requested print option "${requestedPrintOption}" quoted as "${printOption}"`);
+    }
+    if (!line.lead_time_type && leadTimeType !== 'local') {
+      warnings.push(`No local pricing; quoted with ${leadTimeType} lead time`);
+    }
+    // Below the MOQ the line is quoted at the MOQ quantity, which is what gets charged
+    const chargedQuantity = pricing.note ? pricing.quantity : quantity;
+    if (pricing.note) {
+      warnings.push(`${pricing.note}; requested ${quantity} pcs, quoted at ${chargedQuantity} pcs`);
+    }
+
+    return buildLine(line, lineNumber, {
+      status: 'priced',
+      source: 'catalogue',
+      productName: pricing.product_name || product.name,
+      productId: product.id,
+      websiteProductId: product.website_product_id,
+      printOption: pricing.print_option,
+      quantity: chargedQuantity,
+      unitPrice: pricing.unit_price,
+      baseTotal: roundMoney(pricing.unit_price * chargedQuantity),
+      currency: pricing.currency,
+      leadTime: {
+        type: pricing.lead_time_type,
+        days_min: pricing.lead_time_days_min,
+        days_max: pricing.lead_time_days_max,
+        basis: 'working days'
+      },
+      addOns: priceAddOns(line.add_ons, chargedQuantity, warnings),
+      details: {
+        pricing_id: pricing.pricing_id,
+        ...(pricing.note ? { requested_quantity: quantity } : {}),
+        tier_quantity: pricing.quantity,
+        is_moq: pricing.is_moq,
+        ...(pricing.promotion && pricing.promotion.applied ? { promotion: pricing.promotion } : {})
+      },
+      warnings
+    });
+  }
+
+  if (requestedPrintOption && offeredPrintOptions.size > 0) {
+    return buildLine(line, lineNumber, {
+      status: 'print_option_not_available',
+      source: 'catalogue',
+      productName: product.name,
+      productId: product.id,
+      websiteProductId: product.website_product_id,
+      warnings: [
+        ...warnings,
+        describeUnavailablePrintOption(requestedPrintOption, product.name, [...offeredPrintOptions])
+      ]
+    });
+  }
+
+  return buildLine(line, lineNumber, {
+    status: 'pricing_not_found',
+    source: 'catalogue',
+    productName: product.name,
+    productId: product.id,
+    websiteProductId: product.website_product_id,
+    warnings: [
+      ...warnings,
+      `No pricing found for "${product.name}"${requestedPrintOption ? ` with "${requestedPrintOption}"` : ''}`
+    ]
+  });
+}
+
+async function priceLine(line, lineNumber) {
+  const productName = getLineProductName(line);
+
+  if (line.type === 'sample' || (productName && isSamplePricingQuery(productName))) {
+    return priceSampleLine(line, lineNumber);
+  }
+
+  const product = await resolveLineProduct(line);
+
+  if (
+    product?.name === HEAT_TRANSFER_LANYARD_PRODUCT_NAME
+    || (productName && isHeatTransferLanyardQuery(productName))
+  ) {
+    return priceLanyardLine(line, lineNumber, product);
+  }
+
+  if (!product) {
+    return buildLine(line, lineNumber, {
+      status: 'not_found',
+      warnings: [`No product found for "${productName || getLineWebsiteProductId(line)}"`]
+    });
+  }
+
+  return priceCatalogueLine(line, lineNumber, product);
+}
+
+/**
+ * Lines are produced/delivered together, so the quote's lead time is bounded
+ * by the slowest line on both ends.
+ */
+function getCommonLeadTime(lines) {
+  const timed = lines.filter(line =>
+    line.status === 'priced' && line.lead_time && line.lead_time.days_max
+  );
+
+  if (timed.length === 0) {
+    return null;
+  }
+
+  const limiting = timed.reduce((slowest, line) =>
+    line.lead_time.days_max > slowest.lead_time.days_max ? line : slowest
+  );
+
+  return {
+    days_min: Math.max(...timed.map(line => line.lead_time.days_min || 0)),
+    days_max: limiting.lead_time.days_max,
+    basis: 'working days',
+    limiting_line: limiting.line_number
+  };
+}
+
+/**
+ * Validate the line items of a quote request.
+ *
+ * @param {Array} lineItems - Requested line items
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateLineItems(lineItems) {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    return 'line_items array is required';
+  }
+
+  for (const [index, line] of lineItems.entries()) {
+    if (!line || typeof line !== 'object') {
+      return `line_items[${index}] must be an object`;
+    }
+    if (!getLineProductName(line) && !getLineWebsiteProductId(line)) {
+      return `line_items[${index}] needs product_name or website_product_id`;
+    }
+    if (line.quantity !== undefined && (!Number.isInteger(line.quantity) || line.quantity <= 0)) {
+      return `line_items[${index}].quantity must be a positive integer`;
+    }
+    if (line.type !== 'sample' && !line.quantity) {
+      return `line_items[${index}].quantity is required`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Price a whole customer enquiry into one quote document.
+ * Each line is routed to the catalogue, the heat transfer lanyard calculator
+ * or sample pricing; lines that cannot be priced stay on the quote with a
+ * warning instead of failing the whole request.
+ *
+ * @param {object} params - Quote parameters
+ * @param {Array} params.lineItems - Line items (product_name or website_product_id, quantity, ...)
+ * @returns {Promise<object>} Quote with line subtotals, GST and grand total
+ */
+async function buildQuote({ lineItems }) {
+  const lines = await Promise.all(
+    lineItems.map((line, index) => priceLine(line, index + 1))
+  );
+
+  const pricedLines = lines.filter(line => line.line_subtotal !== null);
+  const subtotal = roundMoney(pricedLines.reduce((sum, line) => sum + line.line_subtotal, 0));
+  // Summed per line: sample fees can be outside GST
+  const gstAmount = roundMoney(pricedLines.reduce((sum, line) => sum + line.gst_amount, 0));
+
+  const warnings = lines
+    .filter(line => line.status !== 'priced')
+    .map(line => `Line ${line.line_number} (${line.searched_term}) is not included in the total: ${line.status}`);
+
+  return {
+    currency: 'SGD',
+    lines,
+    lines_priced: pricedLines.length,
+    lines_total: lines.length,
+    totals: {
+      subtotal,
+      amount_ex_gst: subtotal,
+      gst_rate: GST_RATE,
+      gst_amount: gstAmount,
+      amount_inc_gst: roundMoney(subtotal + gstAmount),
+      grand_total: roundMoney(subtotal + gstAmount)
+    },
+    lead_time: getCommonLeadTime(lines),
+    warnings
+  };
+}
+
+module.exports = {
+  buildQuote,
+  validateLineItems
+};
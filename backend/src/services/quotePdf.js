@@ -0,0 +1,377 @@
+const PDFDocument = require('pdfkit');
+
+const { getGstBreakdown } = require('./gst');
+const { QUOTE_VALIDITY_DAYS } = require('./quoteStore');
+const { selectLanyardQuote } = require('./lanyardPricing');
+
+const BRAND_NAME = 'EasyPrint';
+const BRAND_COLOR = '#0a7d3b';
+const MUTED_COLOR = '#666666';
+const WARNING_COLOR = '#b35900';
+
+const PAGE_MARGIN = 50;
+
+// Column x offsets/widths for the line item table (A4 content width is ~495pt).
+const COLUMNS = {
+  number: { x: 0, width: 20 },
+  description: { x: 24, width: 251 },
+  quantity: { x: 280, width: 55 },
+  unitPrice: { x: 340, width: 70 },
+  total: { x: 415, width: 80 }
+};
+
+const DEFAULT_TERMS = [
+  'All prices are in SGD unless stated otherwise.',
+  'Lead times are in working days from artwork approval and payment, excluding Singapore public holidays.',
+  'Prices are based on the quantities, print options and artwork described above; changes require a revised quote.',
+  'Orders below the stated MOQ are subject to the MOQ price.',
+  'Colours may vary slightly between screen proofs and printed goods.'
+];
+
+function roundMoney(value) {
+  return parseFloat(Number(value).toFixed(2));
+}
+
+function formatMoney(value, currency = 'SGD') {
+  if (value === null || value === undefined) return '-';
+  const amount = Number(value).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return currency === 'SGD' ? `$${amount}` : `${amount} ${currency}`;
+}
+
+function formatLeadTimeText(leadTime) {
+  if (!leadTime) return null;
+  const { days_min: min, days_max: max } = leadTime;
+  if (!min && !max) return null;
+  const range = min && max && min !== max ? `${min}-${max}` : `${max || min}`;
+  const type = leadTime.type ? ` (${leadTime.type.replace(/_/g, ' ')})` : '';
+  return `${range} working days${type}`;
+}
+
+function formatTiersText(tiers, currency) {
+  if (!tiers || tiers.length === 0) return null;
+  return tiers
+    .slice(0, 10)
+    .map(tier => `${tier.quantity}${tier.is_moq ? ' (MOQ)' : ''}: ${formatMoney(tier.unit_price, currency)}`)
+    .join('  |  ');
+}
+
+function addCalendarDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Lines from formatQueryResponse data (catalogue results with all_tiers/moq).
+ * /query returns several search hits for one enquiry, not several items, so
+ * only the top result is quoted; summing the hits would total alternatives.
+ */
+function linesFromQueryResults(results) {
+  return results.slice(0, 1).map((result, index) => {
+    // Below the MOQ the total is for the MOQ quantity actually charged
+    const chargedQuantity = result.pricing?.charged_quantity ?? null;
+    const quantity = chargedQuantity ?? (result.pricing?.requested_quantity || result.moq?.quantity || null);
+    const unitPrice = result.pricing?.unit_price ?? null;
+    return {
+      line_number: index + 1,
+      status: unitPrice === null ? 'pricing_not_found' : 'priced',
+      product_name: result.product_name,
+      print_option: result.print_option,
+      lead_time: result.lead_time,
+      quantity,
+      unit_price: unitPrice,
+      line_subtotal: result.pricing?.total_price ?? (quantity && unitPrice !== null ? roundMoney(quantity * unitPrice) : null),
+      currency: result.pricing?.currency || 'SGD',
+      tiers: result.all_tiers || [],
+      moq: result.moq || null,
+      warnings: chargedQuantity !== null
+        ? [`${result.pricing.note}; requested ${result.pricing.requested_quantity} pcs, quoted at ${chargedQuantity} pcs`]
+        : []
+    };
+  });
+}
+
+/**
+ * Lines from formatLanyardPricingResponse data: a single line for the
+ * selected freight (air by default, as /lookup quotes it). Air and sea are
+ * alternatives for the same order, so the other freight is only noted.
+ */
+function linesFromLanyardResult(result, quote) {
+  if (!quote) return [];
+
+  return [{
+    line_number: 1,
+    status: 'priced',
+    product_name: result.product_name,
+    print_option: `${result.attachment_type}, ${result.size_label}, ${quote.freight_type} freight`,
+    lead_time: quote.lead_time,
+    quantity: quote.quantity,
+    unit_price: quote.unit_price_sgd,
+    line_subtotal: quote.total_price_sgd,
+    currency: quote.currency,
+    tiers: (result.tiers[quote.freight_type] || []).map(tier => ({
+      quantity: tier.quantity,
+      unit_price: tier.unit_price_sgd,
+      is_moq: tier.quantity === tier.moq
+    })),
+    moq: { quantity: quote.moq },
+    warnings: []
+  }];
+}
+
+/**
+ * Normalise any priced payload into the document shape the renderer uses.
+ * Accepts a quoteBuilder quote, a stored quote from quoteStore, or the `data`
+ * (or whole body) of a formatQueryResponse / formatLanyardPricingResponse /
+ * formatQuoteResponse response.
+ *
+ * @param {object} payload - Priced payload
+ * @param {object} options - Overrides (reference, customer, validUntil, notes)
+ * @returns {object|null} Quote document, or null when the payload has no prices
+ */
+function toQuoteDocument(payload, options = {}) {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+
+  const body = payload.success !== undefined && payload.data ? payload.data : payload;
+  let lines;
+  let notes = [];
+  let stored = null;
+  let quote = body;
+
+  if (body.quote_number && body.quote) {
+    stored = body;
+    quote = body.quote;
+  }
+
+  if (Array.isArray(quote.lines)) {
+    lines = quote.lines;
+    notes = quote.warnings || [];
+  } else if (body.query_type === 'heat_transfer_lanyard' && body.result) {
+    const selected = selectLanyardQuote(body.result);
+    lines = linesFromLanyardResult(body.result, selected);
+    const otherFreight = selected
+      ? ['air', 'sea'].filter(freight => freight !== selected.freight_type && (body.result.requested_quantity
+        ? body.result.quotes.some(quote => quote.freight_type === freight)
+        : (body.result.tiers[freight] || []).length > 0))
+      : [];
+    notes = [
+      ...(body.result.notes || []),
+      ...otherFreight.map(freight => `Also available by ${freight} freight; not included in this quote.`)
+    ];
+  } else if (Array.isArray(body.results)) {
+    lines = linesFromQueryResults(body.results);
+    if (body.results.length > 1) {
+      notes = [`Quoted for the best match only; ${body.results.length - 1} other search result${body.results.length > 2 ? 's are' : ' is'} not included.`];
+    }
+  } else {
+    return null;
+  }
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const pricedLines = lines.filter(line => line.line_subtotal !== null && line.line_subtotal !== undefined);
+  const subtotal = roundMoney(pricedLines.reduce((sum, line) => sum + line.line_subtotal, 0));
+  const gst = getGstBreakdown(subtotal);
+  const totals = quote.totals || {
+    subtotal,
+    ...gst,
+    grand_total: gst.amount_inc_gst
+  };
+
+  const customer = options.customer || stored?.customer || null;
+
+  return {
+    reference: options.reference || stored?.quote_number || null,
+    revision: stored?.current_revision || null,
+    issued_on: new Date().toISOString().slice(0, 10),
+    valid_until: options.validUntil || stored?.valid_until || addCalendarDays(new Date(), QUOTE_VALIDITY_DAYS),
+    customer,
+    currency: quote.currency || lines[0].currency || 'SGD',
+    lines,
+    totals,
+    lead_time: quote.lead_time || null,
+    notes: [...notes, ...(options.notes || [])],
+    terms: options.terms || DEFAULT_TERMS
+  };
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+}
+
+function drawHeader(doc, document) {
+  const left = PAGE_MARGIN;
+  const right = doc.page.width - PAGE_MARGIN;
+
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(22).text(BRAND_NAME, left, PAGE_MARGIN);
+  doc.fillColor('black').fontSize(16).text('QUOTATION', left, PAGE_MARGIN + 4, { width: right - left, align: 'right' });
+
+  doc.moveDown(1.2);
+  doc.font('Helvetica').fontSize(10);
+
+  const details = [
+    document.reference ? `Quote no: ${document.reference}${document.revision > 1 ? ` (rev ${document.revision})` : ''}` : null,
+    `Date: ${document.issued_on}`,
+    `Valid until: ${document.valid_until}`
+  ].filter(Boolean);
+  const detailsTop = doc.y;
+  details.forEach(line => doc.text(line, left, doc.y, { width: right - left, align: 'right' }));
+  const detailsBottom = doc.y;
+
+  if (document.customer && (document.customer.name || document.customer.company || document.customer.email)) {
+    doc.y = detailsTop;
+    doc.font('Helvetica-Bold').text('Prepared for', left, doc.y);
+    doc.font('Helvetica');
+    [document.customer.company, document.customer.name, document.customer.email]
+      .filter(Boolean)
+      .forEach(line => doc.text(line, left, doc.y));
+  }
+
+  doc.y = Math.max(doc.y, detailsBottom);
+  doc.moveDown(1);
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).strokeColor(BRAND_COLOR).stroke();
+  doc.moveDown(0.5);
+}
+
+function drawTableHeader(doc) {
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('black');
+  doc.text('#', PAGE_MARGIN + COLUMNS.number.x, top, { width: COLUMNS.number.width });
+  doc.text('Description', PAGE_MARGIN + COLUMNS.description.x, top, { width: COLUMNS.description.width });
+  doc.text('Qty', PAGE_MARGIN + COLUMNS.quantity.x, top, { width: COLUMNS.quantity.width, align: 'right' });
+  doc.text('Unit price', PAGE_MARGIN + COLUMNS.unitPrice.x, top, { width: COLUMNS.unitPrice.width, align: 'right' });
+  doc.text('Amount', PAGE_MARGIN + COLUMNS.total.x, top, { width: COLUMNS.total.width, align: 'right' });
+  doc.moveDown(0.4);
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).strokeColor('#cccccc').stroke();
+  doc.moveDown(0.4);
+}
+
+function drawLine(doc, line, currency) {
+  ensureSpace(doc, 70);
+
+  const top = doc.y;
+  const descriptionX = PAGE_MARGIN + COLUMNS.description.x;
+  const priced = line.line_subtotal !== null && line.line_subtotal !== undefined;
+
+  doc.font('Helvetica').fontSize(9).fillColor('black');
+  doc.text(String(line.line_number), PAGE_MARGIN + COLUMNS.number.x, top, { width: COLUMNS.number.width });
+  doc.text(line.quantity ? String(line.quantity) : '-', PAGE_MARGIN + COLUMNS.quantity.x, top, { width: COLUMNS.quantity.width, align: 'right' });
+  doc.text(formatMoney(line.unit_price, currency), PAGE_MARGIN + COLUMNS.unitPrice.x, top, { width: COLUMNS.unitPrice.width, align: 'right' });
+  doc.text(priced ? formatMoney(line.line_subtotal, currency) : 'Not priced', PAGE_MARGIN + COLUMNS.total.x, top, { width: COLUMNS.total.width, align: 'right' });
+
+  doc.font('Helvetica-Bold').text(line.product_name || line.searched_term || 'Item', descriptionX, top, { width: COLUMNS.description.width });
+  doc.font('Helvetica').fillColor(MUTED_COLOR).fontSize(8);
+
+  const details = [
+    line.print_option ? `Print: ${line.print_option}` : null,
+    formatLeadTimeText(line.lead_time) ? `Lead time: ${formatLeadTimeText(line.lead_time)}` : null,
+    line.moq?.quantity ? `MOQ: ${line.moq.quantity} pcs` : null,
+    ...(line.add_ons || []).map(addOn =>
+      `Add-on: ${addOn.name}${addOn.unit_price !== null ? ` @ ${formatMoney(addOn.unit_price, currency)} x ${addOn.quantity}` : ''} = ${formatMoney(addOn.total_price, currency)}`
+    ),
+    formatTiersText(line.tiers, currency) ? `Tiers: ${formatTiersText(line.tiers, currency)}` : null
+  ].filter(Boolean);
+  details.forEach(text => doc.text(text, descriptionX, doc.y, { width: COLUMNS.description.width }));
+
+  if (line.warnings && line.warnings.length > 0) {
+    doc.fillColor(WARNING_COLOR);
+    line.warnings.forEach(text => doc.text(`Note: ${text}`, descriptionX, doc.y, { width: COLUMNS.description.width }));
+  }
+
+  doc.fillColor('black');
+  doc.moveDown(0.6);
+}
+
+function drawTotals(doc, document) {
+  ensureSpace(doc, 80);
+  const labelX = PAGE_MARGIN + COLUMNS.unitPrice.x - 80;
+  const labelWidth = COLUMNS.unitPrice.width + 80;
+  const amountX = PAGE_MARGIN + COLUMNS.total.x;
+  const { totals, currency } = document;
+
+  doc.moveTo(labelX, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).strokeColor('#cccccc').stroke();
+  doc.moveDown(0.4);
+
+  const rows = [
+    ['Subtotal (before GST)', totals.subtotal, 'Helvetica'],
+    [`GST ${roundMoney(totals.gst_rate * 100)}%`, totals.gst_amount, 'Helvetica'],
+    ['Total (incl. GST)', totals.grand_total, 'Helvetica-Bold']
+  ];
+  rows.forEach(([label, amount, font]) => {
+    const top = doc.y;
+    doc.font(font).fontSize(10);
+    doc.text(label, labelX, top, { width: labelWidth, align: 'right' });
+    doc.text(formatMoney(amount, currency), amountX, top, { width: COLUMNS.total.width, align: 'right' });
+  });
+
+  if (document.lead_time) {
+    doc.moveDown(0.4);
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+      .text(`Estimated lead time for the full order: ${formatLeadTimeText(document.lead_time)}`, PAGE_MARGIN, doc.y);
+    doc.fillColor('black');
+  }
+}
+
+function drawNotesAndTerms(doc, document) {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  if (document.notes.length > 0) {
+    doc.moveDown(1);
+    ensureSpace(doc, 40);
+    doc.font('Helvetica-Bold').fontSize(10).text('Notes', PAGE_MARGIN, doc.y);
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+    document.notes.forEach(note => doc.text(`- ${note}`, PAGE_MARGIN, doc.y, { width }));
+    doc.fillColor('black');
+  }
+
+  doc.moveDown(1);
+  ensureSpace(doc, 60);
+  doc.font('Helvetica-Bold').fontSize(10).text('Terms', PAGE_MARGIN, doc.y);
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+  document.terms.forEach((term, index) => doc.text(`${index + 1}. ${term}`, PAGE_MARGIN, doc.y, { width }));
+  doc.text(`This quotation is valid until ${document.valid_until}.`, PAGE_MARGIN, doc.y, { width });
+  doc.fillColor('black');
+}
+
+/**
+ * Render a quote document (see toQuoteDocument) as a branded A4 PDF
+ *
+ * @param {object} document - Quote document
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderQuotePdf(document) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `${BRAND_NAME} quotation${document.reference ? ` ${document.reference}` : ''}`,
+        Author: BRAND_NAME
+      }
+    });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    drawHeader(doc, document);
+    drawTableHeader(doc);
+    document.lines.forEach(line => drawLine(doc, line, document.currency));
+    drawTotals(doc, document);
+    drawNotesAndTerms(doc, document);
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  toQuoteDocument,
+  renderQuotePdf
+};
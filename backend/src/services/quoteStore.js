@@ -0,0 +1,363 @@
+const { supabase } = require('./supabase');
+const { buildQuote } = require('./quoteBuilder');
+
+const QUOTE_VALIDITY_DAYS = parseInt(process.env.QUOTE_VALIDITY_DAYS || '30', 10);
+
+const QUOTE_NUMBER_PATTERN = /^EPQ-\d+$/i;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function addCalendarDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+function getCustomerColumns(customer = {}) {
+  return {
+    customer_name: customer.name || customer.customer_name || null,
+    customer_company: customer.company || customer.customer_company || null,
+    customer_email: customer.email || customer.customer_email || null
+  };
+}
+
+function getPricingIds(quote) {
+  return [...new Set(
+    quote.lines
+      .map(line => line.details?.pricing_id)
+      .filter(Boolean)
+  )];
+}
+
+function buildRevisionRow(quoteId, revisionNumber, { lineItems, quote, validUntil, note, createdBy }) {
+  return {
+    quote_id: quoteId,
+    revision_number: revisionNumber,
+    line_items: lineItems,
+    quote_document: quote,
+    pricing_ids: getPricingIds(quote),
+    subtotal: quote.totals.subtotal,
+    gst_amount: quote.totals.gst_amount,
+    grand_total: quote.totals.grand_total,
+    valid_until: validUntil,
+    revision_note: note || null,
+    created_by: createdBy || null
+  };
+}
+
+function formatQuoteRecord(row, revisions = []) {
+  const today = new Date().toISOString().slice(0, 10);
+  const current = revisions.find(revision => revision.revision_number === row.current_revision) || null;
+
+  return {
+    id: row.id,
+    quote_number: row.quote_number,
+    status: row.status,
+    is_expired: row.valid_until < today,
+    valid_until: row.valid_until,
+    customer: {
+      name: row.customer_name,
+      company: row.customer_company,
+      email: row.customer_email
+    },
+    current_revision: row.current_revision,
+    currency: row.currency,
+    totals: {
+      subtotal: row.subtotal === null ? null : parseFloat(row.subtotal),
+      gst_amount: row.gst_amount === null ? null : parseFloat(row.gst_amount),
+      grand_total: row.grand_total === null ? null : parseFloat(row.grand_total)
+    },
+    cloned_from_quote_id: row.cloned_from_quote_id,
+    notes: row.notes,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    quote: current ? current.quote_document : null,
+    revisions: revisions.map(revision => ({
+      revision_number: revision.revision_number,
+      subtotal: revision.subtotal === null ? null : parseFloat(revision.subtotal),
+      grand_total: revision.grand_total === null ? null : parseFloat(revision.grand_total),
+      valid_until: revision.valid_until,
+      pricing_ids: revision.pricing_ids,
+      revision_note: revision.revision_note,
+      created_by: revision.created_by,
+      created_at: revision.created_at
+    }))
+  };
+}
+
+async function getQuoteRow(idOrNumber) {
+  const column = QUOTE_NUMBER_PATTERN.test(idOrNumber) ? 'quote_number' : 'id';
+  // Anything else would fail the uuid cast in Postgres rather than miss.
+  if (column === 'id' && !UUID_PATTERN.test(idOrNumber)) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('quotes')
+    .select('*')
+    .eq(column, column === 'quote_number' ? idOrNumber.toUpperCase() : idOrNumber)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+async function getQuoteRevisions(quoteId) {
+  const { data, error } = await supabase
+    .from('quote_revisions')
+    .select('*')
+    .eq('quote_id', quoteId)
+    .order('revision_number', { ascending: true });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+// The revision fields passed to the quote store functions, which number
+// and link the revision themselves.
+function toRevisionPayload(revision) {
+  const { quote_id: quoteId, revision_number: revisionNumber, ...payload } = revision;
+  return payload;
+}
+
+/**
+ * Price line items and store them as a new quote (revision 1)
+ *
+ * @param {object} params - Quote parameters
+ * @param {Array} params.lineItems - Line items accepted by buildQuote
+ * @param {object} params.customer - Customer name/company/email
+ * @param {string} params.notes - Free-text notes
+ * @param {number} params.validDays - Days the quote stays valid
+ * @param {string} params.createdBy - Staff identifier
+ * @param {string} params.clonedFromQuoteId - Source quote when cloning
+ * @param {string} params.revisionNote - Note stored on revision 1
+ * @returns {Promise<object>} Stored quote with its revision history
+ */
+async function createQuote(params) {
+  const {
+    lineItems,
+    customer,
+    notes,
+    validDays = QUOTE_VALIDITY_DAYS,
+    createdBy,
+    clonedFromQuoteId = null,
+    revisionNote = null
+  } = params;
+
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const quote = await buildQuote({ lineItems });
+  const validUntil = addCalendarDays(new Date(), validDays);
+
+  const revision = buildRevisionRow(null, 1, {
+    lineItems,
+    quote,
+    validUntil,
+    note: revisionNote,
+    createdBy
+  });
+
+  // Quote and revision 1 are inserted in one transaction
+  const { data, error } = await supabase.rpc('create_quote_with_revision', {
+    p_quote: {
+      ...getCustomerColumns(customer),
+      currency: quote.currency,
+      subtotal: quote.totals.subtotal,
+      gst_amount: quote.totals.gst_amount,
+      grand_total: quote.totals.grand_total,
+      valid_until: validUntil,
+      cloned_from_quote_id: clonedFromQuoteId,
+      notes: notes || null,
+      created_by: createdBy || null
+    },
+    p_revision: toRevisionPayload(revision)
+  });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return formatQuoteRecord(data, [{ ...revision, quote_id: data.id }]);
+}
+
+/**
+ * Get a stored quote by id or quote number, with its revision history
+ *
+ * @param {string} idOrNumber - Quote uuid or quote number (EPQ-000123)
+ * @returns {Promise<object|null>} Quote or null
+ */
+async function getQuote(idOrNumber) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const row = await getQuoteRow(idOrNumber);
+  if (!row) {
+    return null;
+  }
+
+  return formatQuoteRecord(row, await getQuoteRevisions(row.id));
+}
+
+/**
+ * List stored quotes, newest first
+ *
+ * @param {object} options - Query options
+ * @param {number} options.limit - Max results (default 20)
+ * @param {number} options.offset - Offset for pagination (default 0)
+ * @param {string} options.status - Filter by status
+ * @param {string} options.customer - Filter by customer company or name (contains)
+ * @returns {Promise<object>} Quotes and total count
+ */
+async function listQuotes(options = {}) {
+  const { limit = 20, offset = 0, status = null, customer = null } = options;
+
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  let queryBuilder = supabase
+    .from('quotes')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status) {
+    queryBuilder = queryBuilder.eq('status', status);
+  }
+
+  if (customer) {
+    const pattern = `%${customer.replace(/[%,()]/g, ' ').trim()}%`;
+    queryBuilder = queryBuilder.or(`customer_company.ilike.${pattern},customer_name.ilike.${pattern}`);
+  }
+
+  const { data, error, count } = await queryBuilder;
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return {
+    quotes: (data || []).map(row => formatQuoteRecord(row)),
+    total: count,
+    limit,
+    offset
+  };
+}
+
+/**
+ * Add a revision to a stored quote. Line items default to the current
+ * revision's, so a revision without new lines re-prices the same enquiry at
+ * today's prices and restarts the validity window.
+ *
+ * @param {string} idOrNumber - Quote uuid or quote number
+ * @param {object} params - Revision parameters
+ * @param {Array} params.lineItems - Replacement line items (optional)
+ * @param {number} params.validDays - Days the revision stays valid
+ * @param {string} params.note - Reason for the revision
+ * @param {string} params.status - New quote status (optional)
+ * @param {string} params.createdBy - Staff identifier
+ * @returns {Promise<object|null>} Updated quote, or null when not found
+ */
+async function reviseQuote(idOrNumber, params = {}) {
+  const { lineItems, validDays = QUOTE_VALIDITY_DAYS, note, status, createdBy } = params;
+
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const row = await getQuoteRow(idOrNumber);
+  if (!row) {
+    return null;
+  }
+
+  const revisions = await getQuoteRevisions(row.id);
+  const current = revisions.find(revision => revision.revision_number === row.current_revision);
+  const nextLineItems = lineItems || current?.line_items || [];
+  const quote = await buildQuote({ lineItems: nextLineItems });
+  const validUntil = addCalendarDays(new Date(), validDays);
+
+  const revision = buildRevisionRow(row.id, null, {
+    lineItems: nextLineItems,
+    quote,
+    validUntil,
+    note,
+    createdBy
+  });
+
+  // The function locks the quote row and numbers the revision, so
+  // concurrent revisions of one quote are stored one after the other.
+  const { data, error } = await supabase.rpc('add_quote_revision', {
+    p_quote_id: row.id,
+    p_quote: {
+      subtotal: quote.totals.subtotal,
+      gst_amount: quote.totals.gst_amount,
+      grand_total: quote.totals.grand_total,
+      valid_until: validUntil,
+      status: status || null
+    },
+    p_revision: toRevisionPayload(revision)
+  });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+  if (!data || !data.id) {
+    return null;
+  }
+
+  return formatQuoteRecord(data, await getQuoteRevisions(row.id));
+}
+
+/**
+ * Start a new quote from an existing quote's current line items
+ *
+ * @param {string} idOrNumber - Source quote uuid or quote number
+ * @param {object} params - Clone parameters (customer, notes, validDays, createdBy)
+ * @returns {Promise<object|null>} New quote, or null when the source is not found
+ */
+async function cloneQuote(idOrNumber, params = {}) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const row = await getQuoteRow(idOrNumber);
+  if (!row) {
+    return null;
+  }
+
+  const revisions = await getQuoteRevisions(row.id);
+  const current = revisions.find(revision => revision.revision_number === row.current_revision);
+
+  return createQuote({
+    lineItems: current?.line_items || [],
+    customer: params.customer || {
+      name: row.customer_name,
+      company: row.customer_company,
+      email: row.customer_email
+    },
+    notes: params.notes ?? row.notes,
+    validDays: params.validDays,
+    createdBy: params.createdBy,
+    clonedFromQuoteId: row.id,
+    revisionNote: `Cloned from ${row.quote_number} revision ${row.current_revision}`
+  });
+}
+
+module.exports = {
+  QUOTE_VALIDITY_DAYS,
+  QUOTE_STATUSES: ['open', 'accepted', 'cancelled'],
+  createQuote,
+  getQuote,
+  listQuotes,
+  reviseQuote,
+  cloneQuote
+};
@@ -1,4 +1,5 @@
 const { supabase } = require('./supabase');
+const { getGstBreakdown } = require('./gst');
 
 const SAMPLE_QUERY_PATTERN = /\b(sample|samples|proof)\b/i;
 
@@ -174,7 +175,7 @@ function formatSampleRow(row, match = null) {
     pricing_group: row.pricing_group,
     pricing_mode: row.pricing_mode,
     fee: {
-      amount_ex_gst: parseMoney(row.sample_price_ex_gst),
+      ...getGstBreakdown(parseMoney(row.sample_price_ex_gst), { applicable: Boolean(row.gst_applicable) }),
       currency: row.currency || 'SGD',
       gst_applicable: Boolean(row.gst_applicable),
     },
@@ -0,0 +1,233 @@
+const { supabase } = require('./supabase');
+const {
+  normaliseVendor,
+  getVendorProductsByCode,
+  searchVendorProducts
+} = require('./vendorCatalogue');
+
+// Can the vendor cover a requested quantity? Stock figures are only trusted
+// when the vendor row was refreshed by the latest successful scrape/import
+// run; rows left behind by older runs are reported but not counted.
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Estimate an arrival date from a ThumbTech COMING SOON column label such as
+ * "MID NOV", "END DEC 2026" or "JAN". Early = 10th, mid = 15th, otherwise the
+ * month end; without a year, the next occurrence of the month.
+ *
+ * @param {string} label - Incoming stock label
+ * @param {Date} today - Reference date
+ * @returns {string|null} YYYY-MM-DD or null when the label has no month
+ */
+function estimateIncomingDate(label, today = new Date()) {
+  const text = String(label || '').toUpperCase();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+
+  const monthIndex = MONTHS.findIndex(month => new RegExp(`\\b${month}`).test(text));
+  if (monthIndex === -1) return null;
+
+  const yearMatch = text.match(/\b(20\d{2})\b/);
+  let year = yearMatch ? parseInt(yearMatch[1], 10) : today.getUTCFullYear();
+  if (!yearMatch && monthIndex < today.getUTCMonth()) year += 1;
+
+  const monthEnd = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  let day = monthEnd;
+  if (/\bEARLY\b|\bBEG/.test(text)) day = 10;
+  else if (/\bMID\b/.test(text)) day = 15;
+
+  return toDateString(new Date(Date.UTC(year, monthIndex, day)));
+}
+
+function parseIncoming(incomingStock, today) {
+  if (!incomingStock) return [];
+
+  const entries = Array.isArray(incomingStock)
+    ? incomingStock.map(entry => [entry.label || entry.date || entry.eta, entry.quantity ?? entry.qty])
+    : Object.entries(incomingStock);
+
+  return entries
+    .map(([label, quantity]) => ({
+      label,
+      expected_date: estimateIncomingDate(label, today),
+      quantity: parseInt(quantity, 10)
+    }))
+    .filter(entry => entry.quantity > 0)
+    .sort((a, b) => (a.expected_date || '9999').localeCompare(b.expected_date || '9999'));
+}
+
+/**
+ * A row is trusted when the latest successful run refreshed it. OrenSport
+ * has no runs table and publishes no stock, so it is never trusted.
+ */
+function isTrusted(product) {
+  const run = product.last_scrape_run;
+  if (!run || !product.last_seen_at) return false;
+  return new Date(product.last_seen_at) >= new Date(run.started_at);
+}
+
+function assessVariant(product, quantity, today) {
+  const trusted = isTrusted(product);
+  const incoming = trusted ? parseIncoming(product.incoming_stock, today) : [];
+  const availableNow = trusted ? product.stock.available_quantity : null;
+
+  let cumulative = availableNow || 0;
+  const availableByDate = incoming
+    .filter(entry => entry.expected_date)
+    .map((entry) => {
+      cumulative += entry.quantity;
+      return { date: entry.expected_date, cumulative_quantity: cumulative };
+    });
+
+  let status = 'unknown';
+  if (product.stock.assumed) status = 'assumed_available';
+  else if (availableNow !== null) status = availableNow >= quantity ? 'sufficient' : (availableNow > 0 ? 'partial' : 'out_of_stock');
+
+  const coveredBy = availableByDate.find(entry => entry.cumulative_quantity >= quantity);
+
+  return {
+    vendor: product.vendor,
+    item_code: product.item_code,
+    variant: product.variant,
+    name: product.name,
+    status,
+    trusted,
+    available_now: availableNow,
+    reserved_quantity: trusted ? product.stock.reserved_quantity ?? null : null,
+    incoming,
+    available_by_date: availableByDate,
+    sufficient_by: status === 'sufficient' ? toDateString(today) : (coveredBy ? coveredBy.date : null),
+    shortfall: availableNow !== null && availableNow < quantity ? quantity - availableNow : 0,
+    last_seen_at: product.last_seen_at,
+    last_scrape_run: product.last_scrape_run,
+    reported_quantity: product.stock.available_quantity
+  };
+}
+
+function buildWarning(best, quantity) {
+  const label = `${best.vendor} ${best.item_code}`;
+
+  if (best.status === 'assumed_available') return null;
+  if (best.vendor === 'ORENSPORT') {
+    return `${label}: OrenSport does not publish stock; confirm availability with the supplier`;
+  }
+  if (!best.trusted) {
+    return `${label}: stock data is not from the latest successful import; confirm availability with the supplier`;
+  }
+  if (best.shortfall > 0) {
+    const incoming = best.sufficient_by
+      ? `; enough expected by ${best.sufficient_by} from incoming stock`
+      : '';
+    return `Only ${best.available_now} pcs available now at ${label} (need ${quantity}, short ${best.shortfall})${incoming}`;
+  }
+  return null;
+}
+
+// A series code matches every variant (e.g. each ThumbTech colour), and the
+// customer may want any of them, so no one variant speaks for the series.
+function buildVariantWarning(variants, quantity, code) {
+  const covered = variants.filter(variant => ['sufficient', 'assumed_available'].includes(variant.status)).length;
+  return `${variants[0].vendor} ${code}: stock depends on the variant (${covered} of ${variants.length} can cover ${quantity} pcs now); name the variant with supplier_variant`;
+}
+
+function matchesVariant(product, variant) {
+  const wanted = String(variant).trim().toLowerCase();
+  return [product.variant, product.item_code]
+    .some(value => value && String(value).trim().toLowerCase() === wanted);
+}
+
+const STATUS_RANK = { sufficient: 0, assumed_available: 1, partial: 2, out_of_stock: 3, unknown: 4 };
+
+async function findVendorProducts({ supplierContext, product, searchByName }) {
+  const vendorKey = normaliseVendor(supplierContext.supplierName);
+  if (vendorKey && supplierContext.supplierProductCode) {
+    return getVendorProductsByCode(vendorKey, supplierContext.supplierProductCode);
+  }
+
+  const name = product?.name || null;
+  if (!searchByName || !name) return [];
+
+  // Name lookups only trust code and exact-name matches; fuzzy vendor names
+  // are too loose to promise stock against.
+  const { results } = await searchVendorProducts({ q: name, vendor: vendorKey, limit: 20 });
+  return results.filter(result => ['item_code', 'exact_insensitive'].includes(result.match_type));
+}
+
+/**
+ * Check vendor stock for a requested quantity.
+ *
+ * @param {object} params - Stock check parameters
+ * @param {object} params.supplierContext - { supplierName, supplierProductCode, supplierVariant } (preferred)
+ * @param {object} params.product - Resolved product ({ name }) for name lookups
+ * @param {number} params.quantity - Requested quantity
+ * @param {boolean} params.searchByName - Fall back to exact vendor name matches
+ * @returns {Promise<object|null>} Stock check, or null when no vendor row (or
+ *   no row of the named variant) matches
+ */
+async function checkStock({ supplierContext = {}, product = null, quantity, searchByName = false }) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  let vendorProducts = await findVendorProducts({ supplierContext, product, searchByName });
+  if (supplierContext.supplierVariant) {
+    vendorProducts = vendorProducts.filter(vendorProduct => matchesVariant(vendorProduct, supplierContext.supplierVariant));
+  }
+  if (vendorProducts.length === 0) return null;
+
+  const today = new Date();
+  const variants = vendorProducts
+    .map(vendorProduct => assessVariant(vendorProduct, quantity, today))
+    .sort((a, b) => STATUS_RANK[a.status] - STATUS_RANK[b.status]
+      || (b.available_now || 0) - (a.available_now || 0));
+  const best = variants[0];
+
+  // Rows from different vendors are alternatives, so the best one answers.
+  // Variants of one vendor item only answer together when they agree; the
+  // least stocked one then gives the headline figures.
+  const singleVendor = variants.every(variant => variant.vendor === best.vendor);
+  if (singleVendor && variants.some(variant => variant.status !== best.status || variant.shortfall !== best.shortfall)) {
+    const code = supplierContext.supplierProductCode || best.item_code;
+    return {
+      quantity_requested: quantity,
+      status: 'depends_on_variant',
+      vendor: best.vendor,
+      item_code: code,
+      available_now: null,
+      incoming: [],
+      available_by_date: [],
+      sufficient_by: null,
+      shortfall: null,
+      trusted: variants.every(variant => variant.trusted),
+      warning: buildVariantWarning(variants, quantity, code),
+      variants,
+      checked_at: today.toISOString()
+    };
+  }
+  const headline = singleVendor ? variants[variants.length - 1] : best;
+
+  return {
+    quantity_requested: quantity,
+    status: headline.status,
+    vendor: headline.vendor,
+    item_code: headline.item_code,
+    available_now: headline.available_now,
+    incoming: headline.incoming,
+    available_by_date: headline.available_by_date,
+    sufficient_by: headline.sufficient_by,
+    shortfall: headline.shortfall,
+    trusted: headline.trusted,
+    warning: buildWarning(headline, quantity),
+    variants,
+    checked_at: today.toISOString()
+  };
+}
+
+module.exports = {
+  estimateIncomingDate,
+  checkStock
+};
@@ -0,0 +1,341 @@
+const { supabase } = require('./supabase');
+const { validateMatch } = require('./productSearch');
+
+// One normalised view over the vendor silo tables. Each vendor keeps its own
+// import shape; VENDORS records where the common fields live in each table.
+const VENDORS = {
+  MYGIFT: {
+    table: 'mygift_products',
+    runsTable: 'mygift_product_scrape_runs',
+    codeColumn: 'item_code',
+    seriesColumn: 'series_code',
+    nameColumns: ['description'],
+    costColumns: ['item_unit_price'],
+    categoryColumn: 'categories',
+    subcategoryColumn: 'subcategories',
+    seenColumn: 'last_scraped_at',
+    activeColumn: 'is_active'
+  },
+  FGCONCEPT: {
+    table: 'fgconcept_products',
+    runsTable: 'fgconcept_product_scrape_runs',
+    codeColumn: 'item_code',
+    seriesColumn: 'series_code',
+    nameColumns: ['description'],
+    costColumns: ['item_unit_price'],
+    categoryColumn: 'categories',
+    subcategoryColumn: 'subcategories',
+    seenColumn: 'last_scraped_at',
+    activeColumn: 'is_active'
+  },
+  THUMBTECH: {
+    table: 'thumbtech_products',
+    runsTable: 'thumbtech_product_scrape_runs',
+    codeColumn: 'item_code',
+    seriesColumn: 'series_code',
+    nameColumns: ['product_name', 'description'],
+    costColumns: ['item_unit_price'],
+    categoryColumn: 'categories',
+    subcategoryColumn: 'subcategories',
+    seenColumn: 'last_scraped_at',
+    activeColumn: 'is_active'
+  },
+  ULTIFRESH: {
+    table: 'ultifresh_products',
+    runsTable: 'ultifresh_product_import_runs',
+    codeColumn: 'item_code',
+    seriesColumn: 'series_code',
+    nameColumns: ['product_name'],
+    costColumns: ['item_unit_price', 'normal_agent_price'],
+    categoryColumn: 'categories',
+    subcategoryColumn: 'subcategories',
+    seenColumn: 'last_imported_at',
+    activeColumn: 'is_active'
+  },
+  ORENSPORT: {
+    table: 'orensport_products',
+    runsTable: null,
+    codeColumn: 'item_series_code',
+    seriesColumn: 'item_series_code',
+    nameColumns: ['product_details'],
+    costColumns: ['agent_price'],
+    categoryColumn: 'category',
+    subcategoryColumn: 'subcategory',
+    seenColumn: 'imported_at',
+    activeColumn: null
+  },
+  DEALERS_FG: {
+    table: 'dealers_fg_stock_balances',
+    runsTable: 'dealers_fg_stock_import_runs',
+    codeColumn: 'item_code',
+    seriesColumn: null,
+    nameColumns: ['product_description', 'variant_description'],
+    costColumns: ['dealer_price'],
+    categoryColumn: null,
+    subcategoryColumn: null,
+    seenColumn: 'last_scraped_at',
+    activeColumn: 'is_active'
+  }
+};
+
+const MATCH_TYPE_RANK = { item_code: 0, series_code: 0, exact_insensitive: 1, fuzzy: 2, filter: 3 };
+
+const OUT_OF_STOCK_PATTERN = /out\s*of\s*stock|no\s*stock|sold\s*out|unavailable/i;
+
+/**
+ * Map a vendor name ("MyGift", "Dealers FG", "Oren Sport") to a VENDORS key.
+ *
+ * @param {string} name - Vendor/supplier name
+ * @returns {string|null} Vendor key or null when not a catalogued vendor
+ */
+function normaliseVendor(name) {
+  const key = String(name || '').toUpperCase().replace(/[^A-Z]/g, '');
+  if (key === 'DEALERSFG') return 'DEALERS_FG';
+  return VENDORS[key] ? key : null;
+}
+
+function toNumber(value) {
+  return value === null || value === undefined || value === '' ? null : parseFloat(value);
+}
+
+/**
+ * Stock as reported by the vendor row. ThumbTech splits stock into level,
+ * reserved and available (stock_quantity) plus dated incoming stock;
+ * Ultifresh stock is assumed; OrenSport publishes none.
+ */
+function normaliseStock(vendorKey, row) {
+  if (vendorKey === 'ULTIFRESH') {
+    return { status: row.stock_status || 'assumed_in_stock', available_quantity: null, in_stock: true, assumed: true };
+  }
+  if (vendorKey === 'ORENSPORT') {
+    return { status: 'unknown', available_quantity: null, in_stock: null, assumed: false };
+  }
+
+  const available = toNumber(vendorKey === 'DEALERS_FG' ? row.stock_balance : row.stock_quantity);
+  const stock = {
+    status: row.stock_status || null,
+    available_quantity: available,
+    in_stock: available !== null
+      ? available > 0
+      : (row.stock_status ? !OUT_OF_STOCK_PATTERN.test(row.stock_status) : null),
+    assumed: false
+  };
+
+  if (vendorKey === 'THUMBTECH') {
+    stock.stock_level_quantity = toNumber(row.stock_level_quantity);
+    stock.reserved_quantity = toNumber(row.reserved_quantity);
+  }
+
+  return stock;
+}
+
+function toVendorProduct(vendorKey, row, lastRun, matchType) {
+  const vendor = VENDORS[vendorKey];
+  const names = vendor.nameColumns.map(column => row[column]).filter(Boolean);
+  const costColumn = vendor.costColumns.find(column => row[column] !== null && row[column] !== undefined);
+
+  return {
+    vendor: vendorKey,
+    item_code: row[vendor.codeColumn],
+    series_code: vendor.seriesColumn ? row[vendor.seriesColumn] || null : null,
+    name: names[0] || row[vendor.codeColumn],
+    variant: vendorKey === 'DEALERS_FG' ? row.variant_description || row.variant_key || null : (row.price_variant || row.colour || null),
+    unit_cost: costColumn ? toNumber(row[costColumn]) : null,
+    currency: row.currency || 'SGD',
+    stock: normaliseStock(vendorKey, row),
+    incoming_stock: vendorKey === 'THUMBTECH' ? row.incoming_stock || {} : null,
+    decoration_methods: row.decoration_methods || [],
+    categories: vendor.categoryColumn ? row[vendor.categoryColumn] || null : null,
+    subcategories: vendor.subcategoryColumn ? row[vendor.subcategoryColumn] || null : null,
+    image_url: row.image_url || null,
+    last_seen_at: row[vendor.seenColumn] || null,
+    last_scrape_run: lastRun,
+    match_type: matchType,
+    source_table: vendor.table,
+    source_id: row.id || null
+  };
+}
+
+/**
+ * Latest successful scrape/import run for a vendor (OrenSport has no runs
+ * table and returns null).
+ *
+ * @param {string} vendorKey - VENDORS key
+ * @returns {Promise<object|null>} { id, run_type, started_at, completed_at } or null
+ */
+async function getLatestSuccessfulRun(vendorKey) {
+  const vendor = VENDORS[vendorKey];
+  if (!vendor.runsTable) return null;
+
+  const { data, error } = await supabase
+    .from(vendor.runsTable)
+    .select('id, run_type, status, started_at, completed_at')
+    .eq('status', 'succeeded')
+    .order('completed_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) return null;
+  const run = data[0];
+  return { id: run.id, run_type: run.run_type, started_at: run.started_at, completed_at: run.completed_at };
+}
+
+function baseQuery(vendorKey, { category, limit }) {
+  const vendor = VENDORS[vendorKey];
+  let queryBuilder = supabase
+    .from(vendor.table)
+    .select('*')
+    .limit(limit);
+
+  if (vendor.activeColumn) {
+    queryBuilder = queryBuilder.eq(vendor.activeColumn, true);
+  }
+  if (category) {
+    queryBuilder = queryBuilder.ilike(vendor.categoryColumn, `%${category}%`);
+  }
+
+  return queryBuilder;
+}
+
+async function runQuery(queryBuilder) {
+  const { data, error } = await queryBuilder;
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+// PostgREST or-filters are comma separated; keep search text out of the syntax.
+function orSafe(text) {
+  return text.replace(/[,()]/g, ' ').trim();
+}
+
+/**
+ * Tiered search of one vendor table: item code → case-insensitive name →
+ * all-words name match (validated like searchProducts).
+ */
+async function searchVendor(vendorKey, query, options) {
+  const vendor = VENDORS[vendorKey];
+
+  if (!query) {
+    return { rows: await runQuery(baseQuery(vendorKey, options)), matchType: 'filter' };
+  }
+
+  let rows = await runQuery(baseQuery(vendorKey, options).ilike(vendor.codeColumn, query));
+  if (rows.length > 0) return { rows, matchType: 'item_code' };
+
+  const safeQuery = orSafe(query);
+  rows = await runQuery(baseQuery(vendorKey, options)
+    .or(vendor.nameColumns.map(column => `${column}.ilike.${safeQuery}`).join(',')));
+  if (rows.length > 0) return { rows, matchType: 'exact_insensitive' };
+
+  const words = safeQuery.toLowerCase().split(/[\s-]+/).filter(word => word.length > 2);
+  if (words.length === 0) return { rows: [], matchType: null };
+
+  let queryBuilder = baseQuery(vendorKey, options);
+  for (const word of words) {
+    queryBuilder = queryBuilder.or(vendor.nameColumns.map(column => `${column}.ilike.%${word}%`).join(','));
+  }
+  rows = (await runQuery(queryBuilder)).filter(row =>
+    validateMatch(query, vendor.nameColumns.map(column => row[column]).filter(Boolean).join(' '))
+  );
+  return { rows, matchType: rows.length > 0 ? 'fuzzy' : null };
+}
+
+/**
+ * Search the vendor silo tables and return one normalised result shape.
+ *
+ * @param {object} params - Search parameters
+ * @param {string} params.q - Item code or product name
+ * @param {string} params.vendor - Limit to one vendor (any spelling normaliseVendor accepts)
+ * @param {boolean|null} params.inStock - true: in stock only, false: out of stock only
+ * @param {string} params.category - Category contains-match (vendors without categories are skipped)
+ * @param {number} params.limit - Max results (default 20)
+ * @returns {Promise<object>} { results, vendors } with per-vendor match type and last run
+ */
+async function searchVendorProducts({ q = null, vendor = null, inStock = null, category = null, limit = 20 } = {}) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const query = q ? q.trim() : null;
+  const vendorKeys = (vendor ? [normaliseVendor(vendor)] : Object.keys(VENDORS))
+    .filter(key => !category || VENDORS[key].categoryColumn);
+
+  // Over-fetch when the stock filter is applied after normalisation.
+  const fetchLimit = inStock === null ? limit : limit * 3;
+  const results = [];
+  const vendors = [];
+
+  for (const vendorKey of vendorKeys) {
+    const { rows, matchType } = await searchVendor(vendorKey, query, { category, limit: fetchLimit });
+    const lastRun = rows.length > 0 ? await getLatestSuccessfulRun(vendorKey) : null;
+    const products = rows
+      .map(row => toVendorProduct(vendorKey, row, lastRun, matchType))
+      .filter(product => inStock === null || product.stock.in_stock === inStock);
+
+    vendors.push({ vendor: vendorKey, match_type: matchType, count: products.length, last_scrape_run: lastRun });
+    results.push(...products);
+  }
+
+  results.sort((a, b) => MATCH_TYPE_RANK[a.match_type] - MATCH_TYPE_RANK[b.match_type]);
+
+  return {
+    results: results.slice(0, limit),
+    total_matched: results.length,
+    vendors
+  };
+}
+
+/**
+ * Vendor rows for a supplier code, normalised: the item code itself, or every
+ * item of the series (e.g. all ThumbTech colours) when the code is a series.
+ *
+ * @param {string} vendorKey - VENDORS key
+ * @param {string} code - Supplier item or series code (case-insensitive)
+ * @returns {Promise<Array>} Normalised vendor products
+ */
+async function getVendorProductsByCode(vendorKey, code) {
+  if (!supabase) {
+    throw new Error('Database not configured');
+  }
+
+  const vendor = VENDORS[vendorKey];
+  let rows = await runQuery(baseQuery(vendorKey, { limit: 50 }).ilike(vendor.codeColumn, code));
+  let matchType = 'item_code';
+  if (rows.length === 0 && vendor.seriesColumn && vendor.seriesColumn !== vendor.codeColumn) {
+    rows = await runQuery(baseQuery(vendorKey, { limit: 50 }).ilike(vendor.seriesColumn, code));
+    matchType = 'series_code';
+  }
+  if (rows.length === 0) return [];
+
+  const lastRun = await getLatestSuccessfulRun(vendorKey);
+  return rows.map(row => toVendorProduct(vendorKey, row, lastRun, matchType));
+}
+
+/**
+ * One vendor item by its code, normalised. OrenSport series with promotion
+ * or WSL variants resolve to the regular row.
+ *
+ * @param {string} vendorKey - VENDORS key
+ * @param {string} itemCode - Supplier item code (case-insensitive)
+ * @returns {Promise<object|null>} Normalised vendor product or null
+ */
+async function getVendorProductByCode(vendorKey, itemCode) {
+  const products = await getVendorProductsByCode(vendorKey, itemCode);
+  return products.find(product => product.variant === 'regular') || products[0] || null;
+}
+
+module.exports = {
+  VENDOR_KEYS: Object.keys(VENDORS),
+  normaliseVendor,
+  getLatestSuccessfulRun,
+  searchVendorProducts,
+  getVendorProductsByCode,
+  getVendorProductByCode
+};
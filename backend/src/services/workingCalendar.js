@@ -0,0 +1,208 @@
+const { supabase } = require('./supabase');
+const holidayData = require('../data/sgPublicHolidays.json');
+
+// Singapore working days: Monday to Friday, excluding public holidays.
+// Lead times everywhere (pricing, lanyard, sample and quote lead times) count
+// working days from the order date, which is day 0.
+//
+// Holidays are seeded from data/sgPublicHolidays.json and edited through the
+// public_holidays table: an active row adds (or renames) a holiday, an
+// inactive row cancels a seeded one. Table rows are cached for
+// HOLIDAY_CACHE_MINUTES; the calculations themselves are synchronous.
+
+const TIME_ZONE = 'Asia/Singapore';
+
+const CACHE_MS = parseFloat(process.env.HOLIDAY_CACHE_MINUTES || '10') * 60 * 1000;
+
+const SEEDED_HOLIDAYS = holidayData.holidays.map(holiday => ({ ...holiday, source: 'seed' }));
+
+let holidaysByDate = new Map(SEEDED_HOLIDAYS.map(holiday => [holiday.date, holiday]));
+let loadedAt = 0;
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a strict YYYY-MM-DD value to a UTC midnight date. Free-form text
+ * ("14 Nov") and dates that do not exist ("2026-02-30") are rejected rather
+ * than guessed or rolled over.
+ *
+ * @param {string|Date} value - Date input
+ * @returns {Date|null} Date or null when not a valid YYYY-MM-DD date
+ */
+function parseDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(part => parseInt(part, 10));
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+    return null;
+  }
+  return parsed;
+}
+
+/**
+ * Today's date in Singapore.
+ */
+function todayInSingapore(now = new Date()) {
+  return parseDate(new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE }).format(now));
+}
+
+/**
+ * Merge public_holidays table edits over the seeded holidays. Falls back to
+ * the seed data when the database is unavailable.
+ *
+ * @param {object} options - { force } to bypass the cache
+ * @returns {Promise<Array>} Holidays in effect, by date
+ */
+async function loadHolidays({ force = false } = {}) {
+  if (!supabase || (!force && Date.now() - loadedAt < CACHE_MS)) {
+    return listHolidays();
+  }
+
+  const { data, error } = await supabase
+    .from('public_holidays')
+    .select('holiday_date, name, is_active')
+    .eq('country_code', 'SG');
+
+  if (error) {
+    console.error(`[CALENDAR] Could not load public_holidays, using seed data: ${error.message}`);
+    loadedAt = Date.now();
+    return listHolidays();
+  }
+
+  const holidays = new Map(SEEDED_HOLIDAYS.map(holiday => [holiday.date, holiday]));
+  for (const row of data || []) {
+    if (row.is_active === false) holidays.delete(row.holiday_date);
+    else holidays.set(row.holiday_date, { date: row.holiday_date, name: row.name, source: 'table' });
+  }
+
+  holidaysByDate = holidays;
+  loadedAt = Date.now();
+  return listHolidays();
+}
+
+function listHolidays() {
+  return Array.from(holidaysByDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function getLastHolidayYear() {
+  const dates = Array.from(holidaysByDate.keys());
+  return dates.length > 0 ? Math.max(...dates.map(date => parseInt(date.slice(0, 4), 10))) : null;
+}
+
+/**
+ * Warning for dates past the last year with public holidays loaded, where
+ * only weekends are skipped. Seed the next year in sgPublicHolidays.json (or
+ * the public_holidays table) once it is gazetted.
+ *
+ * @param {...Date} dates - Computed dates to check
+ * @returns {string|null} Warning, or null when every date is covered
+ */
+function getHolidayCoverageWarning(...dates) {
+  const lastYear = getLastHolidayYear();
+  if (lastYear === null) return null;
+
+  const beyond = dates.some(date => date && date.getUTCFullYear() > lastYear);
+  return beyond
+    ? `Singapore public holidays are only loaded up to ${lastYear}; later dates skip weekends only`
+    : null;
+}
+
+function isWorkingDay(date) {
+  const day = date.getUTCDay();
+  return day !== 0 && day !== 6 && !holidaysByDate.has(toDateString(date));
+}
+
+/**
+ * The date `days` working days after `startDate`.
+ *
+ * @param {Date} startDate - Order date (day 0)
+ * @param {number} days - Working days
+ * @returns {Date} Resulting date
+ */
+function addWorkingDays(startDate, days) {
+  const date = new Date(startDate.getTime());
+  let remaining = days;
+  while (remaining > 0) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    if (isWorkingDay(date)) remaining -= 1;
+  }
+  return date;
+}
+
+/**
+ * Working days after `startDate` up to and including `endDate`.
+ */
+function countWorkingDays(startDate, endDate) {
+  let count = 0;
+  const date = new Date(startDate.getTime());
+  while (date < endDate) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    if (isWorkingDay(date)) count += 1;
+  }
+  return count;
+}
+
+/**
+ * Read working-day counts from text such as "8-13 working days" or "5 days".
+ *
+ * @param {string} text - Lead time text
+ * @returns {object|null} { days_min, days_max } or null
+ */
+function parseLeadTimeText(text) {
+  const match = String(text || '').match(/(\d+)\s*(?:-|–|to)\s*(\d+)\s*(?:working\s*)?days?|(\d+)\s*(?:working\s*)?days?/i);
+  if (!match) return null;
+  if (match[3]) {
+    const days = parseInt(match[3], 10);
+    return { days_min: days, days_max: days };
+  }
+  return { days_min: parseInt(match[1], 10), days_max: parseInt(match[2], 10) };
+}
+
+/**
+ * Earliest and latest dispatch dates for a lead time in working days.
+ *
+ * @param {object|string} leadTime - { days_min, days_max } (either may be null) or text such as "8-13 working days"
+ * @param {string|Date} orderDate - Order date (default today in Singapore)
+ * @returns {object|null} { order_date, earliest_dispatch, latest_dispatch, basis, warning? } or null without days
+ */
+function getDispatchWindow(leadTime, orderDate = null) {
+  const days = typeof leadTime === 'string' ? parseLeadTimeText(leadTime) : leadTime;
+  const daysMin = days?.days_min ?? null;
+  const daysMax = days?.days_max ?? null;
+  if (daysMin === null && daysMax === null) return null;
+
+  const orderDay = parseDate(orderDate) || todayInSingapore();
+  const earliest = addWorkingDays(orderDay, daysMin ?? daysMax);
+  const latest = addWorkingDays(orderDay, daysMax ?? daysMin);
+  const warning = getHolidayCoverageWarning(latest);
+  return {
+    order_date: toDateString(orderDay),
+    earliest_dispatch: toDateString(earliest),
+    latest_dispatch: toDateString(latest),
+    basis: 'working days, Singapore public holidays excluded',
+    ...(warning ? { warning } : {})
+  };
+}
+
+module.exports = {
+  toDateString,
+  parseDate,
+  todayInSingapore,
+  loadHolidays,
+  listHolidays,
+  isWorkingDay,
+  addWorkingDays,
+  countWorkingDays,
+  getHolidayCoverageWarning,
+  parseLeadTimeText,
+  getDispatchWindow
+};
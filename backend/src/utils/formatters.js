@@ -1,3 +1,66 @@
+const { getDispatchWindow } = require('../services/workingCalendar');
+const { convertPrices } = require('../services/exchangeRates');
+
+/**
+ * Add earliest/latest dispatch dates (`dispatch`) to every lead time in a
+ * response: any object carrying working-day `days_min` / `days_max`, and
+ * `lead_time_dispatch` beside flat `lead_time_days_min` / `lead_time_days_max`.
+ * Delivery plans already carry their own dates and are left alone.
+ *
+ * @param {*} value - Response data
+ * @returns {*} Copy with dispatch dates added
+ */
+function withDispatchDates(value) {
+  if (Array.isArray(value)) {
+    return value.map(withDispatchDates);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) {
+    return value;
+  }
+
+  const copy = {};
+  for (const [key, child] of Object.entries(value)) {
+    copy[key] = withDispatchDates(child);
+  }
+
+  const isLeadTime = ('days_min' in value || 'days_max' in value)
+    && !('earliest_delivery' in value)
+    && value.basis !== 'case_by_case';
+  if (isLeadTime && !('dispatch' in value)) {
+    copy.dispatch = getDispatchWindow(value);
+  }
+
+  // Pricing rows carry the lead time flat as lead_time_days_min/max
+  if (('lead_time_days_min' in value || 'lead_time_days_max' in value) && !('lead_time_dispatch' in value)) {
+    copy.lead_time_dispatch = getDispatchWindow({
+      days_min: value.lead_time_days_min,
+      days_max: value.lead_time_days_max
+    });
+  }
+
+  return copy;
+}
+
+/**
+ * Convert a response's prices (`data`, or batch `results`) out of SGD and
+ * attach the rate used as `fx`.
+ *
+ * @param {object} response - Response body
+ * @param {object|null} fx - Rate from getExchangeRate (null leaves the response unchanged)
+ * @returns {object} Converted response
+ */
+function withCurrency(response, fx) {
+  if (!fx) {
+    return response;
+  }
+
+  const converted = { ...response };
+  if (response.data) converted.data = convertPrices(response.data, fx);
+  if (response.results) converted.results = convertPrices(response.results, fx);
+  converted.fx = fx;
+  return converted;
+}
+
 /**
  * Format a successful pricing query response
  *
@@ -8,12 +71,12 @@
 function formatQueryResponse(data, meta) {
   return {
     success: true,
-    data: {
+    data: withDispatchDates({
       products_found: data.results?.length || 0,
       results: data.results || [],
       alternatives: data.alternatives || [],
       suggestions: data.suggestions || []
-    },
+    }),
     meta: {
       query_parsed: meta.queryParsed || null,
       match_type: meta.matchType || null,
@@ -34,12 +97,12 @@ function formatQueryResponse(data, meta) {
 function formatSamplePricingResponse(data, meta) {
   return {
     success: true,
-    data: {
+    data: withDispatchDates({
       query_type: 'sample_pricing',
       samples_found: data.sampleResults?.length || 0,
       sample_results: data.sampleResults || [],
       suggestions: data.suggestions || []
-    },
+    }),
     meta: {
       query_type: 'sample_pricing',
       query: meta.query || null,
@@ -60,11 +123,11 @@ function formatSamplePricingResponse(data, meta) {
 function formatLanyardPricingResponse(data, meta) {
   return {
     success: true,
-    data: {
+    data: withDispatchDates({
       query_type: 'heat_transfer_lanyard',
       result: data.result || null,
       suggestions: data.suggestions || []
-    },
+    }),
     meta: {
       query_type: 'heat_transfer_lanyard',
       query: meta.query || null,
@@ -75,6 +138,76 @@ function formatLanyardPricingResponse(data, meta) {
   };
 }
 
+/**
+ * Format a paper print (flyer, booklet, brochure, ...) pricing response
+ *
+ * @param {object} data - Paper price data from the paperPricing service
+ * @param {object} meta - Metadata
+ * @returns {object} Formatted response
+ */
+function formatPaperPricingResponse(data, meta) {
+  return {
+    success: true,
+    data: withDispatchDates({
+      query_type: 'paper_print',
+      result: data.result || null
+    }),
+    meta: {
+      query_type: 'paper_print',
+      query: meta.query || null,
+      processing_time_ms: meta.processingTime || 0,
+      message: meta.message || null,
+      warning: meta.warning || null
+    }
+  };
+}
+
+/**
+ * Format a decoration cost comparison response
+ *
+ * @param {object} data - Result from the decorationCost service
+ * @param {object} meta - Metadata
+ * @returns {object} Formatted response
+ */
+function formatDecorationCostResponse(data, meta) {
+  return {
+    success: data.cheapest !== null,
+    data: withDispatchDates({
+      query_type: 'decoration_cost',
+      ...data
+    }),
+    meta: {
+      query_type: 'decoration_cost',
+      processing_time_ms: meta.processingTime || 0,
+      message: meta.message || null,
+      warning: meta.warning || null
+    }
+  };
+}
+
+/**
+ * Format a multi-line quote response
+ *
+ * @param {object} quote - Quote from the quoteBuilder service
+ * @param {object} meta - Metadata
+ * @returns {object} Formatted response
+ */
+function formatQuoteResponse(quote, meta) {
+  return {
+    success: quote.lines_priced > 0,
+    data: withDispatchDates({
+      query_type: 'quote',
+      ...quote
+    }),
+    meta: {
+      query_type: 'quote',
+      processing_time_ms: meta.processingTime || 0,
+      message: meta.message || null,
+      warning: meta.warning || null
+    }
+  };
+}
+
 /**
  * Format a successful lookup response
  *
@@ -84,7 +217,7 @@ function formatLanyardPricingResponse(data, meta) {
 function formatLookupResponse(pricing) {
   return {
     success: true,
-    data: {
+    data: withDispatchDates({
       product_name: pricing.productName,
       print_option: pricing.printOption,
       lead_time_type: pricing.leadTimeType,
@@ -93,7 +226,7 @@ function formatLookupResponse(pricing) {
       total_price: pricing.quantity * pricing.unitPrice,
       currency: pricing.currency || 'SGD',
       moq: pricing.moq || null
-    }
+    })
   };
 }
 
@@ -107,7 +240,7 @@ function formatLookupResponse(pricing) {
 function formatTiersResponse(product, tiers) {
   return {
     success: true,
-    data: {
+    data: withDispatchDates({
       product_name: product.name,
       print_option: product.printOption,
       lead_time: {
@@ -120,7 +253,7 @@ function formatTiersResponse(product, tiers) {
         unit_price: tier.unitPrice,
         is_moq: tier.isMoq || false
       }))
-    }
+    })
   };
 }
 
@@ -142,9 +275,14 @@ function formatErrorResponse(code, message) {
 }
 
 module.exports = {
+  withDispatchDates,
+  withCurrency,
   formatQueryResponse,
   formatSamplePricingResponse,
   formatLanyardPricingResponse,
+  formatPaperPricingResponse,
+  formatDecorationCostResponse,
+  formatQuoteResponse,
   formatLookupResponse,
   formatTiersResponse,
   formatErrorResponse
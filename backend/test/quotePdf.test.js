@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toQuoteDocument } = require('../src/services/quotePdf');
+
+test('a below-MOQ /query result is quoted at the charged MOQ quantity', () => {
+  const document = toQuoteDocument({
+    success: true,
+    data: {
+      query_type: 'search',
+      results: [{
+        product_name: 'Canvas Tote Bag',
+        print_option: 'silkscreen 1c x 0c',
+        pricing: {
+          requested_quantity: 50,
+          charged_quantity: 100,
+          note: 'Minimum order quantity is 100',
+          unit_price: 2.5,
+          total_price: 250,
+          currency: 'SGD'
+        },
+        moq: { quantity: 100, unit_price: 2.5 }
+      }]
+    }
+  });
+
+  const [line] = document.lines;
+  assert.equal(line.quantity, 100);
+  assert.equal(line.unit_price * line.quantity, line.line_subtotal);
+  assert.deepEqual(line.warnings, ['Minimum order quantity is 100; requested 50 pcs, quoted at 100 pcs']);
+  assert.equal(document.totals.subtotal, 250);
+});
+
+test('a /query result at or above the MOQ keeps the requested quantity', () => {
+  const document = toQuoteDocument({
+    results: [{
+      product_name: 'Canvas Tote Bag',
+      pricing: { requested_quantity: 300, unit_price: 2.9, total_price: 870, currency: 'SGD' }
+    }]
+  });
+
+  assert.equal(document.lines[0].quantity, 300);
+  assert.deepEqual(document.lines[0].warnings, []);
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDate } = require('../src/services/workingCalendar');
+
+test('parseDate reads a YYYY-MM-DD date as UTC midnight', () => {
+  assert.equal(parseDate('2026-11-14').toISOString(), '2026-11-14T00:00:00.000Z');
+});
+
+test('parseDate rejects free-form dates instead of guessing a year', () => {
+  assert.equal(parseDate('14 Nov'), null);
+  assert.equal(parseDate('1'), null);
+});
+
+test('parseDate rejects dates that would roll over', () => {
+  assert.equal(parseDate('2026-02-30'), null);
+  assert.equal(parseDate('2026-13-01'), null);
+});
@@ -1,5 +1,6 @@
+import { AttachmentBuilder } from 'discord.js';
 import priceApi from '../services/priceApi.js';
-import { formatPriceResponse, formatErrorResponse } from '../utils/formatters.js';
+import { formatPriceResponse, formatPriceMatrix, formatErrorResponse } from '../utils/formatters.js';
 
 export default {
   name: 'price',
@@ -13,11 +14,18 @@ export default {
         '**Please specify a product.**\n' +
         `Usage: \`@${botName} <product> [quantity] [print option]\`\n` +
         `Example: \`@${botName} canvas tote bag 500 silkscreen\`\n` +
-        `Sample fees: \`@${botName} sample fee of postcard\``
+        `Sample fees: \`@${botName} sample fee of postcard\`\n` +
+        `Quote PDF: \`@${botName} canvas tote bag 500 silkscreen pdf\`\n` +
+        `Price comparison: \`@${botName} canvas tote bag matrix\``
       );
     }
 
-    const query = args.join(' ');
+    // A trailing "pdf" asks for a customer-ready quote PDF alongside the answer,
+    // a trailing "matrix" for the top product's print option x lead time x quantity grid
+    const lastArg = args.length > 1 ? args[args.length - 1].toLowerCase() : null;
+    const wantsPdf = lastArg === 'pdf';
+    const wantsMatrix = lastArg === 'matrix';
+    const query = (wantsPdf || wantsMatrix ? args.slice(0, -1) : args).join(' ');
 
     try {
       // Show typing indicator
@@ -31,6 +39,32 @@ export default {
 
       if (response.success) {
         const formattedResponse = formatPriceResponse(response.data, response.meta);
+
+        if (wantsPdf) {
+          try {
+            const pdf = await priceApi.renderQuotePdf(response);
+            formattedResponse.files = [new AttachmentBuilder(pdf, { name: 'easyprint-quote.pdf' })];
+          } catch (pdfError) {
+            console.error('Quote PDF error:', pdfError.message);
+            formattedResponse.content = 'Could not generate the quote PDF for this answer.';
+          }
+        }
+
+        if (wantsMatrix) {
+          const productId = response.data.results?.[0]?.product_id;
+          if (!productId) {
+            formattedResponse.content = 'No price comparison for this answer.';
+          } else {
+            try {
+              const matrix = await priceApi.getPriceMatrix(productId);
+              formattedResponse.embeds.push(...formatPriceMatrix(matrix.data).embeds);
+            } catch (matrixError) {
+              console.error('Price matrix error:', matrixError.message);
+              formattedResponse.content = 'Could not load the price comparison for this product.';
+            }
+          }
+        }
+
         await message.reply(formattedResponse);
       } else {
         const errorResponse = formatErrorResponse(response.error);
@@ -51,4 +51,30 @@ export default {
       throw error;
     }
   },
+
+  async getPriceMatrix(productId) {
+    try {
+      const response = await apiClient.get(
+        `/api/price/product/${encodeURIComponent(productId)}/matrix`
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Get price matrix error:', error.message);
+      throw error;
+    }
+  },
+
+  async renderQuotePdf(pricedResponse, options = {}) {
+    try {
+      const response = await apiClient.post(
+        '/api/price/quote/pdf',
+        { response: pricedResponse, ...options },
+        { responseType: 'arraybuffer', timeout: 30000 }
+      );
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error('Quote PDF error:', error.message);
+      throw error;
+    }
+  },
 };
@@ -161,10 +161,16 @@ function formatLeadTime(leadTime) {
     return null;
   }
 
-  const { days_min: min, days_max: max, basis } = leadTime;
+  const { days_min: min, days_max: max, basis, dispatch } = leadTime;
 
   if (min && max) {
-    return min === max ? `${min} working days` : `${min}-${max} working days`;
+    const range = min === max ? `${min} working days` : `${min}-${max} working days`;
+    if (!dispatch) {
+      return range;
+    }
+    return dispatch.earliest_dispatch === dispatch.latest_dispatch
+      ? `${range} (dispatch ${dispatch.earliest_dispatch})`
+      : `${range} (dispatch ${dispatch.earliest_dispatch} to ${dispatch.latest_dispatch})`;
   }
 
   if (basis && basis !== 'case_by_case') {
@@ -217,14 +223,25 @@ function getSampleFooter(result) {
 
 function formatSingleProduct(result, alternatives) {
   const embed = new EmbedBuilder()
-    .setColor(0x00aa00)
+    .setColor(result.substitution ? 0xffaa00 : 0x00aa00)
     .setTitle(`${result.product_name}`)
     .setDescription(result.dimensions ? `${result.dimensions}` : '');
 
+  // Substituted print option: the price below is NOT for what was asked
+  if (result.substitution) {
+    embed.addFields({
+      name: 'PRINT OPTION SUBSTITUTED',
+      value:
+        `Requested: **${result.print_option_requested}** (not offered)\n` +
+        `Priced with: **${result.print_option_used}**`,
+      inline: false,
+    });
+  }
+
   // Print option and lead time
   if (result.print_option) {
     embed.addFields({
-      name: 'Print Option',
+      name: result.substitution ? 'Print Option (substitute)' : 'Print Option',
       value: result.print_option,
       inline: true,
     });
@@ -242,7 +259,10 @@ function formatSingleProduct(result, alternatives) {
   if (result.pricing) {
     const priceText =
       `**${result.pricing.requested_quantity} pcs @ $${result.pricing.unit_price}/pc**\n` +
-      `Total: **$${result.pricing.total_price.toFixed(2)} ${result.pricing.currency || 'SGD'}**`;
+      `Total: **$${result.pricing.total_price.toFixed(2)} ${result.pricing.currency || 'SGD'}** before GST` +
+      (result.pricing.amount_inc_gst !== null && result.pricing.amount_inc_gst !== undefined
+        ? `\nIncl. ${Math.round(result.pricing.gst_rate * 100)}% GST: $${result.pricing.amount_inc_gst.toFixed(2)}`
+        : '');
     embed.addFields({
       name: 'Price',
       value: priceText,
@@ -280,6 +300,20 @@ function formatSingleProduct(result, alternatives) {
     });
   }
 
+  // Print options this product does offer, with MOQ prices
+  if (result.substitution && result.available_print_options && result.available_print_options.length > 0) {
+    const optionsText = result.available_print_options
+      .slice(0, 6)
+      .map((option) => `- ${option.print_option}: MOQ ${option.moq} pcs @ $${option.moq_price}/pc`)
+      .join('\n');
+
+    embed.addFields({
+      name: 'Available Print Options',
+      value: truncateField(optionsText),
+      inline: false,
+    });
+  }
+
   // Alternatives
   if (alternatives && alternatives.length > 0) {
     const altText = alternatives
@@ -310,10 +344,13 @@ function formatMultipleProducts(results) {
       ? `MOQ: ${result.moq.quantity} pcs | Starting: $${result.moq.unit_price}/pc`
       : '';
     const dimensions = result.dimensions ? `${result.dimensions}` : '';
+    const substitution = result.substitution
+      ? `Substituted: no "${result.print_option_requested}"; priced as ${result.print_option_used}`
+      : '';
 
     embed.addFields({
       name: `${index + 1}. ${result.product_name}`,
-      value: [dimensions, moqInfo].filter(Boolean).join('\n') || 'N/A',
+      value: [dimensions, moqInfo, substitution].filter(Boolean).join('\n') || 'N/A',
       inline: false,
     });
   });
@@ -348,6 +385,49 @@ function formatNoResults(data, meta) {
   return { embeds: [embed] };
 }
 
+export function formatPriceMatrix(matrix) {
+  const currency = matrix.currency || 'SGD';
+  const embed = new EmbedBuilder()
+    .setColor(0x0099ff)
+    .setTitle(`Price comparison: ${matrix.product_name}`)
+    .setDescription(`Unit prices in ${currency} with the saving against the MOQ price.`);
+
+  // Discord allows 25 fields and 6000 characters per embed
+  matrix.matrix.slice(0, 6).forEach((option) => {
+    const table = option.lead_times
+      .map((leadTime) => {
+        const days = leadTime.days_min && leadTime.days_max
+          ? ` (${leadTime.days_min}-${leadTime.days_max} working days)`
+          : '';
+        const tiers = leadTime.tiers.map((tier) => {
+          const moqLabel = tier.is_moq ? ' (MOQ)' : '';
+          const saving = tier.saving_percentage_vs_moq > 0 ? ` -${tier.saving_percentage_vs_moq}%` : '';
+          return `  ${tier.quantity}${moqLabel}: $${tier.unit_price}/pc${saving}`;
+        });
+        return [`${humanizePolicy(leadTime.lead_time_type)}${days}`, ...tiers].join('\n');
+      })
+      .join('\n');
+
+    embed.addFields({
+      name: option.print_option,
+      value: '```\n' + truncateField(table, 800) + '\n```',
+      inline: false,
+    });
+  });
+
+  if (matrix.matrix.length > 6) {
+    embed.addFields({
+      name: 'More Print Options',
+      value: truncateField(matrix.matrix.slice(6).map((option) => `- ${option.print_option}`).join('\n')),
+      inline: false,
+    });
+  }
+
+  embed.setFooter({ text: 'Prices before GST | EasyPrint' }).setTimestamp();
+
+  return { embeds: [embed] };
+}
+
 export function formatErrorResponse(error) {
   return `**Error:** ${error.message || 'Something went wrong'}`;
 }
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+"use strict";
+
+// Read-only drift report between two benchmark snapshot batches.
+//
+// Compares pricing_benchmark_snapshots per pricing.id and lists rows whose
+// item cost, print cost or profit percentage moved beyond the thresholds,
+// plus current `pricing` rows whose selling price is now below the margin
+// floor over the newer batch's costs. Same report as
+// GET /api/benchmarks/drift (backend/src/services/benchmarks.js).
+//
+// Usage: node scripts/report_benchmark_drift.js [--from DATE|ID] [--to DATE|ID] [options]
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_ENV = "backend/.env";
+
+function usage() {
+  console.log(`Usage: node scripts/report_benchmark_drift.js [options]
+
+Diff two pricing_benchmark_snapshot_batches. Read-only.
+
+Options:
+  --from DATE|ID           Older batch (snapshot date or id). Default: the batch before --to.
+  --to DATE|ID             Newer batch (snapshot date or id). Default: latest batch.
+  --cost-change-pct N      Report item/print cost moves above N%. Default: BENCHMARK_DRIFT_COST_PCT or 10.
+  --profit-change-pts N    Report profit percentage moves above N points. Default: BENCHMARK_DRIFT_PROFIT_PTS or 5.
+  --margin-floor N         Flag selling prices under N% profit over cost. Default: BENCHMARK_MARGIN_FLOOR_PCT or 15.
+  --limit N                Rows per list. Default: 50.
+  --env PATH               Env file with Supabase credentials. Default: ${DEFAULT_ENV}
+  --json                   Print the full report as JSON.
+  --help                   Show this help.
+`);
+}
+
+function parseNumber(arg, value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${arg} must be a non-negative number`);
+  }
+  return number;
+}
+
+function parseArgs(argv) {
+  const options = {
+    from: null,
+    to: null,
+    costChangePct: undefined,
+    profitChangePts: undefined,
+    marginFloorPct: undefined,
+    limit: 50,
+    envPath: DEFAULT_ENV,
+    json: false,
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    const next = () => {
+      index += 1;
+      if (index >= argv.length) throw new Error(`${arg} requires a value`);
+      return argv[index];
+    };
+
+    if (arg === "--help") {
+      usage();
+      process.exit(0);
+    } else if (arg === "--from") {
+      options.from = next();
+    } else if (arg === "--to") {
+      options.to = next();
+    } else if (arg === "--cost-change-pct") {
+      options.costChangePct = parseNumber(arg, next());
+    } else if (arg === "--profit-change-pts") {
+      options.profitChangePts = parseNumber(arg, next());
+    } else if (arg === "--margin-floor") {
+      options.marginFloorPct = parseNumber(arg, next());
+    } else if (arg === "--limit") {
+      options.limit = Number.parseInt(next(), 10);
+      if (!Number.isInteger(options.limit) || options.limit <= 0) {
+        throw new Error("--limit must be a positive integer");
+      }
+    } else if (arg === "--env") {
+      options.envPath = next();
+    } else if (arg === "--json") {
+      options.json = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+// Loads into process.env: the backend services read their config from it.
+function loadEnv(envPath) {
+  if (!fs.existsSync(envPath)) return;
+  for (const line of fs.readFileSync(envPath, "utf8").split(/\r?\n/)) {
+    const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)\s*$/);
+    if (match && !(match[1] in process.env)) {
+      process.env[match[1]] = match[2].replace(/^['"]|['"]$/g, "");
+    }
+  }
+}
+
+function formatChange(name, change) {
+  if (change.change_points !== undefined) {
+    return `${name} ${change.from}% -> ${change.to}% (${change.change_points > 0 ? "+" : ""}${change.change_points} pts)`;
+  }
+  const percentage = change.change_percentage === null
+    ? "new"
+    : `${change.change_percentage > 0 ? "+" : ""}${change.change_percentage}%`;
+  return `${name} ${change.from} -> ${change.to} (${percentage})`;
+}
+
+function describeRow(row) {
+  return `${row.product_name || row.pricing_id} | ${row.print_option || "-"} | ${row.lead_time_type || "-"} | qty ${row.quantity ?? "-"}`;
+}
+
+function printReport(report) {
+  const { summary, thresholds } = report;
+  console.log(`Benchmark drift ${report.from_batch.snapshot_date} -> ${report.to_batch.snapshot_date}`);
+  console.log(`  Rows: ${summary.from_rows} -> ${summary.to_rows} (${summary.compared} compared, ${summary.added} added, ${summary.removed} removed)`);
+  console.log(`  Thresholds: cost ${thresholds.cost_change_percentage}%, profit ${thresholds.profit_change_points} pts, margin floor ${thresholds.margin_floor_percentage}%`);
+
+  console.log(`\nDrifted rows: ${summary.drifted}${report.drift.length < summary.drifted ? ` (showing ${report.drift.length})` : ""}`);
+  for (const row of report.drift) {
+    const changes = Object.entries(row.changes).map(([name, change]) => formatChange(name, change));
+    console.log(`  ${describeRow(row)}: ${changes.join("; ")}`);
+  }
+
+  console.log(`\nBelow margin floor: ${summary.below_floor}${report.below_floor.length < summary.below_floor ? ` (showing ${report.below_floor.length})` : ""}`);
+  for (const row of report.below_floor) {
+    console.log(`  ${describeRow(row)}: price ${row.unit_price} vs cost ${row.unit_cost} = ${row.margin_percentage}%`);
+  }
+
+  if (summary.without_cost_or_price > 0) {
+    console.log(`\n${summary.without_cost_or_price} row(s) in the newer batch have no item cost or no current pricing row and were not margin-checked.`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  loadEnv(path.resolve(__dirname, "..", options.envPath));
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_KEY are required (backend/.env or environment)");
+  }
+
+  const { diffBenchmarkBatches } = require("../backend/src/services/benchmarks");
+  const report = await diffBenchmarkBatches({
+    from: options.from,
+    to: options.to,
+    ...(options.costChangePct !== undefined ? { costChangePct: options.costChangePct } : {}),
+    ...(options.profitChangePts !== undefined ? { profitChangePts: options.profitChangePts } : {}),
+    ...(options.marginFloorPct !== undefined ? { marginFloorPct: options.marginFloorPct } : {}),
+    limit: options.limit,
+  });
+
+  if (report.error) {
+    throw new Error(report.error);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,94 @@
+-- Persisted customer quotes. Every priced quote is stored with the resolved
+-- line prices, the pricing row ids they came from, a validity date, and a
+-- revision history, so staff can prove what was quoted and re-open, revise,
+-- or clone it later.
+
+create sequence if not exists public.quote_number_seq;
+
+create table if not exists public.quotes (
+  id uuid primary key default gen_random_uuid(),
+
+  quote_number text not null unique
+    default ('EPQ-' || lpad(nextval('public.quote_number_seq')::text, 6, '0')),
+  status text not null default 'open',
+
+  customer_name text,
+  customer_company text,
+  customer_email text,
+
+  current_revision integer not null default 1 check (current_revision >= 1),
+
+  currency text not null default 'SGD',
+  subtotal numeric(12,2),
+  gst_amount numeric(12,2),
+  grand_total numeric(12,2),
+  valid_until date not null,
+
+  cloned_from_quote_id uuid references public.quotes(id) on delete restrict,
+
+  notes text,
+  created_by text,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint quotes_status_chk check (status in ('open', 'accepted', 'cancelled'))
+);
+
+create table if not exists public.quote_revisions (
+  id uuid primary key default gen_random_uuid(),
+
+  quote_id uuid not null references public.quotes(id) on delete restrict,
+  revision_number integer not null check (revision_number >= 1),
+
+  line_items jsonb not null default '[]'::jsonb,
+  quote_document jsonb not null default '{}'::jsonb,
+  pricing_ids uuid[] not null default '{}',
+
+  subtotal numeric(12,2),
+  gst_amount numeric(12,2),
+  grand_total numeric(12,2),
+  valid_until date not null,
+
+  revision_note text,
+  created_by text,
+
+  created_at timestamptz not null default now(),
+
+  constraint quote_revisions_quote_revision_uq unique (quote_id, revision_number)
+);
+
+create index if not exists idx_quotes_created_at
+  on public.quotes (created_at desc);
+
+create index if not exists idx_quotes_customer_company
+  on public.quotes (customer_company);
+
+create index if not exists idx_quotes_cloned_from
+  on public.quotes (cloned_from_quote_id);
+
+create index if not exists idx_quote_revisions_quote
+  on public.quote_revisions (quote_id, revision_number desc);
+
+create index if not exists idx_quote_revisions_pricing_ids
+  on public.quote_revisions using gin (pricing_ids);
+
+create or replace function public.set_quotes_updated_at()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists set_quotes_updated_at on public.quotes;
+create trigger set_quotes_updated_at
+before update on public.quotes
+for each row
+execute function public.set_quotes_updated_at();
+
+alter table public.quotes enable row level security;
+alter table public.quote_revisions enable row level security;
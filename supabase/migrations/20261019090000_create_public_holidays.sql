@@ -0,0 +1,43 @@
+-- Editable public holidays for the working-day calendar. Singapore holidays
+-- are seeded from backend/src/data/sgPublicHolidays.json; rows here override
+-- the seed by date: an active row adds or renames a holiday, an inactive row
+-- cancels a seeded one. Lead times count working days excluding these dates.
+
+create table if not exists public.public_holidays (
+  id uuid primary key default gen_random_uuid(),
+
+  country_code text not null default 'SG',
+  holiday_date date not null,
+  name text not null,
+  is_active boolean not null default true,
+
+  notes text,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint public_holidays_country_date_uq unique (country_code, holiday_date),
+  constraint public_holidays_country_code_chk check (country_code ~ '^[A-Z]{2}$')
+);
+
+create index if not exists idx_public_holidays_country_date
+  on public.public_holidays (country_code, holiday_date);
+
+create or replace function public.set_public_holidays_updated_at()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists set_public_holidays_updated_at on public.public_holidays;
+create trigger set_public_holidays_updated_at
+before update on public.public_holidays
+for each row
+execute function public.set_public_holidays_updated_at();
+
+alter table public.public_holidays enable row level security;
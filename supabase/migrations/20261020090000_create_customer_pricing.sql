@@ -0,0 +1,88 @@
+-- Negotiated customer pricing. Corporate accounts with contract rates get
+-- discount rules (percentage off, or a fixed unit price) scoped by product,
+-- category, print option and quantity band, each with validity dates. Rules
+-- are applied on top of public.pricing results when a request names a
+-- customer_id; the list price stays visible next to the customer price.
+
+create table if not exists public.customer_accounts (
+  id uuid primary key default gen_random_uuid(),
+
+  account_code text unique,
+  name text not null,
+  company text,
+  email text,
+
+  is_active boolean not null default true,
+  notes text,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.customer_price_rules (
+  id uuid primary key default gen_random_uuid(),
+
+  customer_id uuid not null references public.customer_accounts(id) on delete cascade,
+  rule_type text not null,
+  discount_percentage numeric(5,2),
+  fixed_unit_price numeric(12,4),
+
+  -- Scope: any combination; null means "any"
+  product_id uuid references public.products(id) on delete cascade,
+  category text,
+  print_option text,
+  qty_min integer,
+  qty_max integer,
+
+  valid_from date,
+  valid_until date,
+  priority integer not null default 100,
+  is_active boolean not null default true,
+
+  contract_reference text,
+  notes text,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint customer_price_rules_type_chk check (rule_type in ('percentage_discount', 'fixed_unit_price')),
+  constraint customer_price_rules_value_chk check (
+    (rule_type = 'percentage_discount' and discount_percentage > 0 and discount_percentage < 100)
+    or (rule_type = 'fixed_unit_price' and fixed_unit_price > 0)
+  ),
+  constraint customer_price_rules_qty_chk check (qty_min is null or qty_max is null or qty_min <= qty_max),
+  constraint customer_price_rules_validity_chk check (valid_from is null or valid_until is null or valid_from <= valid_until)
+);
+
+create index if not exists idx_customer_price_rules_customer
+  on public.customer_price_rules (customer_id)
+  where is_active;
+
+create index if not exists idx_customer_price_rules_product
+  on public.customer_price_rules (product_id);
+
+create or replace function public.set_customer_pricing_updated_at()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists set_customer_accounts_updated_at on public.customer_accounts;
+create trigger set_customer_accounts_updated_at
+before update on public.customer_accounts
+for each row
+execute function public.set_customer_pricing_updated_at();
+
+drop trigger if exists set_customer_price_rules_updated_at on public.customer_price_rules;
+create trigger set_customer_price_rules_updated_at
+before update on public.customer_price_rules
+for each row
+execute function public.set_customer_pricing_updated_at();
+
+alter table public.customer_accounts enable row level security;
+alter table public.customer_price_rules enable row level security;
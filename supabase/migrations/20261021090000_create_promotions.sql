@@ -0,0 +1,81 @@
+-- Time-boxed promotional pricing ("Year-end 10% off umbrellas"). A campaign
+-- has a start/end window; its rules scope the discount by product or
+-- category, set a percentage or a fixed amount off per unit, and can require
+-- a minimum quantity. Promotions are applied to pricing results on read and
+-- reported next to the regular price.
+
+create table if not exists public.promotion_campaigns (
+  id uuid primary key default gen_random_uuid(),
+
+  name text not null,
+  description text,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  is_active boolean not null default true,
+
+  created_by text,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint promotion_campaigns_window_chk check (starts_at < ends_at)
+);
+
+create table if not exists public.promotion_rules (
+  id uuid primary key default gen_random_uuid(),
+
+  campaign_id uuid not null references public.promotion_campaigns(id) on delete cascade,
+
+  -- Scope: product_id or category; both null applies to every product
+  product_id uuid references public.products(id) on delete cascade,
+  category text,
+
+  discount_type text not null,
+  discount_value numeric(12,4) not null,
+  min_quantity integer,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint promotion_rules_type_chk check (discount_type in ('percentage', 'fixed_amount')),
+  constraint promotion_rules_value_chk check (
+    discount_value > 0 and (discount_type <> 'percentage' or discount_value < 100)
+  ),
+  constraint promotion_rules_min_quantity_chk check (min_quantity is null or min_quantity >= 1)
+);
+
+create index if not exists idx_promotion_campaigns_window
+  on public.promotion_campaigns (starts_at, ends_at)
+  where is_active;
+
+create index if not exists idx_promotion_rules_campaign
+  on public.promotion_rules (campaign_id);
+
+create index if not exists idx_promotion_rules_product
+  on public.promotion_rules (product_id);
+
+create or replace function public.set_promotions_updated_at()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists set_promotion_campaigns_updated_at on public.promotion_campaigns;
+create trigger set_promotion_campaigns_updated_at
+before update on public.promotion_campaigns
+for each row
+execute function public.set_promotions_updated_at();
+
+drop trigger if exists set_promotion_rules_updated_at on public.promotion_rules;
+create trigger set_promotion_rules_updated_at
+before update on public.promotion_rules
+for each row
+execute function public.set_promotions_updated_at();
+
+alter table public.promotion_campaigns enable row level security;
+alter table public.promotion_rules enable row level security;
@@ -0,0 +1,41 @@
+-- Minimum acceptable margin per product category. The pricing API checks
+-- every catalogue price it returns against the latest benchmark/vendor cost
+-- and reports a margin_alert when the price falls below the category's
+-- floor (profit over unit cost, in percent). Categories without a row use
+-- BENCHMARK_MARGIN_FLOOR_PCT.
+
+create table if not exists public.margin_floors (
+  id uuid primary key default gen_random_uuid(),
+
+  category text not null,
+  floor_percentage numeric(6,2) not null,
+  is_active boolean not null default true,
+  notes text,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint margin_floors_percentage_chk check (floor_percentage >= 0)
+);
+
+create unique index if not exists margin_floors_category_uq
+  on public.margin_floors (lower(category));
+
+create or replace function public.set_margin_floors_updated_at()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists set_margin_floors_updated_at on public.margin_floors;
+create trigger set_margin_floors_updated_at
+before update on public.margin_floors
+for each row
+execute function public.set_margin_floors_updated_at();
+
+alter table public.margin_floors enable row level security;
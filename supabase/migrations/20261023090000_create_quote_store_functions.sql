@@ -0,0 +1,135 @@
+-- Transactional writes for the quote store (backend/src/services/quoteStore.js).
+-- create_quote_with_revision inserts a quote and its revision 1 in one
+-- transaction, so a failed revision insert leaves no orphan quote.
+-- add_quote_revision locks the quote row before numbering the next revision,
+-- so concurrent revisions are numbered in turn instead of colliding on
+-- quote_revisions_quote_revision_uq.
+
+create or replace function public.insert_quote_revision(
+  p_quote_id uuid,
+  p_revision_number integer,
+  p_revision jsonb
+)
+returns void
+language plpgsql
+set search_path = public
+as $$
+begin
+  insert into public.quote_revisions (
+    quote_id,
+    revision_number,
+    line_items,
+    quote_document,
+    pricing_ids,
+    subtotal,
+    gst_amount,
+    grand_total,
+    valid_until,
+    revision_note,
+    created_by
+  )
+  values (
+    p_quote_id,
+    p_revision_number,
+    coalesce(p_revision->'line_items', '[]'::jsonb),
+    coalesce(p_revision->'quote_document', '{}'::jsonb),
+    coalesce(
+      array(select jsonb_array_elements_text(coalesce(p_revision->'pricing_ids', '[]'::jsonb)))::uuid[],
+      '{}'
+    ),
+    (p_revision->>'subtotal')::numeric,
+    (p_revision->>'gst_amount')::numeric,
+    (p_revision->>'grand_total')::numeric,
+    (p_revision->>'valid_until')::date,
+    p_revision->>'revision_note',
+    p_revision->>'created_by'
+  );
+end;
+$$;
+
+create or replace function public.create_quote_with_revision(
+  p_quote jsonb,
+  p_revision jsonb
+)
+returns public.quotes
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_quote public.quotes;
+begin
+  insert into public.quotes (
+    customer_name,
+    customer_company,
+    customer_email,
+    current_revision,
+    currency,
+    subtotal,
+    gst_amount,
+    grand_total,
+    valid_until,
+    cloned_from_quote_id,
+    notes,
+    created_by
+  )
+  values (
+    p_quote->>'customer_name',
+    p_quote->>'customer_company',
+    p_quote->>'customer_email',
+    1,
+    coalesce(p_quote->>'currency', 'SGD'),
+    (p_quote->>'subtotal')::numeric,
+    (p_quote->>'gst_amount')::numeric,
+    (p_quote->>'grand_total')::numeric,
+    (p_quote->>'valid_until')::date,
+    (p_quote->>'cloned_from_quote_id')::uuid,
+    p_quote->>'notes',
+    p_quote->>'created_by'
+  )
+  returning * into v_quote;
+
+  perform public.insert_quote_revision(v_quote.id, 1, p_revision);
+
+  return v_quote;
+end;
+$$;
+
+-- Returns null when the quote does not exist.
+create or replace function public.add_quote_revision(
+  p_quote_id uuid,
+  p_quote jsonb,
+  p_revision jsonb
+)
+returns public.quotes
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_quote public.quotes;
+  v_revision_number integer;
+begin
+  select * into v_quote
+    from public.quotes
+   where id = p_quote_id
+   for update;
+
+  if not found then
+    return null;
+  end if;
+
+  v_revision_number := v_quote.current_revision + 1;
+  perform public.insert_quote_revision(p_quote_id, v_revision_number, p_revision);
+
+  update public.quotes
+     set current_revision = v_revision_number,
+         subtotal = (p_quote->>'subtotal')::numeric,
+         gst_amount = (p_quote->>'gst_amount')::numeric,
+         grand_total = (p_quote->>'grand_total')::numeric,
+         valid_until = (p_quote->>'valid_until')::date,
+         status = coalesce(p_quote->>'status', status)
+   where id = p_quote_id
+  returning * into v_quote;
+
+  return v_quote;
+end;
+$$;